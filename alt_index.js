@@ -3,7 +3,10 @@ const { Telegraf, Scenes, session, Markup } = require('telegraf');
 const MonadIntegration = require('./utils/monadIntegration');
 const WalletManager = require('./utils/walletManager');
 const TelegramCommands = require('./utils/telegramCommands');
+const SecretMessages = require('./utils/secretMessages');
+const { SecretFlows, SECRET_STATES } = require('./utils/secretFlows');
 const { BOT_CONFIG, NETWORKS } = require('./config');
+const { assertEncryptionKey } = require('./utils/encryption');
 const ethers = require('ethers');
 
 // Add better global error handling
@@ -26,6 +29,16 @@ if (!/^\d+:[A-Za-z0-9_-]{35}$/.test(process.env.TELEGRAM_BOT_TOKEN)) {
     console.warn('Attempting to start anyway...');
 }
 
+// Refuse to start without a real master key for wallet encryption
+try {
+    assertEncryptionKey(process.env.ENCRYPTION_KEY);
+} catch (error) {
+    console.error(`❌ ERROR: ${error.message}`);
+    console.error('Please add a long, random encryption key to your .env file as ENCRYPTION_KEY. Generate one with:');
+    console.error('node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
+    process.exit(1);
+}
+
 // Override env RPC URL with config value to ensure consistency
 if (NETWORKS.MONAD && NETWORKS.MONAD.rpc) {
     process.env.MONAD_RPC_URL = NETWORKS.MONAD.rpc;
@@ -35,6 +48,7 @@ if (NETWORKS.MONAD && NETWORKS.MONAD.rpc) {
 console.log("\n=== STARTUP ENVIRONMENT CHECK ===");
 console.log(`Bot Token: ${process.env.TELEGRAM_BOT_TOKEN ? "Configured ✓" : "MISSING ✗"}`);
 console.log(`Monad RPC URL: ${process.env.MONAD_RPC_URL ? process.env.MONAD_RPC_URL : "MISSING ✗"}`);
+console.log(`Encryption Key: ${process.env.ENCRYPTION_KEY ? "Configured ✓" : "MISSING ✗"}`);
 console.log("===================================\n");
 
 // Bot State
@@ -56,7 +70,12 @@ const STATES = {
     AWAITING_REMOVE_TOKEN: 'awaiting_remove_token',
     AWAITING_PRICE_TOKEN: 'awaiting_price_token',
     AWAITING_TOKEN_ADDRESS: 'awaiting_token_address',
-    AWAITING_NETWORK_SELECTION: 'awaiting_network_selection'
+    AWAITING_NETWORK_SELECTION: 'awaiting_network_selection',
+    ...SECRET_STATES,
+    AWAITING_WATCH_ADDRESS: 'awaiting_watch_address',
+    AWAITING_WALLET_NAME: 'awaiting_wallet_name',
+    AWAITING_DELETE_CONFIRMATION: 'awaiting_delete_confirmation',
+    AWAITING_GAS_FEES: 'awaiting_gas_fees'
 };
 
 // Initialize bot
@@ -82,6 +101,7 @@ try {
 // Initialize managers
 const walletManager = new WalletManager();
 const commands = new TelegramCommands(walletManager, defaultMonadIntegration);
+const secretMessages = new SecretMessages();
 
 // Update the main menu to include chains button instead of "Switch Network"
 const originalGetMainMenu = commands.getMainMenu;
@@ -102,12 +122,13 @@ bot.use((ctx, next) => {
         const originalReply = ctx.reply;
         const originalReplyWithMarkdown = ctx.replyWithMarkdown;
         
-        // Override reply method to include network info
+        // Override reply method to include network and active wallet info
         ctx.reply = function(text, extra = {}) {
             const session = getSession(ctx);
             // Only add network info if it's not already in the message
             if (!text.includes(`Network: ${getNetworkDisplayName('MONAD')}`)) {
-                const networkText = `Network: ${getNetworkDisplayName('MONAD')}\n\n`;
+                const networkText = `Network: ${getNetworkDisplayName('MONAD')}\n` +
+                    getActiveWalletLine(userId, extra && extra.parse_mode) + '\n';
             return originalReply.call(this, networkText + text, extra);
             }
             return originalReply.call(this, text, extra);
@@ -118,7 +139,8 @@ bot.use((ctx, next) => {
             const session = getSession(ctx);
             // Only add network info if it's not already in the message
             if (!text.includes(`*Network: ${getNetworkDisplayName('MONAD')}*`)) {
-            const networkText = `*Network: ${getNetworkDisplayName('MONAD')}*\n\n`;
+            const networkText = `*Network: ${getNetworkDisplayName('MONAD')}*\n` +
+                getActiveWalletLine(userId, 'Markdown') + '\n';
             return originalReplyWithMarkdown.call(this, networkText + text, extra);
             }
             return originalReplyWithMarkdown.call(this, text, extra);
@@ -127,6 +149,23 @@ bot.use((ctx, next) => {
     return next();
 });
 
+// Header line naming the wallet that balance, swap and send flows act on
+function getActiveWalletLine(userId, parseMode) {
+    if (!walletManager.hasWallet(userId)) {
+        return '';
+    }
+    
+    const wallet = walletManager.getWallet(userId);
+    const marker = wallet.watchOnly ? ' (view only)' : '';
+    if (parseMode === 'MarkdownV2') {
+        return `Wallet: ${escapeMarkdown(wallet.name + marker)}\n`;
+    }
+    if (parseMode === 'Markdown') {
+        return `*Wallet: ${commands.escapeMarkdown(wallet.name)}${marker}*\n`;
+    }
+    return `Wallet: ${wallet.name}${marker}\n`;
+}
+
 // User session initialization
 function getSession(ctx) {
     const userId = ctx.from.id.toString();
@@ -145,7 +184,7 @@ function getSession(ctx) {
     return userSessions[userId];
 }
 
-// Get user's blockchain integration instance based on selected network
+// Get user's read-only blockchain integration (balances/quotes); signing goes through commands.getSigningIntegration
 function getUserIntegration(userId) {
     console.log(`Attempting to get blockchain integration for user ${userId}`);
     
@@ -156,16 +195,11 @@ function getUserIntegration(userId) {
     
     try {
         console.log(`Fetching wallet details for user ${userId}`);
-        const wallet = walletManager.getWalletDetails(userId);
-        
-        if (!wallet || !wallet.privateKey) {
-            console.error(`Invalid wallet data for user ${userId}:`, wallet);
-            return null;
-        }
+        const wallet = walletManager.getWallet(userId);
         
         console.log(`Creating MONAD Integration for user ${userId} with wallet ${wallet.address}`);
         
-        const integration = new MonadIntegration(wallet.privateKey);
+        const integration = new MonadIntegration(null, { address: wallet.address });
         
         console.log(`Successfully created MONAD Integration instance for user ${userId}`);
         return integration;
@@ -197,6 +231,20 @@ function resetSendData(ctx) {
     console.log(`Reset send data for user ${ctx.from.id}`);
 }
 
+// Spending PIN, sub-wallet and keystore flows, shared with index.js
+const secretFlows = new SecretFlows(bot, walletManager, commands, {
+    getSession,
+    setState,
+    secretMessages,
+    pinActions: {
+        swap: executeConfirmedSwap,
+        send: executeConfirmedSend,
+        revoke: executeConfirmedRevoke,
+        replace: executeConfirmedReplacement
+    }
+});
+secretFlows.register();
+
 // Get selected network display name
 function getNetworkDisplayName(network) {
     return NETWORKS[network].name;
@@ -213,6 +261,8 @@ bot.start(async (ctx) => {
         `Commands:\n` +
         `/start - Show this message\n` +
         `/wallet - Manage your wallet\n` +
+        `/wallets - Switch the active wallet\n` +
+        `/managewallets - Rename, reorder, archive or delete wallets\n` +
         `/swap - Swap tokens\n` +
         `/send - Send tokens\n` +
         `/balances - View your token balances\n` +
@@ -269,11 +319,15 @@ bot.command('help', async (ctx) => {
         `*Commands:*\n` +
         `/start - Main menu\n` +
         `/wallet - Manage your wallet\n` +
+        `/wallets - Switch the active wallet\n` +
+        `/managewallets - Rename, reorder, archive or delete wallets\n` +
         `/swap - Swap tokens\n` +
         `/send - Send tokens\n` +
         `/balances - View your token balances\n` +
         `/token - View token info and swap options\n` +
         `/price - Check token prices\n` +
+        `/approvals - Review and revoke token approvals\n` +
+        `/pending - Speed up or cancel pending transactions\n` +
         `/network - Select blockchain network\n` +
         `/help - Show this help message\n` +
         `/settings - Configure bot settings\n\n` +
@@ -300,7 +354,7 @@ bot.command('wallet', async (ctx) => {
     setState(ctx, STATES.IDLE);
     
     if (walletManager.hasWallet(ctx.from.id.toString())) {
-        const wallet = walletManager.getWalletDetails(ctx.from.id.toString());
+        const wallet = walletManager.getWallet(ctx.from.id.toString());
         const session = getSession(ctx);
         const currentNetwork = session.settings.network || 'MONAD';
         const explorerUrl = NETWORKS[currentNetwork].blockExplorerUrl;
@@ -308,9 +362,11 @@ bot.command('wallet', async (ctx) => {
         await ctx.replyWithMarkdown(
             `*Your Wallet* 💼\n\n` +
             `Network: *${getNetworkDisplayName(currentNetwork)}*\n` +
+            `Name: *${commands.escapeMarkdown(wallet.name)}*${wallet.watchOnly ? ' 👁 _view only_' : ''}\n` +
             `Address: \`${wallet.address}\`\n\n` +
-            `[View on Explorer](${explorerUrl}/address/${wallet.address})`,
-            commands.getMainMenu()
+            `[View on Explorer](${explorerUrl}/address/${wallet.address})\n\n` +
+            `Use /wallets to switch between your wallets.`,
+            commands.getWalletMenu()
         );
     } else {
         await ctx.reply(
@@ -320,6 +376,176 @@ bot.command('wallet', async (ctx) => {
     }
 });
 
+// Wallets command - list wallets and switch the active one
+bot.command('wallets', async (ctx) => {
+    console.log(`Wallets command received from user ${ctx.from.id}`);
+    setState(ctx, STATES.IDLE);
+    const userId = ctx.from.id.toString();
+    
+    if (!walletManager.hasWallet(userId)) {
+        return ctx.reply(
+            'You need to create or import a wallet first:',
+            commands.getWalletMenu()
+        );
+    }
+    
+    try {
+        const session = getSession(ctx);
+        const { message, keyboard } = await commands.getWalletSwitcher(userId, session.settings.network || 'MONAD');
+        await ctx.replyWithMarkdown(message, keyboard);
+    } catch (error) {
+        console.error(`Error listing wallets for user ${userId}:`, error);
+        await ctx.reply(`❌ Error loading wallets: ${error.message}`);
+    }
+});
+
+// Handle wallet selection from the /wallets switcher
+bot.action(/^wallet_select_(.+)$/, async (ctx) => {
+    const userId = ctx.from.id.toString();
+    console.log(`ACTION HANDLER: Wallet selection by user ${userId}`);
+    
+    try {
+        const wallet = walletManager.setActiveWallet(userId, ctx.match[1]);
+        await ctx.answerCbQuery(`Active wallet: ${wallet.name}`);
+        
+        const session = getSession(ctx);
+        const { message, keyboard } = await commands.getWalletSwitcher(userId, session.settings.network || 'MONAD');
+        await ctx.editMessageText(message, { parse_mode: 'Markdown', ...keyboard });
+    } catch (error) {
+        console.error(`Error switching wallet for user ${userId}:`, error);
+        await ctx.answerCbQuery(`❌ ${error.message}`);
+    }
+});
+
+// Show the wallet management list, as a new message or by editing the current one
+async function showWalletManagement(ctx, edit = false) {
+    const userId = ctx.from.id.toString();
+    
+    if (walletManager.getUserWallets(userId, { includeArchived: true }).length === 0) {
+        return ctx.reply('You need to create or import a wallet first:', commands.getWalletMenu());
+    }
+    
+    const { message, keyboard } = commands.getWalletManagementView(userId);
+    if (edit) {
+        return ctx.editMessageText(message, { parse_mode: 'Markdown', ...keyboard });
+    }
+    return ctx.replyWithMarkdown(message, keyboard);
+}
+
+// Redraw the action menu of one wallet after a change
+async function showWalletActions(ctx, walletId) {
+    const { message, keyboard } = commands.getWalletActionsView(ctx.from.id.toString(), walletId);
+    return ctx.editMessageText(message, { parse_mode: 'Markdown', ...keyboard });
+}
+
+bot.command('managewallets', async (ctx) => {
+    console.log(`Manage wallets command received from user ${ctx.from.id}`);
+    setState(ctx, STATES.IDLE);
+    await showWalletManagement(ctx);
+});
+
+bot.hears('🗂 Manage Wallets', async (ctx) => {
+    console.log(`BUTTON HANDLER: Manage Wallets button pressed by user ${ctx.from.id}`);
+    setState(ctx, STATES.IDLE);
+    await showWalletManagement(ctx);
+});
+
+bot.action('wmgr_list', async (ctx) => {
+    await ctx.answerCbQuery();
+    await showWalletManagement(ctx, true);
+});
+
+bot.action(/^wmgr_open_(.+)$/, async (ctx) => {
+    try {
+        await ctx.answerCbQuery();
+        await showWalletActions(ctx, ctx.match[1]);
+    } catch (error) {
+        console.error(`Error opening wallet actions for user ${ctx.from.id}:`, error.message);
+        await ctx.reply(`❌ ${error.message}`);
+    }
+});
+
+bot.action(/^wmgr_default_(.+)$/, async (ctx) => {
+    try {
+        const wallet = walletManager.setActiveWallet(ctx.from.id.toString(), ctx.match[1]);
+        await ctx.answerCbQuery(`Default wallet: ${wallet.name}`);
+        await showWalletActions(ctx, wallet.walletId);
+    } catch (error) {
+        console.error(`Error setting default wallet for user ${ctx.from.id}:`, error.message);
+        await ctx.answerCbQuery(`❌ ${error.message}`);
+    }
+});
+
+bot.action(/^wmgr_(up|down)_(.+)$/, async (ctx) => {
+    const userId = ctx.from.id.toString();
+    const walletId = ctx.match[2];
+    
+    try {
+        const before = walletManager.getUserWallets(userId, { includeArchived: true })
+            .findIndex(wallet => wallet.walletId === walletId);
+        const after = walletManager.moveWallet(userId, walletId, ctx.match[1] === 'up' ? -1 : 1);
+        
+        if (after === before) {
+            return ctx.answerCbQuery(ctx.match[1] === 'up' ? 'Already at the top' : 'Already at the bottom');
+        }
+        
+        await ctx.answerCbQuery(`Moved to position ${after + 1}`);
+        await showWalletActions(ctx, walletId);
+    } catch (error) {
+        console.error(`Error reordering wallets for user ${userId}:`, error.message);
+        await ctx.answerCbQuery(`❌ ${error.message}`);
+    }
+});
+
+bot.action(/^wmgr_archive_(.+)$/, async (ctx) => {
+    const userId = ctx.from.id.toString();
+    
+    try {
+        const current = walletManager.getWallet(userId, ctx.match[1]);
+        const wallet = walletManager.setWalletArchived(userId, current.walletId, !current.archived);
+        await ctx.answerCbQuery(wallet.archived ? `${wallet.name} archived` : `${wallet.name} restored`);
+        await showWalletActions(ctx, wallet.walletId);
+    } catch (error) {
+        console.error(`Error archiving wallet for user ${userId}:`, error.message);
+        await ctx.answerCbQuery(`❌ ${error.message}`);
+    }
+});
+
+bot.action(/^wmgr_rename_(.+)$/, async (ctx) => {
+    try {
+        const wallet = walletManager.getWallet(ctx.from.id.toString(), ctx.match[1]);
+        await ctx.answerCbQuery();
+        
+        const session = setState(ctx, STATES.AWAITING_WALLET_NAME);
+        session.walletManagement = { walletId: wallet.walletId };
+        
+        await ctx.replyWithMarkdown(
+            `Enter a new name for *${commands.escapeMarkdown(wallet.name)}*:`,
+            Markup.keyboard([['❌ Cancel']]).resize()
+        );
+    } catch (error) {
+        await ctx.answerCbQuery(`❌ ${error.message}`);
+    }
+});
+
+bot.action(/^wmgr_delete_(.+)$/, async (ctx) => {
+    const userId = ctx.from.id.toString();
+    
+    try {
+        await ctx.answerCbQuery('Checking remaining balance...');
+        const session = getSession(ctx);
+        const { message, suffix } = await commands.getDeleteConfirmation(userId, ctx.match[1], session.settings.network || 'MONAD');
+        
+        setState(ctx, STATES.AWAITING_DELETE_CONFIRMATION);
+        session.walletManagement = { walletId: ctx.match[1], suffix };
+        
+        await ctx.replyWithMarkdown(message, Markup.keyboard([['❌ Cancel']]).resize());
+    } catch (error) {
+        console.error(`Error preparing wallet deletion for user ${userId}:`, error.message);
+        await ctx.reply(`❌ ${error.message}`);
+    }
+});
+
 // Swap command
 bot.command('swap', async (ctx) => {
     console.log(`Swap command received from user ${ctx.from.id}`);
@@ -426,6 +652,42 @@ bot.command('token', async (ctx) => {
     );
 });
 
+// Approvals command
+bot.command('approvals', async (ctx) => {
+    console.log(`Approvals command received from user ${ctx.from.id}`);
+    setState(ctx, STATES.IDLE);
+    await showApprovals(ctx);
+});
+
+// Show the active wallet's token approvals, as a new message or by editing the current one.
+// The list is kept in the session so the revoke buttons can refer to it by index
+async function showApprovals(ctx, edit = false) {
+    const userId = ctx.from.id.toString();
+    
+    if (!walletManager.hasWallet(userId)) {
+        return ctx.reply('You need to create or import a wallet first:', commands.getWalletMenu());
+    }
+    
+    try {
+        const session = getSession(ctx);
+        if (!edit) {
+            await ctx.reply('🔍 Looking up your token approvals... Please wait...');
+        }
+        
+        const { message, keyboard, approvals } = await commands.getApprovalsView(userId, session.settings.network || 'MONAD');
+        session.approvals = approvals;
+        
+        const extra = { parse_mode: 'Markdown', disable_web_page_preview: true, ...(keyboard || {}) };
+        if (edit) {
+            return ctx.editMessageText(message, extra);
+        }
+        return ctx.reply(message, extra);
+    } catch (error) {
+        console.error(`Error loading approvals for user ${userId}:`, error);
+        await ctx.reply(`❌ Error loading approvals: ${error.message}`);
+    }
+}
+
 // Price command
 bot.command('price', async (ctx) => {
     console.log(`Price command received from user ${ctx.from.id}`);
@@ -448,16 +710,17 @@ bot.hears('💰 My Wallet', async (ctx) => {
     setState(ctx, STATES.IDLE);
     
     if (walletManager.hasWallet(ctx.from.id.toString())) {
-        const wallet = walletManager.getWalletDetails(ctx.from.id.toString());
+        const wallet = walletManager.getWallet(ctx.from.id.toString());
         const session = getSession(ctx);
         const network = session.settings.network || 'MONAD';
         
         await ctx.replyWithMarkdown(
             `*Your Wallet*\n\n` +
+            `Name: *${commands.escapeMarkdown(wallet.name)}*${wallet.watchOnly ? ' 👁 _view only_' : ''}\n` +
             `Address: \`${wallet.address}\`\n` +
             `[View on Explorer](${walletManager.getAddressExplorerUrl(wallet.address, network)})\n\n` +
-            `Use the buttons below to view balances or manage your wallet:`,
-            commands.getMainMenu()
+            `Use /wallets to switch between your wallets, or the buttons below to add more:`,
+            commands.getWalletMenu()
         );
     } else {
         await ctx.reply(
@@ -551,6 +814,8 @@ bot.hears('ℹ️ Help', async (ctx) => {
         `*Main Commands:*\n` +
         `/start - Show welcome message\n` +
         `/wallet - Manage your wallet\n` +
+        `/wallets - Switch the active wallet\n` +
+        `/managewallets - Rename, reorder, archive or delete wallets\n` +
         `/swap - Swap tokens\n` +
         `/send - Send tokens\n` +
         `/balances - View token balances\n` +
@@ -602,6 +867,97 @@ bot.hears('⚙️ Set Slippage', async (ctx) => {
         );
 });
 
+// Handle "Approval Mode" button
+bot.hears('✅ Approval Mode', async (ctx) => {
+    console.log(`BUTTON HANDLER: Approval Mode button pressed by user ${ctx.from.id}`);
+    setState(ctx, STATES.IDLE);
+    
+    const { message, keyboard } = commands.getApprovalModeView(ctx.from.id.toString());
+    await ctx.replyWithMarkdown(message, keyboard);
+});
+
+// Switch between exact and unlimited approvals
+bot.action(/^approval_mode_(exact|unlimited)$/, async (ctx) => {
+    const userId = ctx.from.id.toString();
+    console.log(`ACTION HANDLER: Approval mode ${ctx.match[1]} chosen by user ${userId}`);
+    
+    commands.userPreferences.setApprovalMode(userId, ctx.match[1]);
+    await ctx.answerCbQuery(`Approval mode: ${ctx.match[1]}`);
+    
+    const { message, keyboard } = commands.getApprovalModeView(userId);
+    await ctx.editMessageText(message, { parse_mode: 'Markdown', ...keyboard });
+});
+
+// Handle "Gas Settings" button
+bot.hears('⛽ Gas Settings', async (ctx) => {
+    console.log(`BUTTON HANDLER: Gas Settings button pressed by user ${ctx.from.id}`);
+    setState(ctx, STATES.IDLE);
+    await showGasSettings(ctx);
+});
+
+// Pick a fee preset
+bot.action(/^gas_preset_(slow|normal|fast)$/, async (ctx) => {
+    const userId = ctx.from.id.toString();
+    console.log(`ACTION HANDLER: Gas preset ${ctx.match[1]} chosen by user ${userId}`);
+    
+    commands.userPreferences.setGasSettings(userId, { preset: ctx.match[1] });
+    await ctx.answerCbQuery(`Gas preset: ${ctx.match[1]}`);
+    await showGasSettings(ctx, true);
+});
+
+// Change the buffer added to gas estimates
+bot.action(/^gas_limit_(\d+(?:\.\d+)?)$/, async (ctx) => {
+    const userId = ctx.from.id.toString();
+    console.log(`ACTION HANDLER: Gas limit buffer ${ctx.match[1]}x chosen by user ${userId}`);
+    
+    commands.userPreferences.setGasSettings(userId, { limitMultiplier: parseFloat(ctx.match[1]) });
+    await ctx.answerCbQuery(`Gas limit buffer: ${ctx.match[1]}x`);
+    await showGasSettings(ctx, true);
+});
+
+// Ask for custom fees
+bot.action('gas_custom', async (ctx) => {
+    console.log(`ACTION HANDLER: Custom gas fees requested by user ${ctx.from.id}`);
+    await ctx.answerCbQuery();
+    setState(ctx, STATES.AWAITING_GAS_FEES);
+    
+    await ctx.reply(
+        'Enter your max fee and priority fee per gas in gwei, separated by a space (e.g. `100 2`).\n\n' +
+        'The max fee is the most you pay per gas including the base fee; the priority fee is the tip to the validator.',
+        { parse_mode: 'Markdown', ...Markup.keyboard([['❌ Cancel']]).resize() }
+    );
+});
+
+// Show the gas settings, as a new message or by editing the current one
+async function showGasSettings(ctx, edit = false) {
+    const userId = ctx.from.id.toString();
+    
+    if (!walletManager.hasWallet(userId)) {
+        return ctx.reply('You need to create or import a wallet first:', commands.getWalletMenu());
+    }
+    
+    try {
+        const session = getSession(ctx);
+        const { message, keyboard } = await commands.getGasSettingsView(userId, session.settings.network || 'MONAD');
+        
+        const extra = { parse_mode: 'Markdown', ...(keyboard || {}) };
+        if (edit) {
+            return ctx.editMessageText(message, extra);
+        }
+        return ctx.reply(message, extra);
+    } catch (error) {
+        console.error(`Error loading gas settings for user ${userId}:`, error);
+        await ctx.reply(`❌ Error loading gas settings: ${error.message}`);
+    }
+}
+
+// Handle "Token Approvals" button
+bot.hears('🔓 Token Approvals', async (ctx) => {
+    console.log(`BUTTON HANDLER: Token Approvals button pressed by user ${ctx.from.id}`);
+    setState(ctx, STATES.IDLE);
+    await showApprovals(ctx);
+});
+
 // Handle "Manage Watchlist" button
 bot.hears('📌 Manage Watchlist', async (ctx) => {
     console.log(`BUTTON HANDLER: Manage Watchlist button pressed by user ${ctx.from.id}`);
@@ -675,6 +1031,7 @@ bot.hears(/(.+) → (.+)/, async (ctx) => {
         `Enter the amount of ${fromToken === nativeCurrency ? nativeCurrency : fromToken} you want to swap:`,
         Markup.keyboard([
             ['0.1', '0.5', '1', '5'],
+            ['🎯 Buy Exact Amount'],
             ['MAX', '❌ Cancel']
         ]).resize()
     );
@@ -786,16 +1143,21 @@ bot.hears('🔑 Generate Wallet', async (ctx) => {
         const session = getSession(ctx);
         const network = session.settings.network || 'MONAD';
         
-            await ctx.replyWithMarkdown(
+        await secretMessages.send(ctx,
             `*New Wallet Generated* ✅\n\n` +
             `Address: \`${walletDetails.address}\`\n\n` +
-            `Private Key: ||${walletDetails.privateKey}||\n\n` +
-            `⚠️ **IMPORTANT**: Save your private key securely. It will NOT be shown again!\n\n` +
-            `[View on Explorer](${walletManager.getAddressExplorerUrl(walletDetails.address, network)})\n\n` +
-            `Your wallet is now ready to use!`,
+            `Private Key: \`${walletDetails.privateKey}\`\n\n` +
+            `Recovery Phrase: \`${walletDetails.mnemonic}\`\n\n` +
+            `⚠️ *IMPORTANT*: Save your private key and recovery phrase securely. They will NOT be shown again! ` +
+            `The recovery phrase also restores any sub-wallets you create from this wallet.`,
+            'generated private key and recovery phrase'
+        );
+        await ctx.replyWithMarkdown(
+            `Your wallet is now ready to use!\n\n` +
+            `[View on Explorer](${walletManager.getAddressExplorerUrl(walletDetails.address, network)})`,
             commands.getMainMenu()
-            );
-        } catch (error) {
+        );
+    } catch (error) {
         console.error('Error generating wallet:', error);
         await ctx.reply(`Error: ${error.message}`, commands.getWalletMenu());
     }
@@ -806,7 +1168,19 @@ bot.hears('📥 Import Wallet', async (ctx) => {
     setState(ctx, STATES.AWAITING_PRIVATE_KEY);
     
     await ctx.reply(
-        'Please enter your private key (0x...):',
+        'Please enter your private key (0x...) or your 12/24-word recovery phrase, or upload a JSON keystore file. ' +
+        'Your message will be deleted as soon as it has been read.',
+        Markup.keyboard([['❌ Cancel']]).resize()
+    );
+});
+
+bot.hears('👁 Watch Address', async (ctx) => {
+    console.log(`BUTTON HANDLER: Watch Address button pressed by user ${ctx.from.id}`);
+    setState(ctx, STATES.AWAITING_WATCH_ADDRESS);
+    
+    await ctx.reply(
+        'Enter the address (0x...) you want to follow. It will show up in /wallets and /balances as view only, ' +
+        'and no private key is needed or stored, so it can never be used to swap or send.',
         Markup.keyboard([['❌ Cancel']]).resize()
     );
 });
@@ -817,6 +1191,7 @@ bot.hears('❌ Cancel', async (ctx) => {
     setState(ctx, STATES.IDLE);
     resetSwapData(ctx);
     resetSendData(ctx);
+    secretFlows.resetSecretData(ctx);
     
     await ctx.reply(
         'Operation cancelled.',
@@ -836,16 +1211,66 @@ bot.action('confirm_swap', async (ctx) => {
             commands.getMainMenu());
     }
     
-    // Create a status message that will be updated throughout the process
+    // PIN-protected wallets are signed once the PIN arrives in the text handler
+    if (walletManager.isPinRequired(ctx.from.id.toString())) {
+        await ctx.answerCbQuery('Spending PIN required');
+        return secretFlows.requestSigningPin(ctx, 'swap');
+    }
+    
     await ctx.answerCbQuery('Processing swap...');
+    await executeConfirmedSwap(ctx);
+});
+
+// Keep one status message updated with swap progress.
+// Edits are throttled to one per second (Telegram rate limit), but the latest stage is always shown.
+function createProgressMessage(ctx, statusMessage) {
+    const state = {};
+    let lastEdit = 0;
+    let pendingEdit = null;
+    let finished = false;
+    
+    const render = async () => {
+        pendingEdit = null;
+        if (finished) {
+            return;
+        }
+        lastEdit = Date.now();
+        try {
+            await ctx.telegram.editMessageText(
+                statusMessage.chat.id,
+                statusMessage.message_id,
+                null,
+                commands.formatSwapProgress(state),
+                { parse_mode: 'Markdown' }
+            );
+        } catch (e) {
+            console.error('Error updating status message:', e.message);
+        }
+    };
+    
+    return {
+        update: (stage, message) => {
+            commands.trackSwapProgress(state, stage, message);
+            if (!pendingEdit && !finished) {
+                pendingEdit = setTimeout(render, Math.max(0, 1000 - (Date.now() - lastEdit)));
+            }
+        },
+        // Stop editing so the final result is not overwritten by a late progress update
+        finish: () => {
+            finished = true;
+            clearTimeout(pendingEdit);
+        }
+    };
+}
+
+// Execute the swap stored in the session, optionally unlocking the wallet with a PIN
+async function executeConfirmedSwap(ctx, pin = null) {
+    const session = getSession(ctx);
+    
+    // Create a status message that will be updated throughout the process
     const statusMessage = await ctx.reply('💱 Initializing swap transaction...');
     
     try {
-        // Get user's integration
-        const userIntegration = new MonadIntegration(
-            walletManager.getWalletDetails(ctx.from.id.toString()).privateKey
-        );
-        
         // Get current network from user settings
         const network = session.settings?.network || 'MONAD';
         
@@ -855,30 +1280,9 @@ bot.action('confirm_swap', async (ctx) => {
         // Execute the swap
         console.log(`Executing swap: ${session.swapData.fromToken} -> ${session.swapData.toToken}, amount: ${session.swapData.amount}`);
         
-        // Create a function to update the status message during swap execution
-        let lastProgressUpdate = Date.now();
-        const updateMessage = async (stage, message) => {
-            // Only update the message if it's been at least 1 second since the last update
-            // to avoid hitting Telegram rate limits
-            const now = Date.now();
-            if (now - lastProgressUpdate > 1000) {
-                try {
-        await ctx.telegram.editMessageText(
-                        statusMessage.chat.id,
-            statusMessage.message_id, 
-            null,
-                        `💱 *Swap Progress*\n\n*Status*: ${stage}\n\n${message}`,
-                        { parse_mode: 'Markdown' }
-                    );
-                    lastProgressUpdate = now;
-                } catch (e) {
-                    console.error('Error updating status message:', e);
-                }
-            }
-        };
-        
-        // Show initial status
-        await updateMessage('PREPARING', 'Preparing swap transaction...');
+        // Every swap stage is edited into the status message
+        const progress = createProgressMessage(ctx, statusMessage);
+        progress.update('INIT', 'Preparing swap transaction...');
         
         // Execute the swap using executeSwap from telegramCommands
         const result = await commands.executeSwap(
@@ -889,15 +1293,17 @@ bot.action('confirm_swap', async (ctx) => {
             slippage,
             session.swapData.fromTokenSymbol,
             session.swapData.toTokenSymbol,
-            network
+            network,
+            { pin, exactOutput: !!session.swapData.exactOutput, onProgress: progress.update }
         );
+        progress.finish();
         
         // Send the final result
         if (result.success) {
-        await ctx.telegram.editMessageText(
+            await ctx.telegram.editMessageText(
                 statusMessage.chat.id,
-            statusMessage.message_id, 
-            null,
+                statusMessage.message_id, 
+                null,
                 result.message,
                 { parse_mode: 'Markdown' }
             );
@@ -911,6 +1317,12 @@ bot.action('confirm_swap', async (ctx) => {
                 `❌ *Swap Failed*\n\n${result.message}`,
                 { parse_mode: 'Markdown' }
             );
+            
+            // Keep the swap so the user can retry with the right PIN
+            if (result.code === 'INVALID_PIN') {
+                return secretFlows.requestSigningPin(ctx, 'swap');
+            }
+            
             setState(ctx, STATES.IDLE);
             resetSwapData(ctx);
         }
@@ -927,7 +1339,7 @@ bot.action('confirm_swap', async (ctx) => {
         setState(ctx, STATES.IDLE);
         resetSwapData(ctx);
     }
-});
+}
 
 // Handle cancel swap action
 bot.action('cancel_swap', async (ctx) => {
@@ -955,8 +1367,21 @@ bot.action('confirm_send', async (ctx) => {
             commands.getMainMenu());
     }
     
-    // Create a status message that will be updated throughout the process
+    // PIN-protected wallets are signed once the PIN arrives in the text handler
+    if (walletManager.isPinRequired(ctx.from.id.toString())) {
+        await ctx.answerCbQuery('Spending PIN required');
+        return secretFlows.requestSigningPin(ctx, 'send');
+    }
+    
     await ctx.answerCbQuery('Processing transaction...');
+    await executeConfirmedSend(ctx);
+});
+
+// Execute the transfer stored in the session, optionally unlocking the wallet with a PIN
+async function executeConfirmedSend(ctx, pin = null) {
+    const session = getSession(ctx);
+    
+    // Create a status message that will be updated throughout the process
     const statusMessage = await ctx.reply('💸 Initializing transaction...');
     
     try {
@@ -968,14 +1393,15 @@ bot.action('confirm_send', async (ctx) => {
             session.sendData.token,
             session.sendData.recipient,
             session.sendData.amount,
-            network
+            network,
+            { pin }
         );
         
         if (result.success) {
-        await ctx.telegram.editMessageText(
-            ctx.chat.id, 
-            statusMessage.message_id, 
-            null,
+            await ctx.telegram.editMessageText(
+                ctx.chat.id, 
+                statusMessage.message_id, 
+                null,
                 `✅ Transaction sent successfully!\n\n${result.message}`,
                 { parse_mode: 'Markdown', disable_web_page_preview: true }
             );
@@ -986,21 +1412,27 @@ bot.action('confirm_send', async (ctx) => {
             
             await ctx.reply('What would you like to do next?', commands.getMainMenu());
         } else {
-        await ctx.telegram.editMessageText(
-            ctx.chat.id, 
-            statusMessage.message_id, 
-            null,
+            await ctx.telegram.editMessageText(
+                ctx.chat.id, 
+                statusMessage.message_id, 
+                null,
                 `❌ Transaction failed: ${result.message}`,
                 { parse_mode: 'Markdown' }
             );
             
+            // Keep the transfer so the user can retry with the right PIN
+            if (result.code === 'INVALID_PIN') {
+                return secretFlows.requestSigningPin(ctx, 'send');
+            }
+            
+            setState(ctx, STATES.IDLE);
             await ctx.reply('Would you like to try again?', commands.getMainMenu());
         }
     } catch (error) {
         console.error('Error sending transaction:', error);
         
         await ctx.telegram.editMessageText(
-            ctx.chat.id, 
+            ctx.chat.id,
             statusMessage.message_id, 
             null,
             `❌ Transaction failed with error: ${error.message}`,
@@ -1009,8 +1441,159 @@ bot.action('confirm_send', async (ctx) => {
         
         await ctx.reply('Would you like to try again?', commands.getMainMenu());
     }
+}
+
+// Reload the approvals list
+bot.action('approvals_refresh', async (ctx) => {
+    console.log(`ACTION HANDLER: Approvals refresh by user ${ctx.from.id}`);
+    await ctx.answerCbQuery('Refreshing...');
+    await showApprovals(ctx, true);
+});
+
+// Handle revoke buttons on the approvals list
+bot.action(/^approval_revoke_(\d+)$/, async (ctx) => {
+    console.log(`ACTION HANDLER: Revoke approval pressed by user ${ctx.from.id}`);
+    const session = getSession(ctx);
+    
+    const approval = session.approvals && session.approvals[parseInt(ctx.match[1], 10)];
+    if (!approval) {
+        await ctx.answerCbQuery('This list is out of date, refreshing...');
+        return showApprovals(ctx, true);
+    }
+    session.pendingRevoke = approval;
+    
+    // PIN-protected wallets are signed once the PIN arrives in the text handler
+    if (walletManager.isPinRequired(ctx.from.id.toString())) {
+        await ctx.answerCbQuery('Spending PIN required');
+        return secretFlows.requestSigningPin(ctx, 'revoke', `revoke the ${approval.symbol} approval`);
+    }
+    
+    await ctx.answerCbQuery('Revoking approval...');
+    await executeConfirmedRevoke(ctx);
+});
+
+// Revoke the approval stored in the session, optionally unlocking the wallet with a PIN
+async function executeConfirmedRevoke(ctx, pin = null) {
+    const session = getSession(ctx);
+    const approval = session.pendingRevoke;
+    setState(ctx, STATES.IDLE);
+    
+    if (!approval) {
+        return ctx.reply('Nothing is waiting to be revoked.', commands.getMainMenu());
+    }
+    
+    const statusMessage = await ctx.reply(`🚫 Revoking the ${approval.symbol} approval...`);
+    
+    try {
+        const result = await commands.revokeApproval(
+            ctx.from.id.toString(),
+            approval.tokenAddress,
+            approval.spender,
+            session.settings.network || 'MONAD',
+            { pin }
+        );
+        
+        if (!result.success && result.code === 'INVALID_PIN') {
+            await ctx.telegram.editMessageText(ctx.chat.id, statusMessage.message_id, null, `❌ ${result.message}`);
+            return secretFlows.requestSigningPin(ctx, 'revoke', `revoke the ${approval.symbol} approval`);
+        }
+        
+        session.pendingRevoke = null;
+        await ctx.telegram.editMessageText(
+            ctx.chat.id,
+            statusMessage.message_id,
+            null,
+            result.success ? result.message : `❌ Revoke failed: ${result.message}`,
+            { parse_mode: 'Markdown', disable_web_page_preview: true }
+        );
+        
+        if (result.success) {
+            await showApprovals(ctx);
+        }
+    } catch (error) {
+        console.error('Error revoking approval:', error);
+        session.pendingRevoke = null;
+        await ctx.telegram.editMessageText(ctx.chat.id, statusMessage.message_id, null, `❌ Revoke failed: ${error.message}`);
+    }
+}
+
+// Pending transactions command
+bot.command('pending', async (ctx) => {
+    const userId = ctx.from.id.toString();
+    console.log(`Pending command received from user ${userId}`);
+    setState(ctx, STATES.IDLE);
+    
+    try {
+        const entries = await commands.getPendingTransactions(userId);
+        if (entries.length === 0) {
+            return ctx.reply('✅ You have no pending transactions.');
+        }
+        
+        for (const entry of entries) {
+            const { message, keyboard } = commands.getPendingTransactionView(entry);
+            await ctx.reply(message, { parse_mode: 'Markdown', disable_web_page_preview: true, ...keyboard });
+        }
+    } catch (error) {
+        console.error(`Error loading pending transactions for user ${userId}:`, error);
+        await ctx.reply(`❌ Error loading pending transactions: ${error.message}`);
+    }
 });
 
+// Speed up or cancel a pending transaction
+bot.action(/^tx_(speedup|cancel)_([0-9a-f]{12})$/, async (ctx) => {
+    const cancel = ctx.match[1] === 'cancel';
+    console.log(`ACTION HANDLER: ${cancel ? 'Cancel' : 'Speed up'} of transaction ${ctx.match[2]} pressed by user ${ctx.from.id}`);
+    
+    // The replacement is signed by the wallet that sent the transaction, whichever wallet is active
+    const wallet = commands.getPendingTransactionWallet(ctx.from.id.toString(), ctx.match[2]);
+    if (!wallet) {
+        return ctx.answerCbQuery('This transaction is no longer pending, or its wallet was removed.');
+    }
+    
+    const session = getSession(ctx);
+    session.pendingReplacement = { id: ctx.match[2], cancel };
+    const purpose = `${cancel ? 'cancel' : 'speed up'} this transaction from ${wallet.name}`;
+    
+    // PIN-protected wallets are signed once the PIN arrives in the text handler
+    if (wallet.pinProtected) {
+        await ctx.answerCbQuery('Spending PIN required');
+        return secretFlows.requestSigningPin(ctx, 'replace', purpose);
+    }
+    
+    await ctx.answerCbQuery(cancel ? 'Cancelling...' : 'Speeding up...');
+    await executeConfirmedReplacement(ctx);
+});
+
+// Send the speed-up or cancel stored in the session, optionally unlocking the wallet with a PIN
+async function executeConfirmedReplacement(ctx, pin = null) {
+    const session = getSession(ctx);
+    const replacement = session.pendingReplacement;
+    setState(ctx, STATES.IDLE);
+    
+    if (!replacement) {
+        return ctx.reply('Nothing is waiting to be sped up or cancelled.', commands.getMainMenu());
+    }
+    
+    try {
+        const result = await commands.replacePendingTransaction(ctx.from.id.toString(), replacement.id, replacement.cancel, { pin });
+        
+        if (!result.success && result.code === 'INVALID_PIN') {
+            await ctx.reply(`❌ ${result.message}`);
+            return secretFlows.requestSigningPin(ctx, 'replace', `${replacement.cancel ? 'cancel' : 'speed up'} this transaction`);
+        }
+        
+        session.pendingReplacement = null;
+        await ctx.reply(
+            result.success ? result.message : `❌ ${result.message}`,
+            { parse_mode: 'Markdown', disable_web_page_preview: true, ...commands.getMainMenu() }
+        );
+    } catch (error) {
+        console.error('Error replacing transaction:', error);
+        session.pendingReplacement = null;
+        await ctx.reply(`❌ Could not replace the transaction: ${error.message}`);
+    }
+}
+
 // Handle cancel send action
 bot.action('cancel_send', async (ctx) => {
     console.log(`ACTION HANDLER: Cancel send button pressed by user ${ctx.from.id}`);
@@ -1124,6 +1707,12 @@ bot.action(/refresh_token_(.+)/, async (ctx) => {
             const formattedBalance = ethers.formatUnits(balance, decimals);
             const formattedTotalSupply = ethers.formatUnits(totalSupply, decimals);
             
+            // Simulate a buy and a sell so honeypots are flagged before anyone buys
+            const safetyCheck = await integration.honeypotChecker.check(tokenAddress).catch(error => {
+                console.error('Honeypot check failed:', error.message);
+                return null;
+            });
+            
             // Create a response message with token details
             const message = escapeMarkdown(`📊 *TOKEN DETAILS* (Refreshed)
 
@@ -1140,6 +1729,7 @@ bot.action(/refresh_token_(.+)/, async (ctx) => {
 • *Your Balance:*  \`${formattedBalance} ${symbol}\`
 • *Total Supply:*  \`${formattedTotalSupply}\`
 
+${commands.formatHoneypotCheck(safetyCheck)}
 🔍 [View on Explorer](${integration.network.blockExplorerUrl}/token/${tokenAddress})`);
             
             // Get shortened token ID once 
@@ -1254,13 +1844,19 @@ bot.action(/swap_amount_(\d+)_(.+)/, async (ctx) => {
             // Confirm the swap with the user
             const slippage = session.settings?.slippage || BOT_CONFIG.DEFAULT_SLIPPAGE;
             
+            const swapPreview = await commands.getSwapPreview(
+                tokenAddress, session.swapData.toToken, amount, session.settings?.network || 'MONAD',
+                { userId: ctx.from.id.toString(), slippage }
+            );
+            
             // Use reply instead of replyWithMarkdown to avoid syntax issues
             await ctx.reply(
                 `*Confirm Swap* 💱\n\n` +
                 `Network: *${networkConfig.name}*\n` +
                 `From: *${amount} ${symbol}* (${percentage}% of balance)\n` +
                 `To: *${networkConfig.nativeCurrency}*\n` +
-                `Slippage Tolerance: *${slippage}%*\n\n` +
+                `Slippage Tolerance: *${slippage}%*\n` +
+                swapPreview + `\n` +
                 `Do you want to proceed with this swap?`,
                 {
                     parse_mode: 'Markdown',
@@ -1599,7 +2195,7 @@ bot.action(/swap_to_(.+)_from_(.+)/, async (ctx) => {
                         keyboard: [
                             ['25% of balance', '50% of balance', '100% of balance'],
                             ['0.1', '1', '10'],
-                            ['❌ Cancel']
+                            ['🎯 Buy Exact Amount', '❌ Cancel']
                         ],
                         resize_keyboard: true
                     }
@@ -1674,7 +2270,7 @@ bot.action(/swap_to_native_from_(.+)/, async (ctx) => {
                         keyboard: [
                             ['25% of balance', '50% of balance', '100% of balance'],
                             ['0.1', '1', '10'],
-                            ['❌ Cancel']
+                            ['🎯 Buy Exact Amount', '❌ Cancel']
                         ],
                         resize_keyboard: true
                     }
@@ -1704,15 +2300,23 @@ bot.on('text', async (ctx) => {
         setState(ctx, STATES.IDLE);
         resetSwapData(ctx);
         resetSendData(ctx);
+        secretFlows.resetSecretData(ctx);
         return ctx.reply('Operation cancelled.', commands.getMainMenu());
     }
     
+    // PINs and keystore passwords; these are deleted before anything else reads them
+    if (await secretFlows.handleText(ctx)) {
+        return;
+    }
+    
     // Custom token address scanning
     // Check if the text looks like an ethereum address - Auto-detect contract address pasting
     if (text.startsWith('0x') && text.length === 42 && 
         session.state !== STATES.AWAITING_PRIVATE_KEY && 
         session.state !== STATES.AWAITING_TOKEN_ADDRESS && 
-        session.state !== STATES.AWAITING_RECIPIENT) {
+        session.state !== STATES.AWAITING_RECIPIENT &&
+        session.state !== STATES.AWAITING_WATCH_ADDRESS &&
+        session.state !== STATES.AWAITING_WALLET_NAME) {
         
         console.log(`Detected token address input: ${text}`);
         
@@ -1764,6 +2368,12 @@ bot.on('text', async (ctx) => {
                 const formattedBalance = ethers.formatUnits(balance, decimals);
                 const formattedTotalSupply = ethers.formatUnits(totalSupply, decimals);
                 
+                // Simulate a buy and a sell so honeypots are flagged before anyone buys
+                const safetyCheck = await integration.honeypotChecker.check(text).catch(error => {
+                    console.error('Honeypot check failed:', error.message);
+                    return null;
+                });
+                
                 // Create a more professional response message with token details
                 const message = escapeMarkdown(`📊 *TOKEN DETAILS*
 
@@ -1780,6 +2390,7 @@ bot.on('text', async (ctx) => {
 • *Your Balance:*  \`${formattedBalance} ${symbol}\`
 • *Total Supply:*  \`${formattedTotalSupply}\`
 
+${commands.formatHoneypotCheck(safetyCheck)}
 🔍 [View on Explorer](${integration.network.blockExplorerUrl}/token/${text})`);
                 
                                 // Get shortened token ID once 
@@ -1859,15 +2470,94 @@ bot.on('text', async (ctx) => {
             await ctx.reply(`❌ Error processing token: ${error.message}`);
             return;
         }
+    } else if (session.state === STATES.AWAITING_TOKEN_ADDRESS && !session.sendData.customToken) {
+        // /token: token details with the contract risk report
+        await ctx.reply('🔍 Inspecting token contract... Please wait...');
+        const tokenInfo = await commands.getTokenInfo(ctx, text.trim(), session.settings?.network || 'MONAD');
+        setState(ctx, STATES.IDLE);
+        await ctx.replyWithMarkdown(tokenInfo, { disable_web_page_preview: true, ...commands.getMainMenu() });
+    } else if (session.state === STATES.AWAITING_WALLET_NAME) {
+        const { walletId } = session.walletManagement || {};
+        
+        try {
+            const wallet = walletManager.renameWallet(ctx.from.id.toString(), walletId, text);
+            setState(ctx, STATES.IDLE);
+            session.walletManagement = null;
+            
+            await ctx.replyWithMarkdown(`✅ Wallet renamed to *${commands.escapeMarkdown(wallet.name)}*.`, commands.getWalletMenu());
+        } catch (error) {
+            console.error('Error renaming wallet:', error.message);
+            await ctx.reply(`❌ ${error.message}`);
+        }
+    } else if (session.state === STATES.AWAITING_DELETE_CONFIRMATION) {
+        const { walletId, suffix } = session.walletManagement || {};
+        setState(ctx, STATES.IDLE);
+        session.walletManagement = null;
+        
+        if (!suffix || text.trim().toLowerCase() !== suffix.toLowerCase()) {
+            return ctx.reply('The characters did not match, so nothing was deleted.', commands.getWalletMenu());
+        }
+        
+        try {
+            const wallet = walletManager.getWallet(ctx.from.id.toString(), walletId);
+            if (!walletManager.deleteWallet(ctx.from.id.toString(), walletId)) {
+                return ctx.reply('❌ This wallet no longer exists, so nothing was deleted.', commands.getWalletMenu());
+            }
+            
+            await ctx.replyWithMarkdown(
+                `🗑 *${commands.escapeMarkdown(wallet.name)}* (\`${wallet.address}\`) was deleted.`,
+                commands.getWalletMenu()
+            );
+        } catch (error) {
+            console.error('Error deleting wallet:', error.message);
+            await ctx.reply(`❌ Could not delete wallet: ${error.message}`, commands.getWalletMenu());
+        }
+    } else if (session.state === STATES.AWAITING_GAS_FEES) {
+        const [maxFeeGwei, priorityFeeGwei] = text.trim().split(/\s+/).map(Number);
+        
+        if (!commands.userPreferences.setGasSettings(ctx.from.id.toString(), { preset: 'custom', maxFeeGwei, priorityFeeGwei })) {
+            return ctx.reply('❌ Enter two numbers in gwei with at most 9 decimals, the max fee first, e.g. `100 2`. The max fee cannot be lower than the priority fee.', { parse_mode: 'Markdown' });
+        }
+        setState(ctx, STATES.IDLE);
+        
+        const warning = await commands.getCustomFeeWarning(ctx.from.id.toString(), session.settings.network || 'MONAD');
+        await ctx.reply(
+            `✅ Custom gas fees saved: max fee ${maxFeeGwei} gwei, priority fee ${priorityFeeGwei} gwei.${warning ? `\n\n${warning}` : ''}`,
+            commands.getSettingsMenu()
+        );
+        await showGasSettings(ctx);
+    } else if (session.state === STATES.AWAITING_WATCH_ADDRESS) {
+        try {
+            const wallet = walletManager.addWatchOnlyWallet(ctx.from.id.toString(), text);
+            setState(ctx, STATES.IDLE);
+            
+            await ctx.replyWithMarkdown(
+                `*Address Added* 👁\n\n` +
+                `Name: *${commands.escapeMarkdown(wallet.name)}* (view only)\n` +
+                `Address: \`${wallet.address}\`\n\n` +
+                `Use /wallets to make it your active wallet and follow its balances.`,
+                commands.getWalletMenu()
+            );
+        } catch (error) {
+            console.error('Error adding watch-only address:', error.message);
+            await ctx.reply(`❌ ${error.message}`);
+        }
     } else if (session.state === STATES.AWAITING_PRIVATE_KEY) {
-        // Check if this looks like a private key
-        if (!text.startsWith('0x') || text.length !== 66) {
-            return ctx.reply('Please enter a valid private key (66 characters, starts with 0x).');
+        const isMnemonic = walletManager.isMnemonic(text);
+        
+        // Whatever was pasted here may be a secret, even if it turns out to be malformed
+        await secretFlows.deleteSensitiveMessage(ctx, isMnemonic ? 'recovery phrase' : 'private key');
+        
+        // Check if this looks like a private key or recovery phrase
+        if (!isMnemonic && (!text.startsWith('0x') || text.length !== 66)) {
+            return ctx.reply('Please enter a valid private key (66 characters, starts with 0x) or a 12/24-word recovery phrase.');
         }
         
         try {
             // Import the wallet
-            const walletDetails = walletManager.importWallet(ctx.from.id.toString(), text);
+            const walletDetails = isMnemonic
+                ? walletManager.importMnemonic(ctx.from.id.toString(), text)
+                : walletManager.importWallet(ctx.from.id.toString(), text);
             
             // Respond with success
         await ctx.reply(
@@ -1882,9 +2572,51 @@ bot.on('text', async (ctx) => {
             console.error('Error importing wallet:', error);
             await ctx.reply(`❌ Error importing wallet: ${error.message}`);
         }
+    } else if (session.state === STATES.AWAITING_RECIPIENT) {
+        const recipient = text.trim();
+        if (!ethers.isAddress(recipient)) {
+            return ctx.reply('❌ That is not a valid address. Please enter the recipient address:');
+        }
+        
+        session.sendData.recipient = ethers.getAddress(recipient);
+        setState(ctx, STATES.AWAITING_SEND_AMOUNT);
+        await ctx.reply(
+            `Enter the amount of ${session.sendData.tokenSymbol || session.sendData.token} to send:`,
+            Markup.keyboard([['❌ Cancel']]).resize()
+        );
+    } else if (session.state === STATES.AWAITING_SEND_AMOUNT) {
+        const amount = text.trim();
+        if (!/^\d*\.?\d+$/.test(amount) || parseFloat(amount) <= 0) {
+            return ctx.reply('Please enter the amount to send as a positive number.');
+        }
+        
+        // Show the transfer with its network fee before anything is signed
+        session.sendData.amount = amount;
+        const preview = await commands.getSendPreview(
+            ctx.from.id.toString(),
+            session.sendData.token,
+            session.sendData.recipient,
+            amount,
+            session.settings.network || 'MONAD'
+        );
+        await ctx.reply(preview.message, { parse_mode: 'Markdown', ...preview.keyboard });
     } else if (session.state === STATES.AWAITING_AMOUNT) {
         console.log(`Amount input received: ${text}`);
         
+        // Switch to an exact-output swap: the next amount is what the user receives
+        if (text === '🎯 Buy Exact Amount') {
+            session.swapData.exactOutput = true;
+            return ctx.reply(
+                `Enter the exact amount of ${session.swapData.toTokenSymbol} you want to receive. ` +
+                `Your slippage setting caps how much ${session.swapData.fromTokenSymbol} can be spent.`,
+                Markup.keyboard([['❌ Cancel']]).resize()
+            );
+        }
+        
+        if (session.swapData.exactOutput && !/^\d*\.?\d+$/.test(text.trim())) {
+            return ctx.reply(`Please enter the amount of ${session.swapData.toTokenSymbol} to receive as a number.`);
+        }
+        
         // Handle MAX input
         if (text.toUpperCase() === 'MAX') {
             // Would need to get user's balance here
@@ -1939,13 +2671,19 @@ bot.on('text', async (ctx) => {
                 const networkName = getNetworkDisplayName(session.settings?.network || 'MONAD');
                 const slippage = session.settings?.slippage || BOT_CONFIG.DEFAULT_SLIPPAGE;
                 
+                const swapPreview = await commands.getSwapPreview(
+                    session.swapData.fromToken, session.swapData.toToken, amount, session.settings?.network || 'MONAD',
+                    { userId: ctx.from.id.toString(), slippage }
+                );
+                
                 // Confirm the swap with the user
                 await ctx.replyWithMarkdown(
                     `*Confirm Swap* 💱\n\n` +
                     `Network: *${networkName}*\n` +
                     `From: *${amount} ${session.swapData.fromTokenSymbol}*\n` +
                     `To: *${session.swapData.toTokenSymbol}*\n` +
-                    `Slippage Tolerance: *${slippage}%*\n\n` +
+                    `Slippage Tolerance: *${slippage}%*\n` +
+                    swapPreview + `\n` +
                     `Do you want to proceed with this swap?`,
                     {
                         reply_markup: {
@@ -1989,13 +2727,23 @@ bot.on('text', async (ctx) => {
             // Get slippage setting
             const slippage = session.settings?.slippage || BOT_CONFIG.DEFAULT_SLIPPAGE;
             
+            const exactOutput = !!session.swapData.exactOutput;
+            const swapPreview = await commands.getSwapPreview(
+                session.swapData.fromToken, session.swapData.toToken, amount, session.settings?.network || 'MONAD',
+                { exactOutput, slippage, userId: ctx.from.id.toString() }
+            );
+            
             // Confirm the swap with the user
             await ctx.replyWithMarkdown(
                 `*Confirm Swap* 💱\n\n` +
                 `Network: *${networkName}*\n` +
-                `From: *${amount} ${session.swapData.fromTokenSymbol}*\n` +
-                `To: *${session.swapData.toTokenSymbol}*\n` +
-                `Slippage Tolerance: *${slippage}%*\n\n` +
+                (exactOutput
+                    ? `Buy: *exactly ${amount} ${session.swapData.toTokenSymbol}*\n` +
+                      `Pay With: *${session.swapData.fromTokenSymbol}*\n`
+                    : `From: *${amount} ${session.swapData.fromTokenSymbol}*\n` +
+                      `To: *${session.swapData.toTokenSymbol}*\n`) +
+                `Slippage Tolerance: *${slippage}%*\n` +
+                swapPreview + `\n` +
                 `Do you want to proceed with this swap?`,
                 {
                     reply_markup: {
@@ -2030,6 +2778,28 @@ bot.launch()
         console.error('Please check your Telegram bot token in the .env file');
     });
 
+// Post updates about pending transactions: stuck ones get Speed Up / Cancel buttons
+let checkingPendingTransactions = false;
+setInterval(async () => {
+    // A slow RPC must not start a second check on top of the running one
+    if (checkingPendingTransactions) {
+        return;
+    }
+    checkingPendingTransactions = true;
+    
+    try {
+        const notifications = await commands.checkPendingTransactions();
+        for (const { userId, message, keyboard } of notifications) {
+            await bot.telegram.sendMessage(userId, message, { parse_mode: 'Markdown', disable_web_page_preview: true, ...(keyboard || {}) })
+                .catch(error => console.error(`Error posting a transaction update to user ${userId}:`, error.message));
+        }
+    } catch (error) {
+        console.error('Error checking pending transactions:', error);
+    } finally {
+        checkingPendingTransactions = false;
+    }
+}, BOT_CONFIG.PENDING_TX_POLL_SECONDS * 1000);
+
 // Enhanced error handling
 bot.catch((err, ctx) => {
     console.error(`❌ BOT ERROR for ${ctx.updateType}:`, err);
@@ -1,14 +1,87 @@
 require('dotenv').config();
+const path = require('path');
 
 // ABIs
 const ROUTER_V2_ABI = [
     "function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)",
+    "function getAmountsIn(uint amountOut, address[] memory path) public view returns (uint[] memory amounts)",
     "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
     "function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
     "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+    "function swapETHForExactTokens(uint amountOut, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
+    "function swapTokensForExactETH(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+    "function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+    "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable",
+    "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external",
+    "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external",
     "function WETH() external pure returns (address)"
 ];
 
+const FACTORY_V2_ABI = [
+    "function getPair(address tokenA, address tokenB) external view returns (address pair)"
+];
+
+const PAIR_V2_ABI = [
+    "function token0() external view returns (address)",
+    "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"
+];
+
+const V3_FACTORY_ABI = [
+    "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)"
+];
+
+const V3_POOL_ABI = [
+    "function liquidity() external view returns (uint128)",
+    "function token0() external view returns (address)",
+    "function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)"
+];
+
+// QuoterV2: not a view function, so it must be called with staticCall
+const V3_QUOTER_ABI = [
+    "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)"
+];
+
+const UNIVERSAL_ROUTER_ABI = [
+    "function execute(bytes commands, bytes[] inputs, uint256 deadline) external payable",
+    "error ExecutionFailed(uint256 commandIndex, bytes message)",
+    "error TransactionDeadlinePassed()",
+    "error InsufficientETH()",
+    "error InsufficientToken()",
+    "error V3TooLittleReceived()",
+    "error V3TooMuchRequested()",
+    "error V3InvalidSwap()",
+    "error V3InvalidAmountOut()",
+    "error V2TooLittleReceived()",
+    "error V2TooMuchRequested()",
+    "error V2InvalidPath()"
+];
+
+const PERMIT2_ABI = [
+    "function approve(address token, address spender, uint160 amount, uint48 expiration) external",
+    "function allowance(address owner, address token, address spender) external view returns (uint160 amount, uint48 expiration, uint48 nonce)",
+    "error AllowanceExpired(uint256 deadline)",
+    "error InsufficientAllowance(uint256 amount)"
+];
+
+// SwapRouter02: V2 and V3 swaps plus selfPermit, batched through multicall
+const SWAP_ROUTER_02_ABI = [
+    "function multicall(uint256 deadline, bytes[] data) external payable returns (bytes[] results)",
+    "function selfPermit(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external payable",
+    "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to) external payable returns (uint256 amountOut)",
+    "function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to) external payable returns (uint256 amountIn)",
+    "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) external payable returns (uint256 amountOut)",
+    "function unwrapWETH9(uint256 amountMinimum, address recipient) external payable"
+];
+
+// EIP-2612 permit, with the EIP-5267 domain getter some tokens add
+const ERC20_PERMIT_ABI = [
+    "function DOMAIN_SEPARATOR() external view returns (bytes32)",
+    "function nonces(address owner) external view returns (uint256)",
+    "function name() external view returns (string)",
+    "function version() external view returns (string)",
+    "function eip712Domain() external view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
 const ERC20_ABI = [
     "function approve(address spender, uint256 amount) external returns (bool)",
     "function allowance(address owner, address spender) external view returns (uint256)",
@@ -16,7 +89,15 @@ const ERC20_ABI = [
     "function decimals() external view returns (uint8)",
     "function symbol() external view returns (string)",
     "function name() external view returns (string)",
-    "function transfer(address recipient, uint256 amount) external returns (bool)"
+    "function transfer(address recipient, uint256 amount) external returns (bool)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)"
+];
+
+// Events of the wrapped native token (WMON), emitted when routers wrap or unwrap MON
+const WRAPPED_NATIVE_ABI = [
+    "event Deposit(address indexed dst, uint256 wad)",
+    "event Withdrawal(address indexed src, uint256 wad)"
 ];
 
 // Network Configuration
@@ -30,8 +111,15 @@ const NETWORKS = {
         addresses: {
             ROUTER: '0xfb8e1c3b833f9e67a71c859a132cf783b645e436',
             FACTORY: '0x733e88f248b742db6c14c0b1713af5ad7fdd59d0',
-            WETH: '0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701'
+            WETH: '0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701',
+            V3_FACTORY: '0x961235a9020b05c44df1026d956d1f4d78014276',
+            V3_QUOTER: process.env.MONAD_V3_QUOTER || '0x1ba215c17565de7b0cb7ecab971bcf540c24a862',
+            UNIVERSAL_ROUTER: '0x3ae6d8a282d67893e17aa70ebffb33ee5aa65893',
+            SWAP_ROUTER_02: process.env.MONAD_SWAP_ROUTER_02 || '0x4c4eabd5fb1d1a7234a48692551eaecff8194ca7',
+            PERMIT2: '0x000000000022D473030F116dDEE9F6B43aC78BA3'
         },
+        // Uniswap V3 fee tiers (hundredths of a basis point) searched for pools
+        v3FeeTiers: [100, 500, 3000, 10000],
         tokens: {
             'WETH': {
                 address: '0xB5a30b0FDc5EA94A52fDc42e3E9760Cb8449Fb37',
@@ -129,9 +217,24 @@ const BOT_CONFIG = {
     // Default deadline for transactions (in minutes)
     DEFAULT_DEADLINE: 20,
     
-    // Default gas limit for transactions
+    // Gas limit assumed for fee estimates of transactions that cannot be estimated yet (e.g. before an approval)
     DEFAULT_GAS_LIMIT: 300000,
     
+    // EIP-1559 fees: blocks of eth_feeHistory behind the slow/normal/fast presets, the priority fee
+    // percentile each preset pays, and the default buffer on gas estimates (users can change both in settings)
+    GAS_FEE_HISTORY_BLOCKS: 20,
+    GAS_PRESET_PERCENTILES: { slow: 10, normal: 50, fast: 90 },
+    GAS_LIMIT_MULTIPLIER: 1.2,
+    
+    // Seconds after which a sent transaction the node no longer knows is treated as dropped and its nonce reused
+    NONCE_DROP_SECONDS: 60,
+    
+    // Pending transactions: how often they are checked, after how long they are flagged as stuck,
+    // and the fee increase a speed-up or cancel pays over the transaction it replaces
+    PENDING_TX_POLL_SECONDS: 15,
+    PENDING_TX_STUCK_SECONDS: 120,
+    REPLACEMENT_FEE_BUMP_PERCENT: 15,
+    
     // Alchemy API key for RPC access
     ALCHEMY_API_KEY: process.env.ALCHEMY_API_KEY || 'JR7qnZW40eavpINEfVB4AHZIKvcnP1NS',
     
@@ -139,12 +242,55 @@ const BOT_CONFIG = {
     BLOCKVISION_API_KEY: process.env.BLOCKVISION_API_KEY || '2xEdzNNWrkHVW3y0BOPMXASu0Na',
     
     // Telegram Bot Token
-    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN
+    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
+    
+    // Location of the encrypted wallet vault
+    WALLET_STORE_PATH: process.env.WALLET_STORE_PATH || path.join(__dirname, '../data/wallets.json'),
+    
+    // Spending PIN: wrong attempts allowed before the wallet is locked, and for how long
+    PIN_MAX_ATTEMPTS: 5,
+    PIN_LOCKOUT_MINUTES: 15,
+    
+    // Seconds before messages containing a generated private key or recovery phrase are deleted
+    SECRET_MESSAGE_TTL_SECONDS: parseInt(process.env.SECRET_MESSAGE_TTL_SECONDS, 10) || 120,
+    
+    // Price impact (%) above which swaps are flagged with a warning
+    HIGH_PRICE_IMPACT_PERCENT: 5,
+    
+    // Fee-on-transfer detection: MON spent by the simulated buy, and how long a measured tax is reused
+    TAX_PROBE_AMOUNT_MON: '0.01',
+    TAX_CACHE_MINUTES: 10,
+    
+    // Honeypot check on buys: tax (%) that triggers a warning, and sell tax (%) at which the buy is blocked
+    HIGH_TAX_WARNING_PERCENT: 10,
+    HONEYPOT_SELL_TAX_PERCENT: 50,
+    
+    // Token risk report: blocks of Transfer logs scanned for holders (fetched in chunks), how many
+    // recipients have their balance read, and the top-5 share (%) flagged as concentrated
+    HOLDER_SCAN_BLOCKS: 5000,
+    HOLDER_SCAN_CHUNK_BLOCKS: 500,
+    HOLDER_SCAN_CANDIDATES: 50,
+    HOLDER_CONCENTRATION_PERCENT: 50,
+    
+    // Approvals screen: blocks of Approval logs scanned for the wallet's spenders (fetched in chunks);
+    // the routers and Permit2 are always checked for the listed tokens
+    APPROVAL_SCAN_BLOCKS: 20000,
+    APPROVAL_SCAN_CHUNK_BLOCKS: 1000
 };
 
 module.exports = {
     NETWORKS,
     BOT_CONFIG,
     ROUTER_V2_ABI,
-    ERC20_ABI
+    FACTORY_V2_ABI,
+    PAIR_V2_ABI,
+    V3_FACTORY_ABI,
+    V3_POOL_ABI,
+    V3_QUOTER_ABI,
+    UNIVERSAL_ROUTER_ABI,
+    PERMIT2_ABI,
+    SWAP_ROUTER_02_ABI,
+    ERC20_PERMIT_ABI,
+    ERC20_ABI,
+    WRAPPED_NATIVE_ABI
 }; 
\ No newline at end of file
@@ -4,8 +4,12 @@ const MonadIntegration = require('./utils/monadIntegration');
 const MegaethIntegration = require('./utils/megaethIntegration');
 const WalletManager = require('./utils/walletManager');
 const TelegramCommands = require('./utils/telegramCommands');
+const SecretMessages = require('./utils/secretMessages');
+const { SecretFlows, SECRET_STATES } = require('./utils/secretFlows');
 const { BOT_CONFIG, NETWORKS } = require('./config');
+const { assertEncryptionKey } = require('./utils/encryption');
 const ethers = require('ethers');
+const axios = require('axios');
 
 // Add better global error handling
 process.on('unhandledRejection', (reason, promise) => {
@@ -27,6 +31,16 @@ if (!/^\d+:[A-Za-z0-9_-]{35}$/.test(process.env.TELEGRAM_BOT_TOKEN)) {
     console.warn('Attempting to start anyway...');
 }
 
+// Refuse to start without a real master key for wallet encryption
+try {
+    assertEncryptionKey(process.env.ENCRYPTION_KEY);
+} catch (error) {
+    console.error(`❌ ERROR: ${error.message}`);
+    console.error('Please add a long, random encryption key to your .env file as ENCRYPTION_KEY. Generate one with:');
+    console.error('node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
+    process.exit(1);
+}
+
 // Override env RPC URL with config value to ensure consistency
 if (NETWORKS.MONAD && NETWORKS.MONAD.rpc) {
     process.env.MONAD_RPC_URL = NETWORKS.MONAD.rpc;
@@ -36,6 +50,7 @@ if (NETWORKS.MONAD && NETWORKS.MONAD.rpc) {
 console.log("\n=== STARTUP ENVIRONMENT CHECK ===");
 console.log(`Bot Token: ${process.env.TELEGRAM_BOT_TOKEN ? "Configured ✓" : "MISSING ✗"}`);
 console.log(`Monad RPC URL: ${process.env.MONAD_RPC_URL ? process.env.MONAD_RPC_URL : "MISSING ✗"}`);
+console.log(`Encryption Key: ${process.env.ENCRYPTION_KEY ? "Configured ✓" : "MISSING ✗"}`);
 console.log("===================================\n");
 
 // Bot State
@@ -57,7 +72,11 @@ const STATES = {
     AWAITING_REMOVE_TOKEN: 'awaiting_remove_token',
     AWAITING_PRICE_TOKEN: 'awaiting_price_token',
     AWAITING_TOKEN_ADDRESS: 'awaiting_token_address',
-    AWAITING_NETWORK_SELECTION: 'awaiting_network_selection'
+    AWAITING_NETWORK_SELECTION: 'awaiting_network_selection',
+    ...SECRET_STATES,
+    AWAITING_WATCH_ADDRESS: 'awaiting_watch_address',
+    AWAITING_WALLET_NAME: 'awaiting_wallet_name',
+    AWAITING_DELETE_CONFIRMATION: 'awaiting_delete_confirmation'
 };
 
 // Initialize bot
@@ -91,6 +110,11 @@ try {
 // Initialize managers
 const walletManager = new WalletManager();
 const commands = new TelegramCommands(walletManager, defaultMonadIntegration, defaultMegaethIntegration);
+const secretMessages = new SecretMessages();
+
+// Spending PIN, sub-wallet and keystore flows, shared with alt_index.js
+const secretFlows = new SecretFlows(bot, walletManager, commands, { getSession, setState, secretMessages });
+secretFlows.register();
 
 // User session initialization
 function getSession(ctx) {
@@ -110,7 +134,7 @@ function getSession(ctx) {
     return userSessions[userId];
 }
 
-// Get user's blockchain integration instance based on selected network
+// Get user's read-only blockchain integration (balances/quotes) based on selected network
 function getUserIntegration(userId, network = 'MONAD') {
     console.log(`Attempting to get blockchain integration for user ${userId} on network ${network}`);
     if (!walletManager.hasWallet(userId)) {
@@ -119,17 +143,14 @@ function getUserIntegration(userId, network = 'MONAD') {
     }
     try {
         console.log(`Fetching wallet details for user ${userId}`);
-        const wallet = walletManager.getWalletDetails(userId);
-        if (!wallet || !wallet.privateKey) {
-            console.error(`Invalid wallet data for user ${userId}:`, wallet);
-            return null;
-        }
+        // No private key needed to read balances
+        const wallet = walletManager.getWallet(userId);
         if (network === 'MONAD') {
             console.log(`Creating MONAD Integration for user ${userId} with wallet ${wallet.address}`);
-            return new MonadIntegration(wallet.privateKey);
+            return new MonadIntegration(null, { address: wallet.address });
         } else if (network === 'MEGAETH') {
             console.log(`Creating MegaETH Integration for user ${userId} with wallet ${wallet.address}`);
-            return new MegaethIntegration(wallet.privateKey);
+            return new MegaethIntegration(null, { address: wallet.address });
         }
         return null;
     } catch (error) {
@@ -256,6 +277,8 @@ bot.command('help', async (ctx) => {
         `*Commands:*\n` +
         `/start - Main menu\n` +
         `/wallet - Manage your wallet\n` +
+        `/wallets - Switch the active wallet\n` +
+        `/managewallets - Rename, reorder, archive or delete wallets\n` +
         `/swap - Swap tokens\n` +
         `/send - Send tokens\n` +
         `/balances - View your token balances\n` +
@@ -286,16 +309,18 @@ bot.command('wallet', async (ctx) => {
     setState(ctx, STATES.IDLE);
     
     if (walletManager.hasWallet(ctx.from.id.toString())) {
-        const wallet = walletManager.getWalletDetails(ctx.from.id.toString());
+        const wallet = walletManager.getWallet(ctx.from.id.toString());
         const session = getSession(ctx);
         const currentNetwork = session.settings.network || 'MONAD';
         const explorerUrl = NETWORKS[currentNetwork].blockExplorerUrl;
         
         await ctx.replyWithMarkdown(
             `*Your Wallet* 💼\n\n` +
+            `Name: *${commands.escapeMarkdown(wallet.name)}*${wallet.watchOnly ? ' 👁 _view only_' : ''}\n` +
             `Address: \`${wallet.address}\`\n\n` +
-            `[View on Explorer](${explorerUrl}/address/${wallet.address})`,
-            commands.getMainMenu()
+            `[View on Explorer](${explorerUrl}/address/${wallet.address})\n\n` +
+            `Use /wallets to switch between your wallets.`,
+            commands.getWalletMenu()
         );
     } else {
         await ctx.reply(
@@ -305,6 +330,158 @@ bot.command('wallet', async (ctx) => {
     }
 });
 
+// Wallets command - list wallets and switch the active one
+bot.command('wallets', async (ctx) => {
+    console.log(`Wallets command received from user ${ctx.from.id}`);
+    setState(ctx, STATES.IDLE);
+    const userId = ctx.from.id.toString();
+    
+    if (!walletManager.hasWallet(userId)) {
+        return ctx.reply(
+            'You need to create or import a wallet first:',
+            commands.getWalletMenu()
+        );
+    }
+    
+    try {
+        const session = getSession(ctx);
+        const { message, keyboard } = await commands.getWalletSwitcher(userId, session.settings.network || 'MONAD');
+        await ctx.replyWithMarkdown(message, keyboard);
+    } catch (error) {
+        console.error(`Error listing wallets for user ${userId}:`, error);
+        await ctx.reply(`❌ Error loading wallets: ${error.message}`);
+    }
+});
+
+// Handle wallet selection from the /wallets switcher
+bot.action(/^wallet_select_(.+)$/, async (ctx) => {
+    const userId = ctx.from.id.toString();
+    console.log(`ACTION HANDLER: Wallet selection by user ${userId}`);
+    
+    try {
+        const wallet = walletManager.setActiveWallet(userId, ctx.match[1]);
+        await ctx.answerCbQuery(`Active wallet: ${wallet.name}`);
+        
+        const session = getSession(ctx);
+        const { message, keyboard } = await commands.getWalletSwitcher(userId, session.settings.network || 'MONAD');
+        await ctx.editMessageText(message, { parse_mode: 'Markdown', ...keyboard });
+    } catch (error) {
+        console.error(`Error switching wallet for user ${userId}:`, error);
+        await ctx.answerCbQuery(`❌ ${error.message}`);
+    }
+});
+
+// Show the wallet management list, as a new message or by editing the current one
+async function showWalletManagement(ctx, edit = false) {
+    const userId = ctx.from.id.toString();
+    if (walletManager.getUserWallets(userId, { includeArchived: true }).length === 0) {
+        return ctx.reply('You need to create or import a wallet first:', commands.getWalletMenu());
+    }
+    const { message, keyboard } = commands.getWalletManagementView(userId);
+    if (edit) {
+        return ctx.editMessageText(message, { parse_mode: 'Markdown', ...keyboard });
+    }
+    return ctx.replyWithMarkdown(message, keyboard);
+}
+
+// Redraw the action menu of one wallet after a change
+async function showWalletActions(ctx, walletId) {
+    const { message, keyboard } = commands.getWalletActionsView(ctx.from.id.toString(), walletId);
+    return ctx.editMessageText(message, { parse_mode: 'Markdown', ...keyboard });
+}
+
+// Manage wallets command and button
+bot.command('managewallets', async (ctx) => {
+    setState(ctx, STATES.IDLE);
+    await showWalletManagement(ctx);
+});
+
+bot.hears('🗂 Manage Wallets', async (ctx) => {
+    console.log(`BUTTON HANDLER: Manage Wallets button pressed by user ${ctx.from.id}`);
+    setState(ctx, STATES.IDLE);
+    await showWalletManagement(ctx);
+});
+
+bot.action('wmgr_list', async (ctx) => {
+    await ctx.answerCbQuery();
+    await showWalletManagement(ctx, true);
+});
+
+bot.action(/^wmgr_open_(.+)$/, async (ctx) => {
+    try {
+        await ctx.answerCbQuery();
+        await showWalletActions(ctx, ctx.match[1]);
+    } catch (error) {
+        await ctx.reply(`❌ ${error.message}`);
+    }
+});
+
+bot.action(/^wmgr_default_(.+)$/, async (ctx) => {
+    try {
+        const wallet = walletManager.setActiveWallet(ctx.from.id.toString(), ctx.match[1]);
+        await ctx.answerCbQuery(`Default wallet: ${wallet.name}`);
+        await showWalletActions(ctx, wallet.walletId);
+    } catch (error) {
+        await ctx.answerCbQuery(`❌ ${error.message}`);
+    }
+});
+
+bot.action(/^wmgr_(up|down)_(.+)$/, async (ctx) => {
+    const userId = ctx.from.id.toString();
+    const walletId = ctx.match[2];
+    try {
+        const before = walletManager.getUserWallets(userId, { includeArchived: true })
+            .findIndex(wallet => wallet.walletId === walletId);
+        const after = walletManager.moveWallet(userId, walletId, ctx.match[1] === 'up' ? -1 : 1);
+        if (after === before) {
+            return ctx.answerCbQuery(ctx.match[1] === 'up' ? 'Already at the top' : 'Already at the bottom');
+        }
+        await ctx.answerCbQuery(`Moved to position ${after + 1}`);
+        await showWalletActions(ctx, walletId);
+    } catch (error) {
+        await ctx.answerCbQuery(`❌ ${error.message}`);
+    }
+});
+
+bot.action(/^wmgr_archive_(.+)$/, async (ctx) => {
+    const userId = ctx.from.id.toString();
+    try {
+        const current = walletManager.getWallet(userId, ctx.match[1]);
+        const wallet = walletManager.setWalletArchived(userId, current.walletId, !current.archived);
+        await ctx.answerCbQuery(wallet.archived ? `${wallet.name} archived` : `${wallet.name} restored`);
+        await showWalletActions(ctx, wallet.walletId);
+    } catch (error) {
+        await ctx.answerCbQuery(`❌ ${error.message}`);
+    }
+});
+
+bot.action(/^wmgr_rename_(.+)$/, async (ctx) => {
+    try {
+        const wallet = walletManager.getWallet(ctx.from.id.toString(), ctx.match[1]);
+        await ctx.answerCbQuery();
+        const session = setState(ctx, STATES.AWAITING_WALLET_NAME);
+        session.walletManagement = { walletId: wallet.walletId };
+        await ctx.replyWithMarkdown(`Enter a new name for *${commands.escapeMarkdown(wallet.name)}* (or tap Main Menu to cancel):`);
+    } catch (error) {
+        await ctx.answerCbQuery(`❌ ${error.message}`);
+    }
+});
+
+bot.action(/^wmgr_delete_(.+)$/, async (ctx) => {
+    try {
+        await ctx.answerCbQuery('Checking remaining balance...');
+        const session = getSession(ctx);
+        const { message, suffix } = await commands.getDeleteConfirmation(
+            ctx.from.id.toString(), ctx.match[1], session.settings.network || 'MONAD'
+        );
+        setState(ctx, STATES.AWAITING_DELETE_CONFIRMATION);
+        session.walletManagement = { walletId: ctx.match[1], suffix };
+        await ctx.replyWithMarkdown(message);
+    } catch (error) {
+        await ctx.reply(`❌ ${error.message}`);
+    }
+});
+
 // Swap command
 bot.command('swap', async (ctx) => {
     console.log(`Swap command received from user ${ctx.from.id}`);
@@ -478,15 +655,17 @@ bot.hears('My Wallet', async (ctx) => {
     // Call the same logic as /wallet
     setState(ctx, STATES.IDLE);
     if (walletManager.hasWallet(ctx.from.id.toString())) {
-        const wallet = walletManager.getWalletDetails(ctx.from.id.toString());
+        const wallet = walletManager.getWallet(ctx.from.id.toString());
         const session = getSession(ctx);
         const currentNetwork = session.settings.network || 'MONAD';
         const explorerUrl = NETWORKS[currentNetwork].blockExplorerUrl;
         await ctx.replyWithMarkdown(
             `*Your Wallet* 💼\n\n` +
+            `Name: *${commands.escapeMarkdown(wallet.name)}*${wallet.watchOnly ? ' 👁 _view only_' : ''}\n` +
             `Address: \`${wallet.address}\`\n\n` +
-            `[View on Explorer](${explorerUrl}/address/${wallet.address})`,
-            commands.getMainMenu()
+            `[View on Explorer](${explorerUrl}/address/${wallet.address})\n\n` +
+            `Use /wallets to switch between your wallets.`,
+            commands.getWalletMenu()
         );
     } else {
         await ctx.reply(
@@ -539,7 +718,14 @@ bot.hears('Send', async (ctx) => {
 // Import Wallet button handler
 bot.hears('📥 Import Wallet', async (ctx) => {
     setState(ctx, STATES.AWAITING_PRIVATE_KEY);
-    await ctx.reply('Please enter your wallet private key to import your wallet.\n\n⚠️ *Never share your private key with anyone else!*', { parse_mode: 'Markdown' });
+    await ctx.reply('Please enter your wallet private key or 12/24-word recovery phrase to import your wallet, or upload a JSON keystore file. Your message will be deleted as soon as it has been read.\n\n⚠️ *Never share your private key or recovery phrase with anyone else!*', { parse_mode: 'Markdown' });
+});
+
+// Cancel button handler (PIN prompts)
+bot.hears('❌ Cancel', async (ctx) => {
+    setState(ctx, STATES.IDLE);
+    secretFlows.resetSecretData(ctx);
+    await ctx.reply('Operation cancelled.', commands.getMainMenu());
 });
 
 // Generate Wallet button handler
@@ -550,13 +736,18 @@ bot.hears('🔑 Generate Wallet', async (ctx) => {
         const walletDetails = walletManager.generateWallet(ctx.from.id.toString());
         const session = getSession(ctx);
         const network = session.settings.network || 'MONAD';
-        await ctx.replyWithMarkdown(
+        await secretMessages.send(ctx,
             `*New Wallet Generated* ✅\n\n` +
             `Address: \`${walletDetails.address}\`\n\n` +
-            `Private Key: ||${walletDetails.privateKey}||\n\n` +
-            `⚠️ **IMPORTANT**: Save your private key securely. It will NOT be shown again!\n\n` +
-            `[View on Explorer](${walletManager.getAddressExplorerUrl(walletDetails.address, network)})\n\n` +
-            `Your wallet is now ready to use!`,
+            `Private Key: \`${walletDetails.privateKey}\`\n\n` +
+            `Recovery Phrase: \`${walletDetails.mnemonic}\`\n\n` +
+            `⚠️ *IMPORTANT*: Save your private key and recovery phrase securely. They will NOT be shown again! ` +
+            `The recovery phrase also restores any sub-wallets you create from this wallet.`,
+            'generated private key and recovery phrase'
+        );
+        await ctx.replyWithMarkdown(
+            `Your wallet is now ready to use!\n\n` +
+            `[View on Explorer](${walletManager.getAddressExplorerUrl(walletDetails.address, network)})`,
             commands.getMainMenu()
         );
     } catch (error) {
@@ -565,29 +756,99 @@ bot.hears('🔑 Generate Wallet', async (ctx) => {
     }
 });
 
+// Watch Address button handler
+bot.hears('👁 Watch Address', async (ctx) => {
+    console.log(`BUTTON HANDLER: Watch Address button pressed by user ${ctx.from.id}`);
+    setState(ctx, STATES.AWAITING_WATCH_ADDRESS);
+    await ctx.reply('Enter the address (0x...) you want to follow. It is added as a view-only wallet: balances only, no swaps or sends.');
+});
+
 // Main Menu button handler
 bot.hears('🏠 Main Menu', async (ctx) => {
     setState(ctx, STATES.IDLE);
+    secretFlows.resetSecretData(ctx);
     await ctx.reply('Main menu:', commands.getMainMenu());
 });
 
 // Update Import Wallet handler to ignore button presses as private keys
 bot.on('text', async (ctx, next) => {
     const session = getSession(ctx);
+    const text = ctx.message.text;
+    // PINs and keystore passwords
+    if (await secretFlows.handleText(ctx)) return;
+    if (session.state === STATES.AWAITING_WALLET_NAME) {
+        try {
+            const { walletId } = session.walletManagement || {};
+            const wallet = walletManager.renameWallet(ctx.from.id.toString(), walletId, text);
+            setState(ctx, STATES.IDLE);
+            session.walletManagement = null;
+            await ctx.replyWithMarkdown(`✅ Wallet renamed to *${commands.escapeMarkdown(wallet.name)}*.`, commands.getWalletMenu());
+        } catch (error) {
+            await ctx.reply(`❌ ${error.message}`);
+        }
+        return;
+    }
+    if (session.state === STATES.AWAITING_DELETE_CONFIRMATION) {
+        const { walletId, suffix } = session.walletManagement || {};
+        setState(ctx, STATES.IDLE);
+        session.walletManagement = null;
+        if (!suffix || text.trim().toLowerCase() !== suffix.toLowerCase()) {
+            return ctx.reply('The characters did not match, so nothing was deleted.', commands.getWalletMenu());
+        }
+        try {
+            const wallet = walletManager.getWallet(ctx.from.id.toString(), walletId);
+            if (!walletManager.deleteWallet(ctx.from.id.toString(), walletId)) {
+                return ctx.reply('❌ This wallet no longer exists, so nothing was deleted.', commands.getWalletMenu());
+            }
+            await ctx.replyWithMarkdown(
+                `🗑 *${commands.escapeMarkdown(wallet.name)}* (\`${wallet.address}\`) was deleted.`,
+                commands.getWalletMenu()
+            );
+        } catch (error) {
+            await ctx.reply(`❌ Could not delete wallet: ${error.message}`, commands.getWalletMenu());
+        }
+        return;
+    }
+    if (session.state === STATES.AWAITING_WATCH_ADDRESS) {
+        try {
+            const wallet = walletManager.addWatchOnlyWallet(ctx.from.id.toString(), text.trim());
+            setState(ctx, STATES.IDLE);
+            await ctx.replyWithMarkdown(
+                `👁 *Address Added (view only)*\n\n` +
+                `Address: \`${wallet.address}\`\n\n` +
+                `Use /wallets to make it your active wallet and follow its balances.`,
+                commands.getWalletMenu()
+            );
+        } catch (error) {
+            await ctx.reply(`❌ ${error.message}`);
+        }
+        return;
+    }
+    if (session.state === STATES.AWAITING_TOKEN_ADDRESS) {
+        // /token: token details with the contract risk report
+        await ctx.reply('🔍 Inspecting token contract... Please wait...');
+        const tokenInfo = await commands.getTokenInfo(ctx, text.trim(), session.settings.network || 'MONAD');
+        setState(ctx, STATES.IDLE);
+        await ctx.replyWithMarkdown(tokenInfo, { disable_web_page_preview: true, ...commands.getMainMenu() });
+        return;
+    }
     if (session.state === STATES.AWAITING_PRIVATE_KEY) {
         const privateKey = ctx.message.text.trim();
         // Ignore if the user sends a known button label instead of a private key
         const knownButtons = [
-            '🏠 Main Menu', '🔑 Generate Wallet', '📥 Import Wallet',
-            'Swap Tokens', 'My Balances', 'Send', 'My Wallet',
+            '🏠 Main Menu', '🔑 Generate Wallet', '📥 Import Wallet', '🌱 New Sub-wallet', '📤 Export Keystore',
+            '👁 Watch Address', '🗂 Manage Wallets', 'Swap Tokens', 'My Balances', 'Send', 'My Wallet',
             'Monad', 'MegaETH'
         ];
         if (knownButtons.includes(privateKey)) {
-            await ctx.reply('Please enter your wallet private key, or tap Main Menu to cancel.');
+            await ctx.reply('Please enter your wallet private key or recovery phrase, or tap Main Menu to cancel.');
             return;
         }
+        await secretFlows.deleteSensitiveMessage(ctx, walletManager.isMnemonic(privateKey) ? 'recovery phrase' : 'private key');
         try {
-            const wallet = walletManager.importWallet(ctx.from.id.toString(), privateKey);
+            const wallet = walletManager.isMnemonic(privateKey)
+                ? walletManager.importMnemonic(ctx.from.id.toString(), privateKey)
+                : walletManager.importWallet(ctx.from.id.toString(), privateKey);
             setState(ctx, STATES.IDLE);
             await ctx.replyWithMarkdown(
                 `✅ *Wallet Imported Successfully!*\n\n` +
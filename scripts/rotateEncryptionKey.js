@@ -0,0 +1,36 @@
+/**
+ * Offline master key rotation for the wallet vault.
+ *
+ * Stop the bot before running this script. It re-encrypts every stored wallet
+ * from ENCRYPTION_KEY to NEW_ENCRYPTION_KEY, verifies each record, keeps a
+ * rollback copy of the vault and only then replaces it.
+ *
+ * Usage:
+ *   NEW_ENCRYPTION_KEY=... npm run rotate-key
+ */
+require('dotenv').config();
+const WalletManager = require('../utils/walletManager');
+
+const newEncryptionKey = process.env.NEW_ENCRYPTION_KEY;
+
+if (!newEncryptionKey) {
+    console.error('❌ ERROR: NEW_ENCRYPTION_KEY is missing');
+    console.error('Usage: NEW_ENCRYPTION_KEY=your_new_key npm run rotate-key');
+    process.exit(1);
+}
+
+try {
+    const walletManager = new WalletManager();
+    const { rotated, backupPath } = walletManager.rotateEncryptionKey(newEncryptionKey);
+
+    console.log(`✅ Re-encrypted ${rotated} wallets with the new key`);
+    if (backupPath) {
+        console.log(`Rollback copy: ${backupPath}`);
+    }
+    console.log('Update ENCRYPTION_KEY in your .env file to the new key before restarting the bot.');
+    console.log('To roll back, restore the backup file over the wallet store and keep the old key.');
+} catch (error) {
+    console.error(`❌ Key rotation failed: ${error.message}`);
+    console.error('The wallet store was not modified.');
+    process.exit(1);
+}
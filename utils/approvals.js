@@ -0,0 +1,125 @@
+const { ethers } = require('ethers');
+const { BOT_CONFIG, ERC20_ABI } = require('../config');
+const { getLogsInChunks } = require('./logScanner');
+
+const APPROVAL_TOPIC = ethers.id('Approval(address,address,uint256)');
+
+// Allowances from this size up are shown as unlimited; tokens that keep balances
+// in 96 bits cap "infinite" approvals there instead of at MaxUint256
+const UNLIMITED_ALLOWANCE = 2n ** 96n - 1n;
+
+// Names of the spenders the bot itself approves
+const SPENDER_LABELS = {
+    ROUTER: 'Uniswap V2 Router',
+    UNIVERSAL_ROUTER: 'Uniswap UniversalRouter',
+    PERMIT2: 'Permit2'
+};
+
+/**
+ * ApprovalManager lists the token allowances a wallet has granted.
+ *
+ * Spenders are found from the wallet's recent Approval logs. The routers and Permit2
+ * are checked for every listed token as well, so the bot's own approvals show up
+ * even when they are older than the scanned blocks.
+ */
+class ApprovalManager {
+    /**
+     * @param {object} integration - MonadIntegration whose provider, network and wallet are used
+     */
+    constructor(integration) {
+        this.integration = integration;
+    }
+
+    /**
+     * List the wallet's non-zero allowances
+     * @returns {Promise<object>} - { scannedBlocks, approvals: [{ tokenAddress, symbol, decimals, spender, spenderLabel, allowance, unlimited }] }.
+     *   scannedBlocks is 0 when the logs could not be fetched
+     */
+    async getApprovals() {
+        const { provider, network, wallet } = this.integration;
+        const owner = wallet.address;
+
+        // token:spender -> { tokenAddress, spender }
+        const pairs = new Map();
+        const addPair = (tokenAddress, spender) => {
+            pairs.set(`${tokenAddress.toLowerCase()}:${spender.toLowerCase()}`, { tokenAddress, spender });
+        };
+
+        const knownSpenders = Object.keys(SPENDER_LABELS)
+            .map(key => network.addresses[key])
+            .filter(Boolean);
+        const listedTokens = [network.addresses.WETH, ...Object.values(network.tokens).map(token => token.address)];
+        for (const tokenAddress of listedTokens) {
+            knownSpenders.forEach(spender => addPair(tokenAddress, spender));
+        }
+
+        let scannedBlocks = 0;
+        try {
+            const latest = await provider.getBlockNumber();
+            const fromBlock = Math.max(0, latest - BOT_CONFIG.APPROVAL_SCAN_BLOCKS);
+            const logs = await getLogsInChunks(
+                provider, { topics: [APPROVAL_TOPIC, ethers.zeroPadValue(owner, 32)] }, fromBlock, latest, BOT_CONFIG.APPROVAL_SCAN_CHUNK_BLOCKS
+            );
+
+            // ERC-721 Approval has the same signature but indexes the token ID as a fourth topic
+            for (const log of logs.filter(log => log.topics.length === 3)) {
+                addPair(log.address, ethers.getAddress(ethers.dataSlice(log.topics[2], 12)));
+            }
+            scannedBlocks = latest - fromBlock;
+        } catch (error) {
+            console.warn(`Could not scan Approval logs of ${owner}:`, error.message);
+        }
+
+        const approvals = (await Promise.all([...pairs.values()].map(pair => this._readApproval(owner, pair))))
+            .filter(Boolean)
+            .sort((a, b) => a.symbol.localeCompare(b.symbol) || a.spender.localeCompare(b.spender));
+
+        console.log(`Found ${approvals.length} outstanding approvals for ${owner}`);
+        return { scannedBlocks, approvals };
+    }
+
+    /**
+     * Name a spender the bot knows about
+     * @param {string} spender - Spender address
+     * @returns {string|null} - Label, or null for unknown spenders
+     */
+    getSpenderLabel(spender) {
+        const { addresses } = this.integration.network;
+        const key = Object.keys(SPENDER_LABELS).find(key => addresses[key] && addresses[key].toLowerCase() === spender.toLowerCase());
+        return key ? SPENDER_LABELS[key] : null;
+    }
+
+    /**
+     * Read one allowance with its token details
+     * @private
+     * @returns {Promise<object|null>} - The approval, or null when it is zero or unreadable
+     */
+    async _readApproval(owner, { tokenAddress, spender }) {
+        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.integration.provider);
+        try {
+            const allowance = await tokenContract.allowance(owner, spender);
+            if (allowance === 0n) {
+                return null;
+            }
+
+            const [symbol, decimals] = await Promise.all([
+                tokenContract.symbol().catch(() => 'UNKNOWN'),
+                tokenContract.decimals().then(Number).catch(() => 18)
+            ]);
+            return {
+                tokenAddress: ethers.getAddress(tokenAddress),
+                symbol,
+                decimals,
+                spender: ethers.getAddress(spender),
+                spenderLabel: this.getSpenderLabel(spender),
+                allowance,
+                unlimited: allowance >= UNLIMITED_ALLOWANCE
+            };
+        } catch (error) {
+            // Not an ERC-20 (or not deployed), nothing to revoke
+            return null;
+        }
+    }
+}
+
+module.exports = ApprovalManager;
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+
+/**
+ * Versioned authenticated encryption for secrets stored at rest (wallet private keys).
+ *
+ * Current format (v2):
+ *   v2:<salt hex>:<iv hex>:<auth tag hex>:<ciphertext hex>
+ * The key is derived from the master secret with scrypt using a per-record salt,
+ * and the payload is sealed with AES-256-GCM (the version prefix is bound as AAD).
+ *
+ * Legacy format (v1, no prefix):
+ *   <iv hex>:<ciphertext hex>
+ * AES-256-CBC keyed with sha256(secret). Only decrypted, never produced.
+ *
+ * Sealed payloads (x25519:...) are encrypted to a public key and are used for
+ * PIN-protected wallets, which must be creatable without knowing the PIN.
+ */
+
+const CURRENT_VERSION = 'v2';
+
+// Placeholder that used to ship as a fallback; never accept it as a real key
+const DEFAULT_ENCRYPTION_KEY = 'changeMeInProduction!';
+
+// Example values from .env.template and the README, which are public and so never a real key either
+const PLACEHOLDER_ENCRYPTION_KEYS = [
+    DEFAULT_ENCRYPTION_KEY,
+    'your_secure_encryption_key_here',
+    'your_secure_encryption_key',
+    'your_new_key'
+];
+
+// scrypt cost parameters for v2 records (~32 MB of memory per derivation)
+const SCRYPT_PARAMS = {
+    N: 2 ** 15,
+    r: 8,
+    p: 1,
+    maxmem: 64 * 1024 * 1024
+};
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Validate the master encryption key
+ * @param {string} encryptionKey - Key to validate
+ * @throws {Error} - If the key is missing or is a shipped default or example value
+ */
+function assertEncryptionKey(encryptionKey) {
+    if (!encryptionKey) {
+        throw new Error('ENCRYPTION_KEY is not set. Refusing to store wallets without a master encryption key.');
+    }
+
+    if (PLACEHOLDER_ENCRYPTION_KEYS.includes(encryptionKey.trim())) {
+        throw new Error('ENCRYPTION_KEY is still set to a placeholder value. Please configure a unique secret.');
+    }
+}
+
+/**
+ * Derive an AES key from a secret and salt
+ * @private
+ */
+function deriveKey(secret, salt) {
+    return crypto.scryptSync(secret, salt, KEY_LENGTH, SCRYPT_PARAMS);
+}
+
+/**
+ * Check whether a payload uses the legacy (v1) format
+ * @param {string} payload - Encrypted payload
+ * @returns {boolean} - True for legacy iv:ciphertext records
+ */
+function isLegacyCiphertext(payload) {
+    return typeof payload === 'string' && !payload.startsWith(`${CURRENT_VERSION}:`) && payload.split(':').length === 2;
+}
+
+/**
+ * Encrypt a secret with the current format
+ * @param {string} plaintext - Data to encrypt
+ * @param {string} secret - Master secret
+ * @returns {string} - Versioned payload
+ */
+function encrypt(plaintext, secret) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+    cipher.setAAD(Buffer.from(CURRENT_VERSION));
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [CURRENT_VERSION, salt, iv, tag, ciphertext]
+        .map(part => (Buffer.isBuffer(part) ? part.toString('hex') : part))
+        .join(':');
+}
+
+/**
+ * Decrypt a legacy AES-256-CBC payload
+ * @private
+ */
+function decryptLegacy(payload, secret) {
+    const [ivHex, encryptedHex] = payload.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-cbc',
+        crypto.createHash('sha256').update(secret).digest(),
+        Buffer.from(ivHex, 'hex'));
+
+    let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return decrypted;
+}
+
+/**
+ * Decrypt a payload in any supported format
+ * @param {string} payload - Versioned (or legacy) payload
+ * @param {string} secret - Master secret
+ * @returns {string} - Decrypted plaintext
+ * @throws {Error} - If the payload is malformed or fails authentication
+ */
+function decrypt(payload, secret) {
+    if (isLegacyCiphertext(payload)) {
+        return decryptLegacy(payload, secret);
+    }
+
+    const parts = typeof payload === 'string' ? payload.split(':') : [];
+    if (parts.length !== 5 || parts[0] !== CURRENT_VERSION) {
+        throw new Error('Unsupported encrypted data format');
+    }
+
+    const [version, saltHex, ivHex, tagHex, ciphertextHex] = parts;
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm',
+            deriveKey(secret, Buffer.from(saltHex, 'hex')),
+            Buffer.from(ivHex, 'hex'));
+        decipher.setAAD(Buffer.from(version));
+        decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(ciphertextHex, 'hex')),
+            decipher.final()
+        ]).toString('utf8');
+    } catch (error) {
+        throw new Error('Decryption failed: wrong key or tampered data');
+    }
+}
+
+/**
+ * Generate an X25519 key pair used to seal secrets for a single user
+ * @returns {object} - { publicKey, privateKey } as hex-encoded DER
+ */
+function generateSealingKeyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+
+    return {
+        publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('hex'),
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('hex')
+    };
+}
+
+/**
+ * Derive the AES key for a sealed payload from an X25519 shared secret
+ * @private
+ */
+function deriveSealingKey(privateKey, publicKey, ephemeralPublicKeyHex) {
+    const sharedSecret = crypto.diffieHellman({ privateKey, publicKey });
+    return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.from(ephemeralPublicKeyHex, 'hex'), 'wallet-seal', KEY_LENGTH));
+}
+
+/**
+ * Seal a secret so only the holder of the matching private key can open it.
+ * Uses an ephemeral X25519 key agreement, so no secret is needed to seal.
+ * @param {string} plaintext - Data to seal
+ * @param {string} publicKeyHex - Recipient public key (hex DER from generateSealingKeyPair)
+ * @returns {string} - Sealed payload (x25519:<ephemeral key>:<iv>:<tag>:<ciphertext>)
+ */
+function seal(plaintext, publicKeyHex) {
+    const recipientKey = crypto.createPublicKey({ key: Buffer.from(publicKeyHex, 'hex'), type: 'spki', format: 'der' });
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const ephemeralPublicKeyHex = ephemeral.publicKey.export({ type: 'spki', format: 'der' }).toString('hex');
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveSealingKey(ephemeral.privateKey, recipientKey, ephemeralPublicKeyHex), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return ['x25519', ephemeralPublicKeyHex, iv.toString('hex'), cipher.getAuthTag().toString('hex'), ciphertext.toString('hex')].join(':');
+}
+
+/**
+ * Open a payload produced by seal()
+ * @param {string} payload - Sealed payload
+ * @param {string} privateKeyHex - Recipient private key (hex DER from generateSealingKeyPair)
+ * @returns {string} - Decrypted plaintext
+ */
+function openSealed(payload, privateKeyHex) {
+    const parts = typeof payload === 'string' ? payload.split(':') : [];
+    if (parts.length !== 5 || parts[0] !== 'x25519') {
+        throw new Error('Unsupported sealed data format');
+    }
+
+    const [, ephemeralPublicKeyHex, ivHex, tagHex, ciphertextHex] = parts;
+
+    try {
+        const privateKey = crypto.createPrivateKey({ key: Buffer.from(privateKeyHex, 'hex'), type: 'pkcs8', format: 'der' });
+        const ephemeralKey = crypto.createPublicKey({ key: Buffer.from(ephemeralPublicKeyHex, 'hex'), type: 'spki', format: 'der' });
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveSealingKey(privateKey, ephemeralKey, ephemeralPublicKeyHex), Buffer.from(ivHex, 'hex'));
+        decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(ciphertextHex, 'hex')),
+            decipher.final()
+        ]).toString('utf8');
+    } catch (error) {
+        throw new Error('Failed to open sealed data: wrong key or tampered data');
+    }
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    DEFAULT_ENCRYPTION_KEY,
+    assertEncryptionKey,
+    isLegacyCiphertext,
+    encrypt,
+    decrypt,
+    generateSealingKeyPair,
+    seal,
+    openSealed
+};
@@ -0,0 +1,136 @@
+const { ethers } = require('ethers');
+const { BOT_CONFIG } = require('../config');
+
+// Presets offered in the gas settings, in order
+const GAS_PRESETS = ['slow', 'normal', 'fast'];
+
+/**
+ * GasManager prices transactions with EIP-1559 fees.
+ *
+ * The slow, normal and fast presets take the next block's base fee and a percentile of the
+ * priority fees paid in recent blocks (eth_feeHistory); the custom preset uses fixed fees.
+ * Gas estimates get the user's buffer before they become the gas limit.
+ */
+class GasManager {
+    /**
+     * @param {object} provider - ethers provider
+     * @param {object} settings - Optional gas settings (see userPreferences.getGasSettings)
+     * @param {string} settings.preset - 'slow', 'normal', 'fast' or 'custom'
+     * @param {number} settings.maxFeeGwei - Max fee per gas for the custom preset
+     * @param {number} settings.priorityFeeGwei - Priority fee per gas for the custom preset
+     * @param {number} settings.limitMultiplier - Buffer applied to gas estimates
+     */
+    constructor(provider, settings = {}) {
+        this.provider = provider;
+        this.settings = {
+            preset: 'normal',
+            maxFeeGwei: null,
+            priorityFeeGwei: null,
+            limitMultiplier: BOT_CONFIG.GAS_LIMIT_MULTIPLIER,
+            ...settings
+        };
+    }
+
+    /**
+     * Current fees of the slow, normal and fast presets
+     * @returns {Promise<object>} - { baseFee, slow, normal, fast } where each preset is { maxFeePerGas, maxPriorityFeePerGas } in wei
+     */
+    async getPresetFees() {
+        let baseFee;
+        let priorityFees;
+
+        try {
+            const percentiles = GAS_PRESETS.map(preset => BOT_CONFIG.GAS_PRESET_PERCENTILES[preset]);
+            const history = await this.provider.send('eth_feeHistory', [
+                ethers.toQuantity(BOT_CONFIG.GAS_FEE_HISTORY_BLOCKS), 'latest', percentiles
+            ]);
+
+            // The last base fee is the one of the next block
+            baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+            const rewards = (history.reward || []).filter(reward => reward.length === percentiles.length);
+            priorityFees = percentiles.map((percentile, index) => rewards.length
+                ? rewards.reduce((sum, reward) => sum + BigInt(reward[index]), 0n) / BigInt(rewards.length)
+                : 0n);
+        } catch (error) {
+            // Nodes without eth_feeHistory: one fee for every preset
+            console.warn('eth_feeHistory unavailable, using the node fee data:', error.message);
+            const feeData = await this.provider.getFeeData();
+            const priorityFee = feeData.maxPriorityFeePerGas ?? 0n;
+            // Nodes may report a tip above the gas price, which would make the base fee negative
+            baseFee = feeData.gasPrice !== null && feeData.gasPrice > priorityFee ? feeData.gasPrice - priorityFee : 0n;
+            priorityFees = GAS_PRESETS.map(() => priorityFee);
+        }
+
+        // Room for the base fee to double before the transaction stops being includable
+        const fees = { baseFee };
+        GAS_PRESETS.forEach((preset, index) => {
+            fees[preset] = {
+                maxFeePerGas: baseFee * 2n + priorityFees[index],
+                maxPriorityFeePerGas: priorityFees[index]
+            };
+        });
+        return fees;
+    }
+
+    /**
+     * Fees of the configured preset
+     * @returns {Promise<object>} - { maxFeePerGas, maxPriorityFeePerGas } in wei
+     */
+    async getFees() {
+        if (this.settings.preset === 'custom') {
+            return {
+                maxFeePerGas: ethers.parseUnits(String(this.settings.maxFeeGwei), 'gwei'),
+                maxPriorityFeePerGas: ethers.parseUnits(String(this.settings.priorityFeeGwei), 'gwei')
+            };
+        }
+
+        const fees = await this.getPresetFees();
+        return fees[this.settings.preset] || fees.normal;
+    }
+
+    /**
+     * Gas limit for an estimate, with the configured buffer
+     * @param {BigInt} gasEstimate - Estimated gas
+     * @returns {BigInt} - Gas limit
+     */
+    getGasLimit(gasEstimate) {
+        return BigInt(Math.ceil(Number(gasEstimate) * this.settings.limitMultiplier));
+    }
+
+    /**
+     * Transaction overrides for an estimate: gas limit and EIP-1559 fees
+     * @param {BigInt} gasEstimate - Estimated gas
+     * @returns {Promise<object>} - { gasLimit, maxFeePerGas, maxPriorityFeePerGas }
+     */
+    async getOverrides(gasEstimate) {
+        return { gasLimit: this.getGasLimit(gasEstimate), ...await this.getFees() };
+    }
+
+    /**
+     * Estimate what a transaction will cost in the native currency.
+     * Monad charges the whole gas limit rather than the gas used, so the fee is gas limit times gas price
+     * @param {BigInt|null} gasEstimate - Estimated gas, or null when the transaction cannot be estimated yet
+     *   (BOT_CONFIG.DEFAULT_GAS_LIMIT is assumed then)
+     * @returns {Promise<object>} - { preset, gasLimit, estimated, fee, maxFee } with fees as formatted native amounts
+     */
+    async estimateFee(gasEstimate) {
+        const presetFees = await this.getPresetFees();
+        const fees = this.settings.preset === 'custom' ? await this.getFees() : (presetFees[this.settings.preset] || presetFees.normal);
+        const gasLimit = gasEstimate ? this.getGasLimit(gasEstimate) : BigInt(BOT_CONFIG.DEFAULT_GAS_LIMIT);
+
+        // Expected price: the next base fee plus the tip, never above the max fee
+        const expectedPrice = presetFees.baseFee + fees.maxPriorityFeePerGas < fees.maxFeePerGas
+            ? presetFees.baseFee + fees.maxPriorityFeePerGas
+            : fees.maxFeePerGas;
+
+        return {
+            preset: this.settings.preset,
+            gasLimit,
+            estimated: !!gasEstimate,
+            fee: ethers.formatEther(gasLimit * expectedPrice),
+            maxFee: ethers.formatEther(gasLimit * fees.maxFeePerGas)
+        };
+    }
+}
+
+module.exports = GasManager;
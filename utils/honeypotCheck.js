@@ -0,0 +1,252 @@
+const { ethers } = require('ethers');
+const { BOT_CONFIG, ERC20_ABI } = require('../config');
+
+// Storage slots searched for the balance and allowance mappings (the usual ERC-20 layouts use the first few)
+const MAX_MAPPING_SLOT = 10;
+
+// Marker written into a candidate balance slot; the slot is right when balanceOf reads it back
+const PROBE_MARKER = 0x5ca1ab1e5ca1ab1e5ca1ab1en;
+
+// Recipient of the simulated wallet-to-wallet transfer
+const PROBE_RECIPIENT = '0x000000000000000000000000000000000000dEaD';
+
+// tokenAddress (lowercase) -> { balance: { slot, vyper }, allowanceSlot }
+const layoutCache = new Map();
+
+// tokenAddress (lowercase) -> { result, checkedAt }
+const checkCache = new Map();
+
+/**
+ * HoneypotChecker simulates buying a token with MON and selling it straight back.
+ *
+ * The buy runs as a plain eth_call. The wallet never holds the bought tokens, so the sell, the
+ * approve and a wallet-to-wallet transfer run with a state override that writes the bought
+ * balance and the router's allowance into the token's storage. The token's mapping slots are
+ * found by probing; when they cannot be found (or the node ignores overrides) the sell is
+ * reported as unverified instead of failed.
+ */
+class HoneypotChecker {
+    /**
+     * @param {object} integration - MonadIntegration whose router, simulator and wallet are used
+     */
+    constructor(integration) {
+        this.integration = integration;
+    }
+
+    /**
+     * Check whether a token can be bought and sold again, and at what tax
+     * @param {string} tokenAddress - Token to check
+     * @returns {Promise<object>} - { verdict, canBuy, canSell, canApprove, canTransfer, buyTax, sellTax, reasons }.
+     *   verdict is 'safe', 'warning' (high tax, restricted transfers or an unverified sell) or
+     *   'honeypot' (the token cannot be bought or sold, or the sell tax takes most of it).
+     *   canSell, canApprove and canTransfer are null when they could not be simulated
+     */
+    async check(tokenAddress) {
+        const cached = checkCache.get(tokenAddress.toLowerCase());
+        if (cached && Date.now() - cached.checkedAt < BOT_CONFIG.TAX_CACHE_MINUTES * 60 * 1000) {
+            return cached.result;
+        }
+
+        const result = await this._runCheck(tokenAddress);
+        result.verdict = this._getVerdict(result);
+        console.log(`Honeypot check of ${tokenAddress}: ${result.verdict}${result.reasons.length ? ` (${result.reasons.join('; ')})` : ''}`);
+
+        checkCache.set(tokenAddress.toLowerCase(), { result, checkedAt: Date.now() });
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    async _runCheck(tokenAddress) {
+        const { network, routerContract, simulator, taxDetector, wallet } = this.integration;
+        const result = {
+            verdict: 'safe',
+            canBuy: false,
+            canSell: null,
+            canApprove: null,
+            canTransfer: null,
+            buyTax: null,
+            sellTax: null,
+            reasons: []
+        };
+
+        // Buy a small probe amount
+        result.buyTax = await taxDetector.detectBuyTax(tokenAddress);
+        if (result.buyTax === null) {
+            result.reasons.push('Buying the token reverts');
+            return result;
+        }
+        result.canBuy = true;
+
+        const probeAmount = ethers.parseEther(BOT_CONFIG.TAX_PROBE_AMOUNT_MON);
+        const buy = await this.integration.findBestRoute(network.addresses.WETH, tokenAddress, probeAmount);
+        const bought = buy.amountOut * BigInt(Math.round((100 - result.buyTax) * 100)) / 10000n;
+
+        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+        const approve = await simulator.simulateCall(tokenContract, 'approve', [network.addresses.ROUTER, bought]);
+        result.canApprove = approve.success && approve.result !== false;
+        if (!result.canApprove) {
+            result.reasons.push('Approving the router reverts');
+        }
+
+        // Pretend the wallet holds what it bought and has approved the router for it
+        const stateOverrides = await this._buildHoldingOverrides(tokenAddress, wallet.address, network.addresses.ROUTER, bought);
+        if (!stateOverrides) {
+            result.reasons.push('Selling could not be simulated (unrecognised token storage)');
+            return result;
+        }
+
+        const transfer = await simulator.simulateCall(tokenContract, 'transfer', [PROBE_RECIPIENT, bought], {}, stateOverrides);
+        result.canTransfer = transfer.success && transfer.result !== false;
+        if (!result.canTransfer) {
+            result.reasons.push(`Transfers to other wallets fail${transfer.reason ? `: ${transfer.reason}` : ''}`);
+        }
+
+        // Sell everything back for MON, measuring the sell tax on the way
+        let sellReason = null;
+        try {
+            const sell = await this.integration.findBestRoute(tokenAddress, network.addresses.WETH, bought);
+            const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
+
+            result.sellTax = await taxDetector.measureTax(sell.amountOut, async amountOutMin => {
+                const simulation = await simulator.simulateCall(
+                    routerContract,
+                    'swapExactTokensForETHSupportingFeeOnTransferTokens',
+                    [bought, amountOutMin, sell.path, wallet.address, deadline],
+                    {},
+                    stateOverrides
+                );
+                if (!simulation.success) {
+                    sellReason = simulation.reason;
+                    throw simulation.error;
+                }
+            });
+            result.canSell = true;
+        } catch (error) {
+            result.canSell = false;
+            result.reasons.push(`Selling the token reverts${sellReason ? `: ${sellReason}` : ''}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    _getVerdict(result) {
+        if (!result.canBuy || result.canSell === false) {
+            return 'honeypot';
+        }
+        if (result.sellTax >= BOT_CONFIG.HONEYPOT_SELL_TAX_PERCENT) {
+            result.reasons.push(`Sell tax of ${result.sellTax}% takes most of the sale`);
+            return 'honeypot';
+        }
+
+        if (result.buyTax >= BOT_CONFIG.HIGH_TAX_WARNING_PERCENT) {
+            result.reasons.push(`High buy tax: ${result.buyTax}%`);
+        }
+        if (result.sellTax >= BOT_CONFIG.HIGH_TAX_WARNING_PERCENT) {
+            result.reasons.push(`High sell tax: ${result.sellTax}%`);
+        }
+        return result.reasons.length ? 'warning' : 'safe';
+    }
+
+    /**
+     * State override that gives an owner a token balance and a spender allowance
+     * @private
+     * @param {string} tokenAddress - Token contract
+     * @param {string} owner - Wallet that should hold the tokens
+     * @param {string} spender - Address allowed to spend them
+     * @param {BigInt} amount - Balance and allowance to write
+     * @returns {Promise<object|null>} - eth_call state override set, or null when the storage layout is unknown
+     */
+    async _buildHoldingOverrides(tokenAddress, owner, spender, amount) {
+        const layout = await this._findStorageLayout(tokenAddress, owner, spender);
+        if (!layout) {
+            return null;
+        }
+
+        const value = ethers.toBeHex(amount, 32);
+        return {
+            [tokenAddress]: {
+                stateDiff: {
+                    [this._balanceKey(owner, layout.balance)]: value,
+                    [this._allowanceKey(owner, spender, layout.allowanceSlot)]: value
+                }
+            }
+        };
+    }
+
+    /**
+     * Find the storage slots of a token's balance and allowance mappings by writing a marker
+     * into candidate slots and reading it back through balanceOf / allowance
+     * @private
+     */
+    async _findStorageLayout(tokenAddress, owner, spender) {
+        const key = tokenAddress.toLowerCase();
+        if (layoutCache.has(key)) {
+            return layoutCache.get(key);
+        }
+
+        const { simulator, provider } = this.integration;
+        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+        const marker = ethers.toBeHex(PROBE_MARKER, 32);
+        const readsMarker = async (method, args, storageKey) => {
+            const read = await simulator.simulateCall(tokenContract, method, args, {}, {
+                [tokenAddress]: { stateDiff: { [storageKey]: marker } }
+            });
+            return read.success && read.result === PROBE_MARKER;
+        };
+
+        let balance = null;
+        for (let slot = 0; slot < MAX_MAPPING_SLOT && !balance; slot++) {
+            // Solidity hashes key then slot; Vyper hashes slot then key
+            for (const vyper of [false, true]) {
+                if (await readsMarker('balanceOf', [owner], this._balanceKey(owner, { slot, vyper }))) {
+                    balance = { slot, vyper };
+                    break;
+                }
+            }
+        }
+
+        let allowanceSlot = null;
+        for (let slot = 0; balance && slot < MAX_MAPPING_SLOT; slot++) {
+            if (await readsMarker('allowance', [owner, spender], this._allowanceKey(owner, spender, slot))) {
+                allowanceSlot = slot;
+                break;
+            }
+        }
+
+        if (!balance || allowanceSlot === null) {
+            // Not cached: the node may just have rejected the overrides this time
+            console.warn(`Storage layout of ${tokenAddress} not recognised, sells cannot be simulated`);
+            return null;
+        }
+
+        const layout = { balance, allowanceSlot };
+        layoutCache.set(key, layout);
+        return layout;
+    }
+
+    /**
+     * @private
+     */
+    _balanceKey(owner, { slot, vyper }) {
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        return ethers.keccak256(vyper
+            ? coder.encode(['uint256', 'address'], [slot, owner])
+            : coder.encode(['address', 'uint256'], [owner, slot]));
+    }
+
+    /**
+     * @private
+     */
+    _allowanceKey(owner, spender, slot) {
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        const ownerKey = ethers.keccak256(coder.encode(['address', 'uint256'], [owner, slot]));
+        return ethers.keccak256(coder.encode(['address', 'bytes32'], [spender, ownerKey]));
+    }
+}
+
+module.exports = HoneypotChecker;
@@ -0,0 +1,33 @@
+/**
+ * Fetch logs over a block range in chunks, halving the chunk whenever the node
+ * rejects the range (RPCs cap eth_getLogs by block span or result size)
+ * @param {object} provider - ethers provider
+ * @param {object} filter - Log filter without fromBlock / toBlock ({ address, topics })
+ * @param {number} fromBlock - First block scanned
+ * @param {number} toBlock - Last block scanned
+ * @param {number} chunkBlocks - Blocks requested per eth_getLogs call to start with
+ * @returns {Promise<Array>} - Logs in block order
+ */
+async function getLogsInChunks(provider, filter, fromBlock, toBlock, chunkBlocks) {
+    const logs = [];
+    let chunk = chunkBlocks;
+    let start = fromBlock;
+
+    while (start <= toBlock) {
+        const end = Math.min(start + chunk - 1, toBlock);
+        try {
+            logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+            start = end + 1;
+        } catch (error) {
+            if (chunk <= 10) {
+                throw error;
+            }
+            chunk = Math.floor(chunk / 2);
+        }
+    }
+    return logs;
+}
+
+module.exports = {
+    getLogsInChunks
+};
@@ -7,8 +7,13 @@ const { BOT_CONFIG } = require('../config');
  * Provides functions for interacting with the MegaETH testnet and its Uniswap implementation
  */
 class MegaethIntegration {
-    constructor(privateKey) {
-        if (!privateKey) {
+    /**
+     * @param {string|null} privateKey - Wallet private key used for signing
+     * @param {object} options - Optional settings
+     * @param {string} options.address - Build a read-only integration for this address (no private key needed)
+     */
+    constructor(privateKey, options = {}) {
+        if (!privateKey && !options.address) {
             throw new Error('Private key is required for MegaETH integration');
         }
 
@@ -19,7 +24,11 @@ class MegaethIntegration {
             // Initialize provider
             this.provider = new ethers.JsonRpcProvider(this.network.rpc);
             // Initialize wallet with provider
-            this.wallet = new ethers.Wallet(privateKey, this.provider);
+            // Read-only integrations can query balances and quotes but never sign
+            this.readOnly = !privateKey;
+            this.wallet = this.readOnly
+                ? new ethers.VoidSigner(options.address, this.provider)
+                : new ethers.Wallet(privateKey, this.provider);
             // Initialize contract instances (placeholders for now)
             this.routerContract = new ethers.Contract(
                 this.network.addresses.ROUTER,
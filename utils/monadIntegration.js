@@ -1,19 +1,44 @@
 const { ethers } = require('ethers');
-const { NETWORKS, ROUTER_V2_ABI, ERC20_ABI } = require('../config');
+const { NETWORKS, ROUTER_V2_ABI, FACTORY_V2_ABI, PAIR_V2_ABI, ERC20_ABI, WRAPPED_NATIVE_ABI, PERMIT2_ABI } = require('../config');
 const { BOT_CONFIG } = require('../config');
+const UniswapV3 = require('./uniswapV3');
+const TransferTaxDetector = require('./transferTax');
+const TransactionSimulator = require('./txSimulator');
+const HoneypotChecker = require('./honeypotCheck');
+const ApprovalManager = require('./approvals');
+const PermitSwapper = require('./permitSwap');
+const GasManager = require('./gasManager');
+const nonceManager = require('./nonceManager');
+
+// Interfaces used to decode swap receipts
+const ERC20_INTERFACE = new ethers.Interface(ERC20_ABI);
+const WRAPPED_NATIVE_INTERFACE = new ethers.Interface(WRAPPED_NATIVE_ABI);
+
+// Tokens from NETWORKS.MONAD.tokens that multi-hop routes may pass through (WMON is always included)
+const ROUTE_CONNECTOR_SYMBOLS = ['USDC', 'USDT', 'WETH'];
 
 /**
  * Monad Integration Utility
  * Provides functions for interacting with the MONAD testnet and its Uniswap implementation
  */
 class MonadIntegration {
-    constructor(privateKey) {
-        if (!privateKey) {
+    /**
+     * @param {string|null} privateKey - Wallet private key used for signing
+     * @param {object} options - Optional settings
+     * @param {string} options.address - Build a read-only integration for this address (no private key needed)
+     * @param {string} options.approvalMode - 'exact' (default) approves only what each swap spends, 'unlimited' the maximum
+     * @param {object} options.gasSettings - Fee preset and gas limit buffer for every transaction (see GasManager)
+     * @param {function} options.onTransactionSent - Called with (TransactionResponse, label) after each transaction is broadcast
+     */
+    constructor(privateKey, options = {}) {
+        if (!privateKey && !options.address) {
             throw new Error('Private key is required for MONAD integration');
         }
 
         console.log('\n=== Initializing MONAD Integration ===');
         this.network = NETWORKS.MONAD;
+        this.approvalMode = options.approvalMode || 'exact';
+        this.onTransactionSent = options.onTransactionSent || null;
         
         try {
             // Initialize provider with Alchemy API
@@ -24,7 +49,14 @@ class MonadIntegration {
             this.provider = new ethers.JsonRpcProvider(this.network.rpc);
             
             // Initialize wallet with provider
-            this.wallet = new ethers.Wallet(privateKey, this.provider);
+            // Read-only integrations can query balances and quotes but never sign
+            this.readOnly = !privateKey;
+            this.wallet = this.readOnly
+                ? new ethers.VoidSigner(options.address, this.provider)
+                : new ethers.Wallet(privateKey, this.provider);
+            
+            // Fees and gas limits of everything this integration sends
+            this.gas = new GasManager(this.provider, options.gasSettings);
             
             // Initialize contract instances
             this.routerContract = new ethers.Contract(
@@ -33,12 +65,40 @@ class MonadIntegration {
                 this.wallet
             );
             
+            this.factoryContract = new ethers.Contract(
+                this.network.addresses.FACTORY,
+                FACTORY_V2_ABI,
+                this.provider
+            );
+            
             this.wrappedMonadContract = new ethers.Contract(
                 this.network.addresses.WETH,
                 ERC20_ABI,
                 this.wallet
             );
             
+            // Uniswap V3 pools are quoted alongside V2 and used when they pay more
+            this.v3 = new UniswapV3(this.network, this.wallet, {
+                approvalMode: this.approvalMode,
+                sendTransaction: (tx, label) => this._sendTransaction(tx, label),
+                waitForReceipt: tx => this._waitForReceipt(tx)
+            });
+            
+            // Simulates swaps to find tokens that take a fee on every transfer
+            this.taxDetector = new TransferTaxDetector(this);
+            
+            // Every swap and send is run with eth_call before it is signed
+            this.simulator = new TransactionSimulator(this.provider);
+            
+            // Buys of unlisted tokens are checked for tokens that cannot be sold again
+            this.honeypotChecker = new HoneypotChecker(this);
+            
+            // Lists the wallet's outstanding token allowances for the approvals screen
+            this.approvals = new ApprovalManager(this);
+            
+            // Sells tokens with an EIP-2612 permit through SwapRouter02 instead of an approve transaction
+            this.permitSwapper = new PermitSwapper(this);
+            
             console.log('MONAD RPC URL:', this.network.rpc);
             console.log('Chain ID:', this.network.chainId);
             console.log('Wallet Address:', this.wallet.address);
@@ -262,9 +322,144 @@ class MonadIntegration {
     }
 
     /**
-     * Approve a token for spending by the router
+     * Ensure this integration holds a private key before building a transaction
+     * @private
+     * @throws {Error} - For read-only integrations (e.g. view-only wallets)
+     */
+    _assertCanSign() {
+        if (this.readOnly) {
+            throw new Error('This is a view-only wallet, so it cannot swap, send or approve tokens. Switch to a wallet with a private key using /wallets.');
+        }
+    }
+
+    /**
+     * Send a transaction from the wallet with the user's gas settings: the gas estimate plus the
+     * configured buffer as gas limit, and the EIP-1559 fees of the chosen preset. The nonce comes from
+     * the shared nonce manager, so concurrent requests from the same wallet never reuse one.
+     * Every transaction the integration signs goes through here.
+     * @private
+     * @param {object} tx - Transaction request ({ to, data, value }), e.g. from contract.method.populateTransaction
+     * @param {string} label - What the transaction does, shown in pending transaction updates
+     * @param {function} onGas - Optional callback receiving { gasEstimate, gasLimit, maxFeePerGas, maxPriorityFeePerGas } before sending
+     * @returns {Promise<object>} - ethers TransactionResponse
+     * @throws {Error} - When the gas estimate fails, which means the transaction would revert
+     */
+    async _sendTransaction(tx, label, onGas = null) {
+        this._assertCanSign();
+        
+        let gasEstimate;
+        try {
+            gasEstimate = await this.wallet.estimateGas(tx);
+        } catch (error) {
+            console.error('Gas estimation failed:', error);
+            throw new Error(`Transaction is likely to fail: ${this._describeSwapError(error)}`);
+        }
+        
+        const gas = await this.gas.getOverrides(gasEstimate);
+        console.log(`Gas estimate ${gasEstimate}, limit ${gas.gasLimit}, max fee ${ethers.formatUnits(gas.maxFeePerGas, 'gwei')} gwei, ` +
+            `priority fee ${ethers.formatUnits(gas.maxPriorityFeePerGas, 'gwei')} gwei (${this.gas.settings.preset})`);
+        if (onGas) {
+            onGas({ gasEstimate, ...gas });
+        }
+        
+        const response = await nonceManager.sendTransaction(this.wallet, this.network.chainId, { ...tx, ...gas });
+        if (this.onTransactionSent) {
+            this.onTransactionSent(response, label);
+        }
+        return response;
+    }
+
+    /**
+     * Wait for a transaction to be mined. A transaction sped up from the chat is replaced by one
+     * with the same call, whose receipt is returned instead
+     * @private
+     * @param {object} tx - ethers TransactionResponse
+     * @returns {Promise<object>} - Transaction receipt
+     */
+    async _waitForReceipt(tx) {
+        try {
+            return await tx.wait();
+        } catch (error) {
+            if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced') {
+                console.log(`Transaction ${tx.hash} was sped up by ${error.replacement.hash}`);
+                return error.receipt;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Speed up or cancel a pending transaction by sending another one with the same nonce.
+     * A speed-up repeats the same call; a cancel is a 0 MON transfer to the wallet itself.
+     * Both pay the higher of the bumped original fees and the current fees of the user's preset
+     * @param {object} pending - Pending transaction (see pendingTransactions) sent from this wallet
+     * @param {boolean} cancel - Cancel instead of speeding up
+     * @returns {Promise<object>} - ethers TransactionResponse of the replacement
+     */
+    async replaceTransaction(pending, cancel = false) {
+        this._assertCanSign();
+        if (pending.from.toLowerCase() !== this.wallet.address.toLowerCase()) {
+            throw new Error(`This transaction was sent from ${pending.from}. Switch to that wallet to replace it.`);
+        }
+        
+        // Nodes only accept a replacement paying a minimum increase on both fees
+        const bump = fee => BigInt(fee) * BigInt(100 + BOT_CONFIG.REPLACEMENT_FEE_BUMP_PERCENT) / 100n;
+        const max = (a, b) => (a > b ? a : b);
+        const current = await this.gas.getFees();
+        const maxPriorityFeePerGas = max(bump(pending.maxPriorityFeePerGas), current.maxPriorityFeePerGas);
+        const maxFeePerGas = max(max(bump(pending.maxFeePerGas), current.maxFeePerGas), maxPriorityFeePerGas);
+        
+        const tx = cancel
+            ? { to: this.wallet.address, value: 0n, data: '0x', gasLimit: 21000n }
+            : { to: pending.to, value: BigInt(pending.value), data: pending.data, gasLimit: BigInt(pending.gasLimit) };
+        
+        console.log(`${cancel ? 'Cancelling' : 'Speeding up'} nonce ${pending.nonce} of ${pending.from}: ` +
+            `max fee ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei, priority fee ${ethers.formatUnits(maxPriorityFeePerGas, 'gwei')} gwei`);
+        return nonceManager.replaceTransaction(this.wallet, this.network.chainId, pending.nonce, {
+            ...tx,
+            maxFeePerGas,
+            maxPriorityFeePerGas
+        });
+    }
+
+    /**
+     * Check where a pending transaction stands. Replacements are checked newest first
+     * @param {object} pending - Pending transaction (see pendingTransactions)
+     * @returns {Promise<object>} - { status, hash, blockNumber, explorerUrl } where status is 'pending', 'confirmed',
+     *   'failed' or 'replaced' (its nonce was used by a transaction the bot did not record)
+     */
+    async getTransactionStatus(pending) {
+        // Read the nonce first: a receipt arriving in between then still counts as mined by us
+        const minedCount = await this.provider.getTransactionCount(pending.from, 'latest');
+        
+        for (const hash of [...pending.hashes].reverse()) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) {
+                return {
+                    status: receipt.status === 1 ? 'confirmed' : 'failed',
+                    hash,
+                    blockNumber: receipt.blockNumber,
+                    explorerUrl: this.getTransactionExplorerUrl(hash)
+                };
+            }
+        }
+        
+        const latestHash = pending.hashes[pending.hashes.length - 1];
+        return {
+            status: minedCount > pending.nonce ? 'replaced' : 'pending',
+            hash: latestHash,
+            blockNumber: null,
+            explorerUrl: this.getTransactionExplorerUrl(latestHash)
+        };
+    }
+
+    /**
+     * Approve a token for spending by the router.
+     * Approves exactly amount, or the maximum in 'unlimited' approval mode
      */
     async approveToken(tokenAddress, amount) {
+        this._assertCanSign();
+        
         try {
             const tokenContract = new ethers.Contract(
                 tokenAddress,
@@ -273,14 +468,16 @@ class MonadIntegration {
             );
             
             const decimals = await tokenContract.decimals();
-            const amountInWei = ethers.parseUnits(amount.toString(), decimals);
+            const amountInWei = this.approvalMode === 'unlimited'
+                ? ethers.MaxUint256
+                : ethers.parseUnits(amount.toString(), decimals);
             
-            const tx = await tokenContract.approve(
-                this.network.addresses.ROUTER,
-                amountInWei
+            const tx = await this._sendTransaction(
+                await tokenContract.approve.populateTransaction(this.network.addresses.ROUTER, amountInWei),
+                'Token approval'
             );
             
-            return await tx.wait();
+            return await this._waitForReceipt(tx);
         } catch (error) {
             console.error('Error approving token:', error);
             throw new Error(`Failed to approve token: ${error.message}`);
@@ -288,230 +485,970 @@ class MonadIntegration {
     }
 
     /**
-     * Swap native MONAD for a token
+     * Revoke a spender's allowance by approving zero
+     * @param {string} tokenAddress - Token contract
+     * @param {string} spender - Address whose allowance is removed
+     * @returns {Promise<object>} - { hash, blockNumber, tokenAddress, spender, status, explorerUrl }
+     */
+    async revokeApproval(tokenAddress, spender) {
+        this._assertCanSign();
+        
+        try {
+            const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
+            
+            const simulation = await this.simulator.simulateCall(tokenContract, 'approve', [spender, 0n]);
+            if (!simulation.success) {
+                throw new Error(`Transaction would revert: ${simulation.reason}`);
+            }
+            
+            console.log(`Revoking the allowance of ${spender} for ${tokenAddress}`);
+            const tx = await this._sendTransaction(await tokenContract.approve.populateTransaction(spender, 0n), 'Approval revoke');
+            console.log(`Transaction hash: ${tx.hash}`);
+            
+            const receipt = await this._waitForReceipt(tx);
+            console.log(`Revoke confirmed in block ${receipt.blockNumber}`);
+            
+            return {
+                hash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                tokenAddress,
+                spender,
+                status: receipt.status === 1 ? 'success' : 'failed',
+                explorerUrl: `${this.network.blockExplorerUrl}/tx/${receipt.hash}`
+            };
+        } catch (error) {
+            console.error('Error revoking approval:', error);
+            throw new Error(`Failed to revoke approval: ${error.message}`);
+        }
+    }
+
+    /**
+     * Swap native MONAD for a token.
+     * Unlisted tokens get a honeypot check first: the swap is blocked when the token cannot be sold again
      * @param {string} tokenAddress - Address of the token to swap to
      * @param {string} amount - Amount of MON to swap
      * @param {number} slippage - Slippage tolerance percentage
      * @param {function} progressCallback - Optional callback for progress updates
-     * @returns {Promise<object>} - Transaction details
+     * @returns {Promise<object>} - Swap receipt (see _executeSwap)
      */
     async swapMonadForToken(tokenAddress, amount, slippage = 0.5, progressCallback = null) {
-        try {
-            const updateProgress = (stage, message, data = null) => {
-                console.log(`${stage}: ${message}`);
-                if (progressCallback) {
+        return this._executeSwap(this.network.addresses.WETH, tokenAddress, amount, slippage, { nativeIn: true, checkHoneypot: true, progressCallback });
+    }
+
+    /**
+     * Swap a token for native MONAD
+     * @param {string} tokenAddress - Address of the token to sell
+     * @param {string} amount - Amount of the token to swap
+     * @param {number} slippage - Slippage tolerance percentage
+     * @param {function} progressCallback - Optional callback for progress updates
+     * @returns {Promise<object>} - Swap receipt (see _executeSwap)
+     */
+    async swapTokenForMonad(tokenAddress, amount, slippage = 0.5, progressCallback = null) {
+        return this._executeSwap(tokenAddress, this.network.addresses.WETH, amount, slippage, { nativeOut: true, progressCallback });
+    }
+
+    /**
+     * Swap one token for another token
+     * @param {string} fromTokenAddress - Address of the token to sell
+     * @param {string} toTokenAddress - Address of the token to buy
+     * @param {string} amount - Amount of the input token to swap
+     * @param {number} slippage - Slippage tolerance percentage
+     * @param {function} progressCallback - Optional callback for progress updates
+     * @returns {Promise<object>} - Swap receipt (see _executeSwap)
+     */
+    async swapTokenForToken(fromTokenAddress, toTokenAddress, amount, slippage = 0.5, progressCallback = null) {
+        return this._executeSwap(fromTokenAddress, toTokenAddress, amount, slippage, { progressCallback });
+    }
+
+    /**
+     * Buy an exact amount of a token with native MONAD (with the same honeypot check as swapMonadForToken)
+     * @param {string} tokenAddress - Address of the token to buy
+     * @param {string} amountOut - Exact amount of the token to receive
+     * @param {number} slippage - Slippage tolerance percentage, bounding the MON spent
+     * @param {function} progressCallback - Optional callback for progress updates
+     * @returns {Promise<object>} - Swap receipt (see _executeSwap)
+     */
+    async swapMonadForExactToken(tokenAddress, amountOut, slippage = 0.5, progressCallback = null) {
+        return this._executeSwap(this.network.addresses.WETH, tokenAddress, amountOut, slippage, { nativeIn: true, exactOutput: true, checkHoneypot: true, progressCallback });
+    }
+
+    /**
+     * Sell a token for an exact amount of native MONAD
+     * @param {string} tokenAddress - Address of the token to sell
+     * @param {string} amountOut - Exact amount of MON to receive
+     * @param {number} slippage - Slippage tolerance percentage, bounding the tokens spent
+     * @param {function} progressCallback - Optional callback for progress updates
+     * @returns {Promise<object>} - Swap receipt (see _executeSwap)
+     */
+    async swapTokenForExactMonad(tokenAddress, amountOut, slippage = 0.5, progressCallback = null) {
+        return this._executeSwap(tokenAddress, this.network.addresses.WETH, amountOut, slippage, { nativeOut: true, exactOutput: true, progressCallback });
+    }
+
+    /**
+     * Swap a token for an exact amount of another token
+     * @param {string} fromTokenAddress - Address of the token to sell
+     * @param {string} toTokenAddress - Address of the token to buy
+     * @param {string} amountOut - Exact amount of the output token to receive
+     * @param {number} slippage - Slippage tolerance percentage, bounding the tokens spent
+     * @param {function} progressCallback - Optional callback for progress updates
+     * @returns {Promise<object>} - Swap receipt (see _executeSwap)
+     */
+    async swapTokenForExactToken(fromTokenAddress, toTokenAddress, amountOut, slippage = 0.5, progressCallback = null) {
+        return this._executeSwap(fromTokenAddress, toTokenAddress, amountOut, slippage, { exactOutput: true, progressCallback });
+    }
+
+    /**
+     * Swap engine behind every swap direction.
+     *
+     * Each swap goes through the same stages, reported to options.progressCallback(stage, message, data):
+     * INIT, TOKEN, TAX, QUOTE, SLIPPAGE, IMPACT, BALANCE, APPROVE, GAS, SUBMITTED, PENDING, CONFIRMED,
+     * with WARNING for non-fatal problems and ERROR right before a failure is thrown.
+     * @private
+     * @param {string} fromTokenAddress - Input token address (WMON when paying with MON)
+     * @param {string} toTokenAddress - Output token address (WMON when receiving MON)
+     * @param {string} amount - Input amount, or the output amount for exact-output swaps
+     * @param {number} slippage - Slippage tolerance percentage (bounds the output, or the input for exact-output swaps)
+     * @param {object} options - { nativeIn, nativeOut, exactOutput, checkHoneypot, progressCallback }
+     * @returns {Promise<object>} - Swap receipt: { hash, status, blockNumber, from, to, fromToken, toToken, fromAddress, toAddress,
+     *   fromAmount, toAmount, quotedFromAmount, quotedToAmount, maxFromAmount, minToAmount, exactOutput, realizedSlippage,
+     *   executionPrice, route, path, venue, priceImpact, transferTax, transactionFee, explorerUrl }
+     */
+    async _executeSwap(fromTokenAddress, toTokenAddress, amount, slippage, options = {}) {
+        this._assertCanSign();
+        
+        const { nativeIn = false, nativeOut = false, exactOutput = false, checkHoneypot = false, progressCallback = null } = options;
+        const report = (stage, message, data = null) => {
+            console.log(`${stage}: ${message}`);
+            if (progressCallback) {
+                try {
                     progressCallback(stage, message, data);
+                } catch (error) {
+                    // A broken progress display must not abort the swap
+                    console.error('Swap progress callback failed:', error.message);
                 }
-            };
-            
-            updateProgress('INIT', `Preparing to swap ${amount} MON for tokens at ${tokenAddress}`);
-            
-            // Validate token address
-            if (!ethers.isAddress(tokenAddress)) {
-                throw new Error('Invalid token address');
             }
-            
-            // Parse the amount to wei
-            let amountInWei;
+        };
+        
+        try {
+            report('INIT', exactOutput
+                ? `Preparing to buy exactly ${amount} of ${toTokenAddress} with ${fromTokenAddress}`
+                : `Preparing to swap ${amount} of ${fromTokenAddress} for ${toTokenAddress}`);
+            
+            // Token details
+            report('TOKEN', 'Getting token details...');
+            const fromTokenContract = new ethers.Contract(fromTokenAddress, ERC20_ABI, this.wallet);
+            const toTokenContract = new ethers.Contract(toTokenAddress, ERC20_ABI, this.provider);
+            const nativeSymbol = this.network.nativeCurrency;
+            
+            const [fromDecimals, fromSymbol] = nativeIn
+                ? [18, nativeSymbol]
+                : await Promise.all([fromTokenContract.decimals(), fromTokenContract.symbol()]);
+            const [toDecimals, toSymbol] = nativeOut
+                ? [18, nativeSymbol]
+                : await Promise.all([toTokenContract.decimals(), toTokenContract.symbol()]);
+            report('TOKEN', `Swapping ${fromSymbol} for ${toSymbol}`);
+            
+            let amountWei;
             try {
-                amountInWei = ethers.parseEther(amount.toString());
-                updateProgress('AMOUNT', `Amount in wei: ${amountInWei}`);
+                amountWei = ethers.parseUnits(amount.toString(), exactOutput ? toDecimals : fromDecimals);
             } catch (error) {
                 throw new Error(`Invalid amount format: ${error.message}`);
             }
             
-            // Check if we have enough balance
-            updateProgress('BALANCE', 'Checking wallet balance...');
-            const balance = await this.provider.getBalance(this.wallet.address);
-            
-            if (balance < amountInWei) {
-                throw new Error(`Insufficient balance. You have ${ethers.formatEther(balance)} MON but tried to swap ${amount} MON`);
+            // Buying a token that cannot be sold again is blocked; risky but sellable tokens only warn
+            if (checkHoneypot && !this._isListedToken(toTokenAddress)) {
+                report('SAFETY', `Simulating a buy and sell of ${toSymbol}...`);
+                const safety = await this.honeypotChecker.check(toTokenAddress);
+                if (safety.verdict === 'honeypot') {
+                    throw new Error(`${toSymbol} looks like a honeypot (${safety.reasons.join('; ')}). The swap was blocked.`);
+                }
+                for (const reason of safety.reasons) {
+                    report('WARNING', `${toSymbol}: ${reason}`, { safety });
+                }
+                if (safety.verdict === 'safe') {
+                    report('SAFETY', `${toSymbol} can be sold again (sell tax ${safety.sellTax}%)`, { safety });
+                }
             }
             
-            // Get token details
-            updateProgress('TOKEN', 'Getting token details...');
-            let tokenSymbol = "Unknown";
-            let tokenDecimals = 18;
-            let tokenName = "Unknown Token";
+            // Taxed tokens only work with the V2 fee-on-transfer functions
+            report('TAX', 'Checking for transfer taxes...');
+            const [fromBuyTax, toBuyTax] = await Promise.all([
+                nativeIn ? 0 : this.taxDetector.detectBuyTax(fromTokenAddress),
+                nativeOut ? 0 : this.taxDetector.detectBuyTax(toTokenAddress)
+            ]);
+            const taxed = fromBuyTax > 0 || toBuyTax > 0 || (!nativeIn && this.taxDetector.getKnownTaxes(fromTokenAddress).sellTax > 0);
+            if (taxed && exactOutput) {
+                throw new Error('Exact-amount swaps are not supported for tokens with a transfer tax. Use a regular swap instead.');
+            }
+            if (toBuyTax > 0) {
+                report('TAX', `${toSymbol} charges a ${toBuyTax}% buy tax, using the fee-on-transfer swap`, { buyTax: toBuyTax });
+            }
+            if (fromBuyTax > 0) {
+                report('TAX', `${fromSymbol} is a taxed token, its sell tax is measured before sending`, { buyTax: fromBuyTax });
+            }
             
+            // Route: exact-output swaps only run on V2; exact-input swaps compare V2 with V3
+            report('QUOTE', 'Finding the best route...');
+            let best, route;
             try {
-                const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
-                tokenSymbol = await tokenContract.symbol();
-                tokenDecimals = await tokenContract.decimals();
-                tokenName = await tokenContract.name();
-                updateProgress('TOKEN', `Token details: ${tokenName} (${tokenSymbol}), ${tokenDecimals} decimals`);
+                if (exactOutput) {
+                    best = await this.findBestRoute(fromTokenAddress, toTokenAddress, amountWei, { exactOutput: true });
+                    route = this.describeRoute(best.path, fromSymbol, toSymbol);
+                } else {
+                    best = await this.findBestVenue(fromTokenAddress, toTokenAddress, amountWei, { v2Only: taxed });
+                    route = this.describeVenueRoute(best, fromSymbol, toSymbol);
+                }
             } catch (error) {
-                updateProgress('WARNING', `Could not get token details for ${tokenAddress}: ${error.message}`);
+                throw new Error(`Failed to get swap quote: ${error.message}`);
             }
             
-            // Set up the swap path and deadline
-            const path = [this.network.addresses.WETH, tokenAddress];
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
+            const venue = best.venue || 'V2';
+            const path = best.path;
+            const amountIn = exactOutput ? best.amountIn : amountWei;
+            const quotedOut = exactOutput ? amountWei : best.amountOut;
+            report('QUOTE', exactOutput
+                ? `Route: ${route}. Estimated cost: ${ethers.formatUnits(amountIn, fromDecimals)} ${fromSymbol}`
+                : `Route: ${route}. Expected output: ${ethers.formatUnits(quotedOut, toDecimals)} ${toSymbol}`,
+            { route, venue });
             
-            updateProgress('QUOTE', 'Getting price quote...');
+            // Slippage bounds the output, or what we are willing to pay for an exact output
+            const slippageBasisPoints = BigInt(Math.floor(slippage * 100));
+            let expectedOut = toBuyTax > 0 ? this._deductTransferTax(quotedOut, toBuyTax) : quotedOut;
+            let amountOutMin = exactOutput ? quotedOut : expectedOut - (expectedOut * slippageBasisPoints / 10000n);
+            const amountInMax = exactOutput ? amountIn + (amountIn * slippageBasisPoints / 10000n) : amountIn;
+            report('SLIPPAGE', exactOutput
+                ? `Maximum input (with ${slippage}% slippage): ${ethers.formatUnits(amountInMax, fromDecimals)} ${fromSymbol}`
+                : `Amount out minimum (with ${slippage}% slippage): ${ethers.formatUnits(amountOutMin, toDecimals)} ${toSymbol}`);
+            
+            // Price impact from the pool state
+            const priceImpact = await this.calculatePriceImpact(best, amountIn, quotedOut);
+            this._reportPriceImpact(priceImpact, report);
+            
+            // Check balance against the most the swap may take
+            report('BALANCE', 'Checking wallet balance...');
+            const balance = nativeIn
+                ? await this.provider.getBalance(this.wallet.address)
+                : await fromTokenContract.balanceOf(this.wallet.address);
+            if (balance < amountInMax) {
+                throw new Error(`Insufficient ${fromSymbol} balance. You have ${ethers.formatUnits(balance, fromDecimals)} ${fromSymbol} ` +
+                    `but this swap needs ${exactOutput ? 'up to ' : ''}${ethers.formatUnits(amountInMax, fromDecimals)} ${fromSymbol}`);
+            }
             
-            // Get expected output amount
-            let amounts;
-            try {
-                amounts = await this.routerContract.getAmountsOut(amountInWei, path);
-                updateProgress('QUOTE', `Expected output: ${ethers.formatUnits(amounts[1], tokenDecimals)} ${tokenSymbol}`);
-            } catch (error) {
-                throw new Error(`Failed to get swap quote: ${error.message}`);
+            // Approvals: a signed EIP-2612 permit when the token supports one and no allowance is in place,
+            // otherwise an approve transaction (the V2 router directly, the UniversalRouter through Permit2)
+            const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
+            const approval = { venue, tokenContract: fromTokenContract, symbol: fromSymbol, decimals: fromDecimals, amount: amountInMax };
+            let permit = null;
+            if (!nativeIn) {
+                report('APPROVE', 'Checking token allowance...');
+                if (!taxed && await this._needsApproval(approval)) {
+                    permit = await this.permitSwapper.signPermit(fromTokenAddress, amountInMax, deadline).catch(error => {
+                        console.warn(`Could not sign a permit for ${fromSymbol}:`, error.message);
+                        return null;
+                    });
+                }
+                if (permit) {
+                    report('APPROVE', `${fromSymbol} approved with a permit signature, no approve transaction needed`);
+                } else {
+                    await this._approveForSwap(approval, report);
+                }
+            }
+            
+            // With the approval in place the real sell can be simulated to measure its tax
+            // (for token-to-token swaps this includes the output token's buy tax)
+            let swapTax = null;
+            const measureSwapTax = async () => {
+                swapTax = await this.taxDetector.detectSellTax(fromTokenAddress, amountIn, path, nativeOut);
+                if (swapTax > 0) {
+                    expectedOut = this._deductTransferTax(quotedOut, swapTax);
+                    amountOutMin = expectedOut - (expectedOut * slippageBasisPoints / 10000n);
+                    report('TAX', `This swap loses ${swapTax}% to transfer taxes. Amount out minimum: ${ethers.formatUnits(amountOutMin, toDecimals)} ${toSymbol}`, { swapTax });
+                }
+            };
+            if (!nativeIn && !exactOutput && venue === 'V2' && !permit) {
+                await measureSwapTax();
             }
+            const swapParams = () => ({
+                venue,
+                fee: best.v3?.fee,
+                tokenIn: fromTokenAddress,
+                tokenOut: toTokenAddress,
+                feeOnTransfer: toBuyTax > 0 || swapTax > 0,
+                nativeIn, nativeOut, exactOutput, amountIn, amountInMax, amountOutMin, quotedOut, path, deadline, permit
+            });
             
-            // Calculate minimum amount with slippage
-            const slippageBasisPoints = Math.floor(slippage * 100);
-            const amountOutMin = amounts[1] - (amounts[1] * BigInt(slippageBasisPoints) / BigInt(10000));
+            // Run the exact transaction against the latest block before signing it
+            report('SIMULATE', 'Simulating the swap...');
+            let simulation = await this._simulateSwapCall(swapParams());
+            if (!simulation.success && permit) {
+                // Tokens whose permit differs from EIP-2612 (or that tax sells) fall back to a regular approval
+                report('WARNING', `The ${fromSymbol} permit swap would revert (${simulation.reason}), approving the token instead`);
+                permit = null;
+                await this._approveForSwap(approval, report);
+                if (!exactOutput && venue === 'V2') {
+                    await measureSwapTax();
+                }
+                simulation = await this._simulateSwapCall(swapParams());
+            }
+            if (!simulation.success) {
+                throw new Error(`The swap would revert: ${simulation.reason}`);
+            }
+            if (simulation.amountOut === null) {
+                report('SIMULATE', 'Simulation passed');
+            } else {
+                report('SIMULATE', exactOutput
+                    ? `Simulation passed. Cost: ${ethers.formatUnits(simulation.amountIn, fromDecimals)} ${fromSymbol}`
+                    : `Simulation passed. Output: ${ethers.formatUnits(simulation.amountOut, toDecimals)} ${toSymbol}`,
+                { amountIn: simulation.amountIn, amountOut: simulation.amountOut });
+            }
             
-            updateProgress('SLIPPAGE', `Amount out minimum (with ${slippage}% slippage): ${ethers.formatUnits(amountOutMin, tokenDecimals)} ${tokenSymbol}`);
+            report('GAS', 'Estimating gas...');
+            const request = await this._populateSwap(swapParams());
+            const tx = await this._sendTransaction(request, `Swap ${fromSymbol} → ${toSymbol}`, gas => report('GAS',
+                `Gas limit ${gas.gasLimit} (estimate ${gas.gasEstimate}), max fee ${ethers.formatUnits(gas.maxFeePerGas, 'gwei')} gwei (${this.gas.settings.preset})`,
+                { gasEstimate: gas.gasEstimate, gasLimit: gas.gasLimit }));
             
-            // Calculate price impact
-            const priceImpact = this.calculatePriceImpact(amountInWei, amounts[1], tokenDecimals);
-            updateProgress('IMPACT', `Estimated price impact: ${priceImpact.toFixed(2)}%`, { priceImpact });
+            const explorerUrl = this.getTransactionExplorerUrl(tx.hash);
+            report('SUBMITTED', `Transaction submitted. Hash: ${tx.hash}`, { hash: tx.hash, explorerUrl });
+            report('PENDING', 'Waiting for transaction confirmation...', { hash: tx.hash });
             
-            // High price impact warning
-            if (priceImpact > 5) {
-                updateProgress('WARNING', `High price impact detected (${priceImpact.toFixed(2)}%). This may result in a significant loss of funds.`);
+            const receipt = await this._waitForReceipt(tx);
+            if (receipt.status !== 1) {
+                throw new Error('Transaction reverted on chain');
             }
+            report('CONFIRMED', `Transaction confirmed in block ${receipt.blockNumber}`, { hash: receipt.hash, blockNumber: receipt.blockNumber });
+            
+            // Read what the swap really did from the receipt logs
+            const settled = this._summarizeSwapReceipt(receipt, {
+                tokenIn: fromTokenAddress,
+                tokenOut: toTokenAddress,
+                nativeIn,
+                nativeOut,
+                amountIn,
+                quotedOut: expectedOut,
+                fromDecimals,
+                toDecimals,
+                fromSymbol,
+                toSymbol
+            });
             
-            // Estimate gas for the swap to ensure the transaction can proceed
-            updateProgress('GAS', 'Estimating gas...');
-            let gasEstimate;
+            return {
+                hash: receipt.hash,
+                status: 'success',
+                blockNumber: receipt.blockNumber,
+                from: this.wallet.address,
+                to: tx.to,
+                fromToken: fromSymbol,
+                toToken: toSymbol,
+                fromAddress: fromTokenAddress,
+                toAddress: toTokenAddress,
+                fromAmount: settled.fromAmount,
+                toAmount: settled.toAmount,
+                quotedFromAmount: ethers.formatUnits(amountIn, fromDecimals),
+                quotedToAmount: settled.quotedToAmount,
+                maxFromAmount: exactOutput ? ethers.formatUnits(amountInMax, fromDecimals) : null,
+                minToAmount: ethers.formatUnits(amountOutMin, toDecimals),
+                exactOutput,
+                realizedSlippage: exactOutput ? null : settled.realizedSlippage,
+                executionPrice: settled.executionPrice,
+                route,
+                path,
+                venue,
+                priceImpact,
+                transferTax: { buyTax: toBuyTax || null, swapTax },
+                transactionFee: {
+                    gas: receipt.gasUsed.toString(),
+                    gasPrice: receipt.gasPrice ? receipt.gasPrice.toString() : 'unknown',
+                    total: receipt.gasUsed && receipt.gasPrice
+                        ? `${ethers.formatEther(receipt.gasUsed * receipt.gasPrice)} ${nativeSymbol}`
+                        : 'unknown'
+                },
+                explorerUrl: this.getTransactionExplorerUrl(receipt.hash)
+            };
+        } catch (error) {
+            console.error('Swap failed:', error);
             
-            try {
-                gasEstimate = await this.routerContract.swapExactETHForTokens.estimateGas(
-                    amountOutMin,
-                    path,
-                    this.wallet.address,
-                    deadline,
-                    { value: amountInWei }
-                );
-                updateProgress('GAS', `Gas estimate for swap: ${gasEstimate}`);
-            } catch (error) {
-                console.error('Gas estimation failed:', error);
-                throw new Error(`Swap transaction is likely to fail: ${error.message}`);
+            // Errors from the node are translated; our own checks already read well
+            const reason = error.code ? this._describeSwapError(error) : error.message;
+            report('ERROR', reason, { error });
+            throw new Error(`Swap failed: ${reason}`);
+        }
+    }
+
+    /**
+     * Whether selling a token needs a new approval: of the V2 router, or of Permit2 for V3 swaps
+     * @private
+     * @param {object} approval - { venue, tokenContract, amount }
+     * @returns {Promise<boolean>}
+     */
+    async _needsApproval(approval) {
+        const spender = approval.venue === 'V3' ? this.network.addresses.PERMIT2 : this.network.addresses.ROUTER;
+        const allowance = await approval.tokenContract.allowance(this.wallet.address, spender);
+        return allowance < approval.amount;
+    }
+
+    /**
+     * Approve the token a swap sells, reporting APPROVE stages
+     * @private
+     * @param {object} approval - { venue, tokenContract, symbol, decimals, amount }
+     * @param {function} report - Stage reporter of the swap
+     */
+    async _approveForSwap(approval, report) {
+        const { venue, tokenContract, symbol, decimals, amount } = approval;
+        
+        if (venue === 'V3') {
+            await this.v3.ensurePermit2Allowance(await tokenContract.getAddress(), amount);
+            report('APPROVE', `${symbol} approved for the UniversalRouter through Permit2`);
+            return;
+        }
+        
+        if (await this._needsApproval(approval)) {
+            const approveAmount = this.approvalMode === 'unlimited' ? 'unlimited' : ethers.formatUnits(amount, decimals);
+            report('APPROVE', `Approving ${approveAmount} ${symbol} for the router...`);
+            const approveReceipt = await this.approveToken(await tokenContract.getAddress(), ethers.formatUnits(amount, decimals));
+            report('APPROVE', `${symbol} approved for swap`, { hash: approveReceipt.hash });
+        } else {
+            report('APPROVE', `${symbol} already approved for swap`);
+        }
+    }
+
+    /**
+     * Pick the V2 router function and arguments for a swap
+     * @private
+     * @param {object} swap - { nativeIn, nativeOut, exactOutput, feeOnTransfer, amountIn, amountInMax, amountOutMin, quotedOut, path, deadline }
+     * @returns {object} - { method, args, overrides }
+     */
+    _buildV2SwapCall(swap) {
+        const to = this.wallet.address;
+        
+        if (swap.exactOutput) {
+            if (swap.nativeIn) {
+                // Unused MON above the actual cost is refunded by the router
+                return { method: 'swapETHForExactTokens', args: [swap.quotedOut, swap.path, to, swap.deadline], overrides: { value: swap.amountInMax } };
+            }
+            return {
+                method: swap.nativeOut ? 'swapTokensForExactETH' : 'swapTokensForExactTokens',
+                args: [swap.quotedOut, swap.amountInMax, swap.path, to, swap.deadline],
+                overrides: {}
+            };
+        }
+        
+        const suffix = swap.feeOnTransfer ? 'SupportingFeeOnTransferTokens' : '';
+        if (swap.nativeIn) {
+            return { method: `swapExactETHForTokens${suffix}`, args: [swap.amountOutMin, swap.path, to, swap.deadline], overrides: { value: swap.amountIn } };
+        }
+        return {
+            method: `${swap.nativeOut ? 'swapExactTokensForETH' : 'swapExactTokensForTokens'}${suffix}`,
+            args: [swap.amountIn, swap.amountOutMin, swap.path, to, swap.deadline],
+            overrides: {}
+        };
+    }
+
+    /**
+     * Build the transaction request of a swap: SwapRouter02 for permit swaps, the UniversalRouter for V3,
+     * the V2 router otherwise
+     * @private
+     * @param {object} swap - Swap fields as for _simulateSwapCall
+     * @returns {Promise<object>} - Transaction request ({ to, data, value })
+     */
+    async _populateSwap(swap) {
+        if (swap.permit) {
+            const { args, overrides } = this.permitSwapper.buildSwap(swap);
+            return this.permitSwapper.router.multicall.populateTransaction(...args, overrides);
+        }
+        if (swap.venue === 'V3') {
+            const { args, overrides } = this.v3.buildSwapExactInput(swap);
+            return this.v3.universalRouter.execute.populateTransaction(...args, overrides);
+        }
+        const { method, args, overrides } = this._buildV2SwapCall(swap);
+        return this.routerContract[method].populateTransaction(...args, overrides);
+    }
+
+    /**
+     * Simulate a swap transaction with eth_call, exactly as it would be sent
+     * @private
+     * @param {object} swap - _buildV2SwapCall fields plus { venue, fee, tokenIn, tokenOut } for V3 swaps,
+     *   and { permit } for swaps sent through SwapRouter02 with a signed permit
+     * @returns {Promise<object>} - { success, reason, amountIn, amountOut }; the amounts are null
+     *   when the router function returns nothing (UniversalRouter and fee-on-transfer swaps)
+     */
+    async _simulateSwapCall(swap) {
+        let simulation;
+        let amounts = null;
+        
+        if (swap.permit) {
+            const { args, overrides } = this.permitSwapper.buildSwap(swap);
+            simulation = await this.simulator.simulateCall(this.permitSwapper.router, 'multicall', args, overrides);
+            if (simulation.success) {
+                const { amountIn, amountOut } = this.permitSwapper.decodeSwapResult(simulation.result, swap);
+                amounts = [amountIn, amountOut];
             }
+        } else if (swap.venue === 'V3') {
+            const { args, overrides } = this.v3.buildSwapExactInput(swap);
+            simulation = await this.simulator.simulateCall(this.v3.universalRouter, 'execute', args, overrides);
+        } else {
+            const { method, args, overrides } = this._buildV2SwapCall(swap);
+            simulation = await this.simulator.simulateCall(this.routerContract, method, args, overrides);
+            if (simulation.success && !swap.feeOnTransfer) {
+                amounts = simulation.result;
+            }
+        }
+        
+        return {
+            success: simulation.success,
+            reason: simulation.success ? null : this._describeSwapError({ message: simulation.reason }),
+            amountIn: amounts ? amounts[0] : null,
+            amountOut: amounts ? amounts[amounts.length - 1] : null
+        };
+    }
+
+    /**
+     * Simulate the swap a quote describes from this wallet, for showing before the user confirms.
+     * Token sells can only be simulated once the router may spend the token, so without that
+     * approval the simulation is left to the swap itself.
+     * @private
+     * @param {object} quote - { fromTokenAddress, toTokenAddress, fromSymbol, best, amountIn, amountOut, slippage, exactOutput, transferTax }
+     * @returns {Promise<object>} - { success, pendingApproval, reason, amountIn, amountOut, gasEstimate } in smallest units;
+     *   gasEstimate is null unless the simulation passed
+     */
+    async _simulateQuotedSwap(quote) {
+        const weth = this.network.addresses.WETH.toLowerCase();
+        const nativeIn = quote.fromTokenAddress.toLowerCase() === weth;
+        const nativeOut = quote.toTokenAddress.toLowerCase() === weth;
+        const { best, amountIn, amountOut, exactOutput, transferTax } = quote;
+        const owner = this.wallet.address;
+        
+        // Same bounds as _executeSwap; a sell tax not measured yet leaves the output unbounded
+        const slippageBasisPoints = BigInt(Math.floor((quote.slippage || 0) * 100));
+        const feeOnTransfer = transferTax.buyTax > 0 || transferTax.sellTaxed;
+        let amountOutMin = amountOut;
+        if (!exactOutput) {
+            const expectedOut = this._deductTransferTax(this._deductTransferTax(amountOut, transferTax.buyTax || 0), transferTax.sellTax || 0);
+            amountOutMin = transferTax.sellTaxed && transferTax.sellTax === null
+                ? 0n
+                : expectedOut - (expectedOut * slippageBasisPoints / 10000n);
+        }
+        const amountInMax = exactOutput ? amountIn + (amountIn * slippageBasisPoints / 10000n) : amountIn;
+        
+        const fromTokenContract = new ethers.Contract(quote.fromTokenAddress, ERC20_ABI, this.provider);
+        const balance = nativeIn ? await this.provider.getBalance(owner) : await fromTokenContract.balanceOf(owner);
+        if (balance < amountInMax) {
+            return { success: false, pendingApproval: false, reason: `Insufficient ${quote.fromSymbol} balance`, amountIn: null, amountOut: null, gasEstimate: null };
+        }
+        
+        if (!nativeIn) {
+            let approved;
+            if (best.venue === 'V3') {
+                const permit2 = new ethers.Contract(this.network.addresses.PERMIT2, PERMIT2_ABI, this.provider);
+                const [tokenAllowance, [permitted, expiration]] = await Promise.all([
+                    fromTokenContract.allowance(owner, this.network.addresses.PERMIT2),
+                    permit2.allowance(owner, quote.fromTokenAddress, this.network.addresses.UNIVERSAL_ROUTER)
+                ]);
+                approved = tokenAllowance >= amountInMax && permitted >= amountInMax && Number(expiration) > Date.now() / 1000;
+            } else {
+                approved = await fromTokenContract.allowance(owner, this.network.addresses.ROUTER) >= amountInMax;
+            }
+            if (!approved) {
+                return { success: false, pendingApproval: true, reason: null, amountIn: null, amountOut: null, gasEstimate: null };
+            }
+        }
+        
+        const swap = {
+            venue: best.venue || 'V2',
+            fee: best.v3?.fee,
+            tokenIn: quote.fromTokenAddress,
+            tokenOut: quote.toTokenAddress,
+            nativeIn,
+            nativeOut,
+            exactOutput,
+            feeOnTransfer,
+            amountIn,
+            amountInMax,
+            amountOutMin,
+            quotedOut: amountOut,
+            path: best.path,
+            deadline: Math.floor(Date.now() / 1000) + 60 * 20 // 20 minutes
+        };
+        const simulation = await this._simulateSwapCall(swap);
+        
+        let gasEstimate = null;
+        if (simulation.success) {
+            gasEstimate = await this.wallet.estimateGas(await this._populateSwap(swap)).catch(error => {
+                console.warn('Could not estimate gas of the quoted swap:', error.message);
+                return null;
+            });
+        }
+        return { ...simulation, pendingApproval: false, gasEstimate };
+    }
+
+    /**
+     * Whether a token is one of the network's listed tokens (or WMON)
+     * @private
+     * @param {string} tokenAddress - Token address
+     * @returns {boolean}
+     */
+    _isListedToken(tokenAddress) {
+        const address = tokenAddress.toLowerCase();
+        return address === this.network.addresses.WETH.toLowerCase() ||
+            Object.values(this.network.tokens).some(token => token.address.toLowerCase() === address);
+    }
+
+    /**
+     * Tokens that multi-hop routes may pass through
+     * @private
+     * @returns {Array} - [{ address, symbol }], WMON first
+     */
+    _getRouteConnectors() {
+        const connectors = [{ address: this.network.addresses.WETH, symbol: 'WMON' }];
+        
+        for (const symbol of ROUTE_CONNECTOR_SYMBOLS) {
+            const token = this.network.tokens[symbol];
+            if (token) {
+                connectors.push({ address: token.address, symbol: token.symbol });
+            }
+        }
+        
+        return connectors;
+    }
+
+    /**
+     * Build every direct, one-hop and two-hop path between two tokens
+     * @private
+     * @param {string} fromAddress - Input token address
+     * @param {string} toAddress - Output token address
+     * @returns {Array<Array<string>>} - Candidate paths
+     */
+    _buildCandidatePaths(fromAddress, toAddress) {
+        const from = fromAddress.toLowerCase();
+        const to = toAddress.toLowerCase();
+        const connectors = this._getRouteConnectors()
+            .map(connector => connector.address)
+            .filter(address => address.toLowerCase() !== from && address.toLowerCase() !== to);
+        
+        const paths = [[fromAddress, toAddress]];
+        
+        for (const first of connectors) {
+            paths.push([fromAddress, first, toAddress]);
             
-            updateProgress('EXECUTE', 'Executing swap transaction...');
+            for (const second of connectors) {
+                if (second !== first) {
+                    paths.push([fromAddress, first, second, toAddress]);
+                }
+            }
+        }
+        
+        return paths;
+    }
+
+    /**
+     * Find the best path for a swap.
+     * Every candidate is quoted with getAmountsOut (or getAmountsIn for exact-output swaps);
+     * paths without a pool simply revert and are skipped.
+     * @param {string} fromAddress - Input token address (WMON for native MON)
+     * @param {string} toAddress - Output token address (WMON for native MON)
+     * @param {BigInt} amountWei - Input amount, or the wanted output amount when options.exactOutput is set
+     * @param {object} options - { exactOutput } pick the path needing the least input for a fixed output
+     * @returns {Promise<object>} - { path, amounts, amountIn, amountOut }
+     */
+    async findBestRoute(fromAddress, toAddress, amountWei, options = {}) {
+        const exactOutput = !!options.exactOutput;
+        const paths = this._buildCandidatePaths(fromAddress, toAddress);
+        
+        const quotes = await Promise.allSettled(paths.map(path => exactOutput
+            ? this.routerContract.getAmountsIn(amountWei, path)
+            : this.routerContract.getAmountsOut(amountWei, path)
+        ));
+        
+        let best = null;
+        quotes.forEach((quote, index) => {
+            if (quote.status !== 'fulfilled') {
+                return;
+            }
             
-            // Add 20% buffer to gas estimate for safety
-            const gasLimit = Math.floor(Number(gasEstimate) * 1.2); 
+            const amounts = [...quote.value];
+            const amountIn = amounts[0];
+            const amountOut = amounts[amounts.length - 1];
+            const isBetter = exactOutput
+                ? amountIn > 0n && (!best || amountIn < best.amountIn)
+                : amountOut > 0n && (!best || amountOut > best.amountOut);
             
-            try {
-                const tx = await this.routerContract.swapExactETHForTokens(
-                    amountOutMin,
-                    path,
-                    this.wallet.address,
-                    deadline,
-                    { 
-                        value: amountInWei,
-                        gasLimit
-                    }
-                );
-                
-                updateProgress('SUBMITTED', `Transaction submitted. Hash: ${tx.hash}`, { hash: tx.hash });
-                
-                // Wait for transaction confirmation
-                updateProgress('PENDING', 'Waiting for transaction confirmation...', { hash: tx.hash });
-                
-                const receipt = await tx.wait();
-                
-                if (receipt.status === 1) {
-                    updateProgress('CONFIRMED', 'Transaction confirmed successfully!', { receipt });
-                    
-                    // Format a detailed transaction receipt
-                    const formattedReceipt = {
-                        hash: tx.hash,
-                        status: 'SUCCESS',
-                        from: this.wallet.address,
-                        to: this.network.addresses.ROUTER,
-                        tokenBought: {
-                            address: tokenAddress,
-                            symbol: tokenSymbol,
-                            name: tokenName
-                        },
-                        amountIn: {
-                            raw: amountInWei.toString(),
-                            formatted: amount
-                        },
-                        amountOut: {
-                            raw: amounts[1].toString(),
-                            formatted: ethers.formatUnits(amounts[1], tokenDecimals)
-                        },
-                        priceImpact: priceImpact,
-                        transactionFee: {
-                            gas: receipt.gasUsed.toString(),
-                            gasPrice: receipt.gasPrice ? receipt.gasPrice.toString() : 'unknown',
-                            total: receipt.gasUsed && receipt.gasPrice 
-                                ? ethers.formatEther(receipt.gasUsed * receipt.gasPrice) + ' MON'
-                                : 'unknown'
-                        },
-                        explorerUrl: this.getTransactionExplorerUrl(tx.hash)
-                    };
-                    
-                    return formattedReceipt;
-                } else {
-                    updateProgress('FAILED', 'Transaction failed', { receipt });
-                    throw new Error('Transaction failed');
+            if (isBetter) {
+                best = { path: paths[index], amounts, amountIn, amountOut };
+            }
+        });
+        
+        if (!best) {
+            throw new Error('No liquidity route found for this pair (tried direct and multi-hop paths via WMON, USDC, USDT and WETH)');
+        }
+        
+        console.log(`Best route out of ${paths.length} candidates: ${best.path.join(' -> ')} (${best.amountIn} in, ${best.amountOut} out)`);
+        return best;
+    }
+
+    /**
+     * Describe a route with token symbols, e.g. "USDC → WMON → WETH"
+     * @param {Array<string>} path - Route addresses
+     * @param {string} fromSymbol - Symbol to show for the first token
+     * @param {string} toSymbol - Symbol to show for the last token
+     * @returns {string} - Route description
+     */
+    describeRoute(path, fromSymbol, toSymbol) {
+        const connectors = this._getRouteConnectors();
+        const hops = path.slice(1, -1).map(address => {
+            const connector = connectors.find(entry => entry.address.toLowerCase() === address.toLowerCase());
+            return connector ? connector.symbol : `${address.slice(0, 6)}...`;
+        });
+        
+        return [fromSymbol, ...hops, toSymbol].join(' → ');
+    }
+
+    /**
+     * Compare the best V2 route with the best Uniswap V3 pool for an exact-input swap.
+     * Either venue may fail to quote; the other is used on its own.
+     * @param {string} fromAddress - Input token address (WMON for native MON)
+     * @param {string} toAddress - Output token address (WMON for native MON)
+     * @param {BigInt} amountWei - Input amount
+     * @param {object} options - { v2Only } skip V3, e.g. for fee-on-transfer tokens the UniversalRouter cannot swap
+     * @returns {Promise<object>} - { venue: 'V2'|'V3', path, amountOut, v2, v3 } where v2/v3 are each venue's quote or null
+     */
+    async findBestVenue(fromAddress, toAddress, amountWei, options = {}) {
+        const [v2Result, v3Result] = await Promise.allSettled([
+            this.findBestRoute(fromAddress, toAddress, amountWei),
+            options.v2Only ? Promise.resolve(null) : this.v3.quoteExactInput(fromAddress, toAddress, amountWei)
+        ]);
+        
+        const v2 = v2Result.status === 'fulfilled' ? v2Result.value : null;
+        const v3 = v3Result.status === 'fulfilled' ? v3Result.value : null;
+        
+        if (v3Result.status === 'rejected') {
+            console.warn('V3 quote failed:', v3Result.reason.message);
+        }
+        
+        if (!v2 && !v3) {
+            throw new Error('No liquidity route found for this pair on Uniswap V2 or V3');
+        }
+        
+        const useV3 = v3 && (!v2 || v3.amountOut > v2.amountOut);
+        console.log(`Venue: ${useV3 ? 'V3' : 'V2'} (V2 out: ${v2 ? v2.amountOut : 'none'}, V3 out: ${v3 ? v3.amountOut : 'none'})`);
+        
+        return {
+            venue: useV3 ? 'V3' : 'V2',
+            path: useV3 ? [fromAddress, toAddress] : v2.path,
+            amountOut: useV3 ? v3.amountOut : v2.amountOut,
+            v2,
+            v3
+        };
+    }
+
+    /**
+     * Describe the route picked by findBestVenue, e.g. "MON → USDC (V3 0.3% pool)"
+     * @param {object} best - Result of findBestVenue
+     * @param {string} fromSymbol - Symbol to show for the input token
+     * @param {string} toSymbol - Symbol to show for the output token
+     * @returns {string} - Route description
+     */
+    describeVenueRoute(best, fromSymbol, toSymbol) {
+        if (best.venue === 'V3') {
+            return `${fromSymbol} → ${toSymbol} (V3 ${this.v3.describeFee(best.v3.fee)} pool)`;
+        }
+        
+        return `${this.describeRoute(best.path, fromSymbol, toSymbol)} (V2)`;
+    }
+
+    /**
+     * Reduce a quoted amount by a transfer tax
+     * @private
+     * @param {BigInt} amount - Quoted amount
+     * @param {number} taxPercent - Tax percentage
+     * @returns {BigInt} - Amount left after the tax
+     */
+    _deductTransferTax(amount, taxPercent) {
+        const taxBasisPoints = BigInt(Math.round(taxPercent * 100));
+        return amount - (amount * taxBasisPoints / 10000n);
+    }
+
+    /**
+     * Calculate the price impact of a swap by comparing its execution price with the mid price.
+     * V2 routes use the reserves of every pair along the path; V3 swaps use the pool's current price.
+     * Pool fees are part of the impact, since they are part of what the trade costs.
+     * @param {object} route - Result of findBestVenue or findBestRoute ({ venue?, path, v3? })
+     * @param {BigInt} amountIn - Input amount
+     * @param {BigInt} amountOut - Quoted output amount
+     * @returns {Promise<number|null>} - Price impact percentage, or null when the pool state could not be read
+     */
+    async calculatePriceImpact(route, amountIn, amountOut) {
+        try {
+            let midOut;
+            if (route.venue === 'V3') {
+                midOut = await this.v3.getMidPriceOutput(route.v3.pool, route.path[0], amountIn);
+            } else {
+                // Chain the mid price of every hop: amountIn * (reserveOut / reserveIn) per pair
+                const hops = await this.getPathReserves(route.path);
+                let numerator = amountIn;
+                let denominator = 1n;
+                for (const hop of hops) {
+                    numerator *= hop.reserveOut;
+                    denominator *= hop.reserveIn;
                 }
-            } catch (error) {
-                // Handle common errors with user-friendly messages
-                const errorMessage = this.parseSwapError(error);
-                updateProgress('ERROR', errorMessage, { error });
-                throw new Error(errorMessage);
+                midOut = numerator / denominator;
             }
-        } catch (error) {
-            console.error('Error in swapMonadForToken:', error);
             
-            // Enhance the error message for user display
-            let userFriendlyError = 'Swap failed: ';
+            if (midOut <= 0n) {
+                return null;
+            }
             
-            if (error.message.includes('insufficient funds')) {
-                userFriendlyError += 'You do not have enough MON to complete this transaction.';
-            } else if (error.message.includes('execution reverted')) {
-                userFriendlyError += 'The transaction was rejected by the blockchain. This could be due to slippage or contract issues.';
-            } else if (error.message.includes('timeout')) {
-                userFriendlyError += 'Network timeout. Please try again when the blockchain is less congested.';
-            } else {
-                userFriendlyError += error.message;
+            const impact = ((midOut - amountOut) * 10000n) / midOut;
+            return Math.max(Number(impact) / 100, 0); // Convert to percentage
+        } catch (error) {
+            console.error('Error calculating price impact:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Read the reserves of every pair along a V2 path
+     * @param {Array<string>} path - Route addresses
+     * @returns {Promise<Array>} - [{ pair, reserveIn, reserveOut }] for each hop, oriented in the swap direction
+     */
+    async getPathReserves(path) {
+        return Promise.all(path.slice(0, -1).map(async (tokenIn, index) => {
+            const pairAddress = await this.factoryContract.getPair(tokenIn, path[index + 1]);
+            if (pairAddress === ethers.ZeroAddress) {
+                throw new Error(`No V2 pair for ${tokenIn} and ${path[index + 1]}`);
             }
             
-            throw new Error(userFriendlyError);
+            const pair = new ethers.Contract(pairAddress, PAIR_V2_ABI, this.provider);
+            const [token0, [reserve0, reserve1]] = await Promise.all([pair.token0(), pair.getReserves()]);
+            const inIsToken0 = token0.toLowerCase() === tokenIn.toLowerCase();
+            
+            return {
+                pair: pairAddress,
+                reserveIn: inIsToken0 ? reserve0 : reserve1,
+                reserveOut: inIsToken0 ? reserve1 : reserve0
+            };
+        }));
+    }
+
+    /**
+     * Log a price impact and warn when it is above BOT_CONFIG.HIGH_PRICE_IMPACT_PERCENT
+     * @private
+     * @param {number|null} priceImpact - Result of calculatePriceImpact
+     * @param {function} report - Receives (stage, message, data)
+     */
+    _reportPriceImpact(priceImpact, report) {
+        if (priceImpact === null) {
+            report('IMPACT', 'Price impact unavailable (could not read pool state)', { priceImpact });
+            return;
+        }
+        
+        report('IMPACT', `Estimated price impact: ${priceImpact.toFixed(2)}%`, { priceImpact });
+        if (priceImpact > BOT_CONFIG.HIGH_PRICE_IMPACT_PERCENT) {
+            report('WARNING', `High price impact detected (${priceImpact.toFixed(2)}%). This may result in a significant loss of funds.`);
         }
     }
+    
+    /**
+     * Sum the ERC-20 Transfer logs of a token in a receipt
+     * @param {object} receipt - Transaction receipt
+     * @param {string} tokenAddress - Token whose transfers are counted
+     * @param {object} filter - { from, to } only count transfers from and/or to these addresses
+     * @returns {BigInt} - Total amount moved
+     */
+    sumTransferLogs(receipt, tokenAddress, filter = {}) {
+        const matches = (address, expected) => !expected || address.toLowerCase() === expected.toLowerCase();
+        
+        return receipt.logs.reduce((total, log) => {
+            if (log.address.toLowerCase() !== tokenAddress.toLowerCase()) {
+                return total;
+            }
+            
+            const event = ERC20_INTERFACE.parseLog(log);
+            if (!event || event.name !== 'Transfer' || !matches(event.args.from, filter.from) || !matches(event.args.to, filter.to)) {
+                return total;
+            }
+            
+            return total + event.args.value;
+        }, 0n);
+    }
+
+    /**
+     * Sum the WMON Deposit (wrap) or Withdrawal (unwrap) logs of a receipt.
+     * Native MON moving in and out of a router is not logged, so these are the only on-chain record of it.
+     * @param {object} receipt - Transaction receipt
+     * @param {string} eventName - 'Deposit' or 'Withdrawal'
+     * @returns {BigInt} - Total MON wrapped or unwrapped
+     */
+    sumWrappedNativeLogs(receipt, eventName) {
+        return receipt.logs.reduce((total, log) => {
+            if (log.address.toLowerCase() !== this.network.addresses.WETH.toLowerCase()) {
+                return total;
+            }
+            
+            const event = WRAPPED_NATIVE_INTERFACE.parseLog(log);
+            return event && event.name === eventName ? total + event.args.wad : total;
+        }, 0n);
+    }
 
     /**
-     * Calculate price impact of a swap
+     * Work out what a swap actually did from its receipt logs
      * @private
-     * @param {BigInt} amountIn - Input amount in wei
-     * @param {BigInt} amountOut - Output amount in smallest unit
-     * @param {number} decimals - Decimals of output token
-     * @returns {number} - Price impact percentage
+     * @param {object} receipt - Transaction receipt
+     * @param {object} swap - { tokenIn, tokenOut, nativeIn, nativeOut, amountIn, quotedOut, fromDecimals, toDecimals, fromSymbol, toSymbol }
+     *   where amountIn is the fixed input (exact-input swaps) and quotedOut the quoted output
+     * @returns {object} - { amountIn, amountOut, toAmount, fromAmount, quotedToAmount, realizedSlippage, executionPrice, decoded }
      */
-    calculatePriceImpact(amountIn, amountOut, decimals) {
+    _summarizeSwapReceipt(receipt, swap) {
+        const owner = this.wallet.address;
+        let amountIn = swap.amountIn;
+        let amountOut = 0n;
+        
         try {
-            // This is a simplified price impact calculation
-            // For more accuracy, we would need to compare to the "ideal" price from an oracle
-            const inputValueInETH = amountIn;
-            const outputValueInETH = amountOut; // Simplified - assuming 1:1 with decimals adjustment
-            
-            // Convert to comparable units
-            const ethDecimals = 18;
-            const adjustedOutput = outputValueInETH * (10n ** BigInt(ethDecimals - decimals));
-            
-            // Calculate impact
-            if (adjustedOutput > 0) {
-                const idealOutput = inputValueInETH; // Simplified - assumes 1:1 swap in perfect conditions
-                const impact = ((idealOutput - adjustedOutput) * 10000n) / idealOutput;
-                return Number(impact) / 100; // Convert to percentage
+            // MON received was unwrapped by the router; tokens received arrive as a Transfer to the wallet
+            amountOut = swap.nativeOut
+                ? this.sumWrappedNativeLogs(receipt, 'Withdrawal')
+                : this.sumTransferLogs(receipt, swap.tokenOut, { to: owner });
+            
+            const spent = swap.nativeIn
+                ? this.sumWrappedNativeLogs(receipt, 'Deposit')
+                : this.sumTransferLogs(receipt, swap.tokenIn, { from: owner });
+            if (spent > 0n) {
+                amountIn = spent;
             }
-            return 0;
         } catch (error) {
-            console.error('Error calculating price impact:', error);
-            return 0; // Default to 0 in case of error
+            console.error('Error decoding swap receipt:', error.message);
+        }
+        
+        // Fall back to the quote when the logs could not be decoded
+        const decoded = amountOut > 0n;
+        if (!decoded) {
+            console.warn(`No ${swap.toSymbol} transfer found in ${receipt.hash}, reporting the quoted amount`);
+            amountOut = swap.quotedOut;
         }
+        
+        const toAmount = ethers.formatUnits(amountOut, swap.toDecimals);
+        const fromAmount = ethers.formatUnits(amountIn, swap.fromDecimals);
+        
+        // Positive when less was received than quoted
+        const realizedSlippage = decoded && swap.quotedOut > 0n
+            ? Number(((swap.quotedOut - amountOut) * 10000n) / swap.quotedOut) / 100
+            : null;
+        const price = parseFloat(toAmount) / parseFloat(fromAmount);
+        
+        console.log(`Swap settled: ${fromAmount} ${swap.fromSymbol} -> ${toAmount} ${swap.toSymbol}` +
+            (realizedSlippage !== null ? ` (realized slippage ${realizedSlippage.toFixed(2)}%)` : ' (not decoded)'));
+        
+        return {
+            amountIn,
+            amountOut,
+            fromAmount,
+            toAmount,
+            quotedToAmount: ethers.formatUnits(swap.quotedOut, swap.toDecimals),
+            realizedSlippage,
+            executionPrice: Number.isFinite(price) ? `1 ${swap.fromSymbol} = ${price.toPrecision(6)} ${swap.toSymbol}` : null,
+            decoded
+        };
     }
-    
+
     /**
      * Parse swap errors into user-friendly messages
      * @private
@@ -530,20 +1467,37 @@ class MonadIntegration {
             return 'Swap failed due to unusual input amount configuration. Try a different amount.';
         }
         
+        if (errorMessage.includes('INSUFFICIENT_INPUT_VALUE')) {
+            return 'The swap was sent with less MON than it spends. Get a new quote and try again.';
+        }
+        
+        if (
+            errorMessage.includes('INSUFFICIENT_ALLOWANCE') ||
+            errorMessage.includes('TRANSFER_FROM_FAILED') ||
+            errorMessage.includes('transferFrom failed')
+        ) {
+            return 'The router is not allowed to spend this token, or your balance is too low. Approve the token and try again.';
+        }
+        
         if (errorMessage.includes('TRANSFER_FAILED')) {
             return 'Token transfer failed. The token contract may have restrictions or you have insufficient balance.';
         }
         
-        if (errorMessage.includes('K')) {
+        // The pair's constant-product check, reverted as the exact reason "UniswapV2: K"
+        if (/\bUniswapV2: K\b/.test(errorMessage)) {
             return 'Swap failed due to liquidity pool constraints. Try a smaller amount or different trading pair.';
         }
         
-        if (errorMessage.includes('expired')) {
+        if (errorMessage.includes('expired') || errorMessage.includes('EXPIRED')) {
             return 'Transaction deadline expired. Try again with a new transaction.';
         }
         
         if (errorMessage.includes('out of gas')) {
-            return 'Transaction ran out of gas. Try increasing gas limit in settings.';
+            return 'Transaction ran out of gas. Raise the gas limit buffer under ⚙️ Settings → ⛽ Gas Settings.';
+        }
+        
+        if (errorMessage.includes('insufficient funds')) {
+            return 'You do not have enough MON to cover this transaction and its gas fee.';
         }
         
         // Network errors
@@ -555,11 +1509,15 @@ class MonadIntegration {
             return 'Network timeout. The blockchain network may be congested. Try again later.';
         }
         
+        if (error.code === 'TRANSACTION_REPLACED') {
+            return 'Transaction was cancelled: another transaction from this wallet took its nonce.';
+        }
+        
         if (
             errorMessage.includes('nonce') ||
             errorMessage.includes('Nonce')
         ) {
-            return 'Transaction nonce error. Your previous transaction may still be pending.';
+            return 'Transaction nonce error. Another transaction from this wallet used the same nonce; please try again.';
         }
         
         // If no specific error matched, return the original message
@@ -567,241 +1525,36 @@ class MonadIntegration {
     }
 
     /**
-     * Swap a token for native MONAD
-     */
-    async swapTokenForMonad(tokenAddress, amount, slippage = 0.5) {
-        try {
-            console.log(`Swapping ${amount} tokens at ${tokenAddress} for MON, slippage: ${slippage}%`);
-            
-            const tokenContract = new ethers.Contract(
-                tokenAddress,
-                ERC20_ABI,
-                this.wallet
-            );
-            
-            const decimals = await tokenContract.decimals();
-            const symbol = await tokenContract.symbol();
-            const amountInWei = ethers.parseUnits(amount.toString(), decimals);
-            
-            // Check token balance
-            const balance = await tokenContract.balanceOf(this.wallet.address);
-            if (balance < amountInWei) {
-                const formattedBalance = ethers.formatUnits(balance, decimals);
-                throw new Error(`Insufficient ${symbol} balance. You have ${formattedBalance} ${symbol} but tried to swap ${amount} ${symbol}`);
-            }
-            
-            // Check and approve if needed
-            console.log('Checking token allowance...');
-            const allowance = await tokenContract.allowance(this.wallet.address, this.network.addresses.ROUTER);
-            
-            if (allowance < amountInWei) {
-                console.log(`Approving ${amount} ${symbol} for swap...`);
-                const approveTx = await this.approveToken(tokenAddress, amount);
-                console.log('Token approved for swap:', approveTx.hash);
-            } else {
-                console.log('Token already approved for swap');
-            }
-            
-            const path = [tokenAddress, this.network.addresses.WETH];
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
-            
-            console.log('Getting amounts out...');
-            // Get expected output amount
-            const amounts = await this.routerContract.getAmountsOut(amountInWei, path);
-            console.log(`Expected output: ${ethers.formatEther(amounts[1])} MON`);
-            
-            // Calculate minimum amount with slippage
-            const slippageBasisPoints = BigInt(Math.floor(slippage * 100));
-            const amountOutMin = amounts[1] - (amounts[1] * slippageBasisPoints / BigInt(10000));
-            
-            console.log(`Amount out minimum (with ${slippage}% slippage): ${ethers.formatEther(amountOutMin)} MON`);
-            console.log('Executing swap...');
-            
-            // Estimate gas for the swap to ensure the transaction can proceed
-            let gasEstimate;
-            try {
-                gasEstimate = await this.routerContract.swapExactTokensForETH.estimateGas(
-                    amountInWei,
-                    amountOutMin,
-                    path,
-                    this.wallet.address,
-                    deadline
-                );
-                console.log(`Gas estimate for swap: ${gasEstimate}`);
-            } catch (error) {
-                console.error('Gas estimation failed:', error);
-                throw new Error(`Swap transaction is likely to fail: ${error.message}`);
-            }
-            
-            const tx = await this.routerContract.swapExactTokensForETH(
-                amountInWei,
-                amountOutMin,
-                path,
-                this.wallet.address,
-                deadline,
-                { 
-                    gasLimit: Math.floor(Number(gasEstimate) * 1.2) // Add 20% buffer to gas estimate
-                }
-            );
-            
-            console.log(`Transaction submitted. Hash: ${tx.hash}`);
-            console.log('Waiting for transaction confirmation...');
-            
-            const receipt = await tx.wait();
-            console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-            
-            // Calculate the received amount
-            const receivedAmount = ethers.formatEther(amounts[1]);
-            
-            return {
-                hash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                fromToken: symbol,
-                toToken: 'MON',
-                fromAmount: amount,
-                toAmount: receivedAmount,
-                status: receipt.status === 1 ? 'success' : 'failed',
-                explorerUrl: `${this.network.blockExplorerUrl}/tx/${tx.hash}`
-            };
-        } catch (error) {
-            console.error('Error swapping token for MONAD:', error);
-            throw new Error(`Failed to swap token for MONAD: ${error.message}`);
-        }
-    }
-
-    /**
-     * Swap one token for another token
+     * parseSwapError without its "Swap failed" prefix, for embedding in other messages
+     * @private
+     * @param {Error} error - Original error object
+     * @returns {string} - User-friendly reason
      */
-    async swapTokenForToken(fromTokenAddress, toTokenAddress, amount, slippage = 0.5) {
-        try {
-            console.log(`Swapping ${amount} tokens from ${fromTokenAddress} to ${toTokenAddress}, slippage: ${slippage}%`);
-            
-            // Get token details for input token
-            const fromTokenContract = new ethers.Contract(
-                fromTokenAddress,
-                ERC20_ABI,
-                this.wallet
-            );
-            
-            const fromDecimals = await fromTokenContract.decimals();
-            const fromSymbol = await fromTokenContract.symbol();
-            const amountInWei = ethers.parseUnits(amount.toString(), fromDecimals);
-            
-            // Get token details for output token
-            const toTokenContract = new ethers.Contract(
-                toTokenAddress,
-                ERC20_ABI,
-                this.provider
-            );
-            
-            const toDecimals = await toTokenContract.decimals();
-            const toSymbol = await toTokenContract.symbol();
-            
-            // Check token balance
-            const balance = await fromTokenContract.balanceOf(this.wallet.address);
-            if (balance < amountInWei) {
-                const formattedBalance = ethers.formatUnits(balance, fromDecimals);
-                throw new Error(`Insufficient ${fromSymbol} balance. You have ${formattedBalance} ${fromSymbol} but tried to swap ${amount} ${fromSymbol}`);
-            }
-            
-            // Check and approve if needed
-            console.log('Checking token allowance...');
-            const allowance = await fromTokenContract.allowance(this.wallet.address, this.network.addresses.ROUTER);
-            
-            if (allowance < amountInWei) {
-                console.log(`Approving ${amount} ${fromSymbol} for swap...`);
-                const approveTx = await this.approveToken(fromTokenAddress, amount);
-                console.log('Token approved for swap:', approveTx.hash);
-            } else {
-                console.log('Token already approved for swap');
-            }
-            
-            const path = [fromTokenAddress, toTokenAddress];
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
-            
-            console.log('Getting amounts out...');
-            
-            // Get expected output amount
-            const amounts = await this.routerContract.getAmountsOut(amountInWei, path);
-            console.log(`Expected output: ${ethers.formatUnits(amounts[1], toDecimals)} ${toSymbol}`);
-            
-            // Calculate minimum amount with slippage
-            const slippageBasisPoints = BigInt(Math.floor(slippage * 100));
-            const amountOutMin = amounts[1] - (amounts[1] * slippageBasisPoints / BigInt(10000));
-            
-            console.log(`Amount out minimum (with ${slippage}% slippage): ${ethers.formatUnits(amountOutMin, toDecimals)} ${toSymbol}`);
-            console.log('Executing swap...');
-            
-            // Estimate gas for the swap to ensure the transaction can proceed
-            let gasEstimate;
-            try {
-                gasEstimate = await this.routerContract.swapExactTokensForTokens.estimateGas(
-                    amountInWei,
-                    amountOutMin,
-                    path,
-                    this.wallet.address,
-                    deadline
-                );
-                console.log(`Gas estimate for swap: ${gasEstimate}`);
-            } catch (error) {
-                console.error('Gas estimation failed:', error);
-                throw new Error(`Swap transaction is likely to fail: ${error.message}`);
-            }
-            
-            const tx = await this.routerContract.swapExactTokensForTokens(
-                amountInWei,
-                amountOutMin,
-                path,
-                this.wallet.address,
-                deadline,
-                { 
-                    gasLimit: Math.floor(Number(gasEstimate) * 1.2) // Add 20% buffer to gas estimate
-                }
-            );
-            
-            console.log(`Transaction submitted. Hash: ${tx.hash}`);
-            console.log('Waiting for transaction confirmation...');
-            
-            const receipt = await tx.wait();
-            console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-            
-            // Calculate the received amount from transaction logs if possible
-            let receivedAmount;
-            try {
-                // For simplicity, use the quoted amount as an approximation
-                receivedAmount = ethers.formatUnits(amounts[1], toDecimals); 
-            } catch (error) {
-                console.error('Error parsing received amount:', error);
-                receivedAmount = 'Unknown';
-            }
-            
-            return {
-                hash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                fromToken: fromSymbol,
-                toToken: toSymbol,
-                fromAmount: amount,
-                toAmount: receivedAmount,
-                status: receipt.status === 1 ? 'success' : 'failed',
-                explorerUrl: `${this.network.blockExplorerUrl}/tx/${tx.hash}`
-            };
-        } catch (error) {
-            console.error('Error swapping token for token:', error);
-            throw new Error(`Failed to swap token for token: ${error.message}`);
-        }
+    _describeSwapError(error) {
+        return this.parseSwapError(error).replace(/^Swap failed: /, '');
     }
 
     /**
      * Get quote for a swap (preview the swap)
+     * @param {string} fromTokenAddress - Input token address (WMON for native MON)
+     * @param {string} toTokenAddress - Output token address (WMON for native MON)
+     * @param {string} amount - Input amount, or the wanted output amount when options.exactOutput is set
+     * @param {object} options - { exactOutput, simulate, slippage } quote the input needed for an exact output,
+     *   and/or simulate the swap from this wallet with the given slippage
+     * @returns {Promise<object>} - Quote; venues holds each venue's formatted output ({ V2, V3 }, null for exact output)
+     *   and priceImpact the impact in percent (null when unknown). transferTax holds { buyTax, sellTax, sellTaxed }:
+     *   the output token's simulated buy tax, the input token's last measured sell tax, and whether the input token is taxed at all.
+     *   simulation holds { success, pendingApproval, reason, fromAmount, toAmount } when options.simulate is set (amounts
+     *   are null when the swap returns none), otherwise null. gasFee holds the network fee estimate of the swap under the
+     *   wallet's gas settings ({ preset, gasLimit, estimated, fee, maxFee }, see GasManager.estimateFee) when options.simulate is set
      */
-    async getSwapQuote(fromTokenAddress, toTokenAddress, amount) {
+    async getSwapQuote(fromTokenAddress, toTokenAddress, amount, options = {}) {
         try {
             console.log(`Getting swap quote: ${amount} from ${fromTokenAddress} to ${toTokenAddress}`);
             
             // Get token details for input token
             let fromDecimals = 18; // Default for native token
             let fromSymbol = 'MON';
-            let amountInWei;
             
             if (fromTokenAddress.toLowerCase() !== this.network.addresses.WETH.toLowerCase()) {
                 try {
@@ -818,9 +1571,6 @@ class MonadIntegration {
                 }
             }
             
-            // Parse input amount to wei
-            amountInWei = ethers.parseUnits(amount.toString(), fromDecimals);
-            
             // Get token details for output token
             let toDecimals = 18; // Default for native token
             let toSymbol = 'MON';
@@ -840,15 +1590,64 @@ class MonadIntegration {
                 }
             }
             
-            // Create path and get amounts out
-            const path = [fromTokenAddress, toTokenAddress];
-            console.log(`Fetching amounts out with path: ${path}`);
-            const amounts = await this.routerContract.getAmountsOut(amountInWei, path);
-            console.log(`Amounts out: ${amounts[0]} -> ${amounts[1]}`);
+            // Parse the fixed side of the swap. Exact-input quotes compare V2 routes with V3 pools;
+            // exact-output swaps only run on V2
+            const amountWei = ethers.parseUnits(amount.toString(), options.exactOutput ? toDecimals : fromDecimals);
+            let best, path, amountOut, amountIn, route;
+            let venue = 'V2';
+            let venues = null;
+            
+            if (options.exactOutput) {
+                best = await this.findBestRoute(fromTokenAddress, toTokenAddress, amountWei, options);
+                ({ path, amountOut, amountIn } = best);
+                route = this.describeRoute(path, fromSymbol, toSymbol);
+            } else {
+                best = await this.findBestVenue(fromTokenAddress, toTokenAddress, amountWei);
+                ({ path, amountOut, venue } = best);
+                amountIn = amountWei;
+                route = this.describeVenueRoute(best, fromSymbol, toSymbol);
+                venues = {
+                    V2: best.v2 ? ethers.formatUnits(best.v2.amountOut, toDecimals) : null,
+                    V3: best.v3 ? ethers.formatUnits(best.v3.amountOut, toDecimals) : null
+                };
+            }
+            console.log(`Best route: ${route}, amounts: ${amountIn} -> ${amountOut}`);
+            
+            const priceImpact = await this.calculatePriceImpact(best, amountIn, amountOut);
+            
+            // Buy tax is simulated; sell tax needs the seller's approval, so only a past measurement is shown
+            const weth = this.network.addresses.WETH.toLowerCase();
+            const transferTax = {
+                buyTax: toTokenAddress.toLowerCase() === weth ? null : await this.taxDetector.detectBuyTax(toTokenAddress),
+                sellTax: fromTokenAddress.toLowerCase() === weth ? null : this.taxDetector.getKnownTaxes(fromTokenAddress).sellTax,
+                sellTaxed: fromTokenAddress.toLowerCase() === weth ? false : await this.taxDetector.detectBuyTax(fromTokenAddress) > 0
+            };
+            
+            // Run the swap as this wallet would send it, so the user sees what the chain would really do
+            // and what it costs (an unapproved sell is priced at the default gas limit)
+            let simulation = null;
+            let gasFee = null;
+            if (options.simulate) {
+                const simulated = await this._simulateQuotedSwap({
+                    fromTokenAddress, toTokenAddress, fromSymbol, best, amountIn, amountOut,
+                    slippage: options.slippage, exactOutput: !!options.exactOutput, transferTax
+                });
+                simulation = {
+                    success: simulated.success,
+                    pendingApproval: simulated.pendingApproval,
+                    reason: simulated.reason,
+                    fromAmount: simulated.amountIn === null ? null : ethers.formatUnits(simulated.amountIn, fromDecimals),
+                    toAmount: simulated.amountOut === null ? null : ethers.formatUnits(simulated.amountOut, toDecimals)
+                };
+                gasFee = await this.gas.estimateFee(simulated.gasEstimate).catch(error => {
+                    console.warn('Could not estimate the network fee:', error.message);
+                    return null;
+                });
+            }
             
             // Format output amounts
-            const fromAmount = ethers.formatUnits(amounts[0], fromDecimals);
-            const toAmount = ethers.formatUnits(amounts[1], toDecimals);
+            const fromAmount = ethers.formatUnits(amountIn, fromDecimals);
+            const toAmount = ethers.formatUnits(amountOut, toDecimals);
             
             console.log(`Formatted quote: ${fromAmount} ${fromSymbol} -> ${toAmount} ${toSymbol}`);
             
@@ -863,7 +1662,19 @@ class MonadIntegration {
                 toAmount,
                 rate: rate.toString(),
                 fromDecimals,
-                toDecimals
+                toDecimals,
+                route,
+                path,
+                venue,
+                venues,
+                priceImpact,
+                transferTax,
+                toAmountAfterTax: transferTax.buyTax > 0
+                    ? ethers.formatUnits(this._deductTransferTax(amountOut, transferTax.buyTax), toDecimals)
+                    : toAmount,
+                simulation,
+                gasFee,
+                exactOutput: !!options.exactOutput
             };
         } catch (error) {
             console.error('Error getting swap quote:', error);
@@ -875,6 +1686,8 @@ class MonadIntegration {
      * Send native MONAD tokens to an address
      */
     async sendNative(toAddress, amount) {
+        this._assertCanSign();
+        
         try {
             console.log(`Sending ${amount} MON to ${toAddress}`);
             
@@ -897,34 +1710,35 @@ class MonadIntegration {
                 throw new Error(`Insufficient balance. You have ${ethers.formatEther(balance)} MON but tried to send ${amount} MON`);
             }
             
-            // Estimate gas to ensure the transaction can proceed
-            const gasEstimate = await this.provider.estimateGas({
+            // Simulate the transfer; contract recipients may refuse MON
+            const simulation = await this.simulator.simulateTransaction({
+                from: this.wallet.address,
                 to: toAddress,
                 value: amountInWei
             });
+            if (!simulation.success) {
+                throw new Error(`Transaction would revert: ${this._describeSwapError({ message: simulation.reason })}`);
+            }
             
-            console.log(`Gas estimate for send: ${gasEstimate}`);
-            
-            const tx = await this.wallet.sendTransaction({
+            const tx = await this._sendTransaction({
                 to: toAddress,
-                value: amountInWei,
-                gasLimit: Math.floor(Number(gasEstimate) * 1.2) // Add 20% buffer to gas estimate
-            });
+                value: amountInWei
+            }, `Send ${amount} MON`);
             
             console.log(`Transaction hash: ${tx.hash}`);
             console.log('Waiting for transaction confirmation...');
             
-            const receipt = await tx.wait();
+            const receipt = await this._waitForReceipt(tx);
             console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
             
             return {
-                hash: tx.hash,
+                hash: receipt.hash,
                 blockNumber: receipt.blockNumber,
                 from: this.wallet.address,
                 to: toAddress,
                 amount: amount,
                 status: receipt.status === 1 ? 'success' : 'failed',
-                explorerUrl: `${this.network.blockExplorerUrl}/tx/${tx.hash}`
+                explorerUrl: `${this.network.blockExplorerUrl}/tx/${receipt.hash}`
             };
         } catch (error) {
             console.error('Error sending MONAD:', error);
@@ -936,6 +1750,8 @@ class MonadIntegration {
      * Send tokens to an address
      */
     async sendToken(tokenAddress, toAddress, amount) {
+        this._assertCanSign();
+        
         try {
             console.log(`Sending ${amount} tokens from ${tokenAddress} to ${toAddress}`);
             
@@ -977,33 +1793,29 @@ class MonadIntegration {
                 throw new Error(`Insufficient ${symbol} balance. You have ${formattedBalance} ${symbol} but tried to send ${amount} ${symbol}`);
             }
             
-            // Estimate gas for the transfer to ensure the transaction can proceed
-            let gasEstimate;
-            try {
-                gasEstimate = await tokenContract.transfer.estimateGas(toAddress, amountInWei);
-                console.log(`Gas estimate for token transfer: ${gasEstimate}`);
-            } catch (error) {
-                console.error('Gas estimation failed:', error);
-                throw new Error(`Transaction is likely to fail: ${error.message}`);
+            // Simulate the transfer; paused or blacklisting tokens revert, some return false instead
+            const simulation = await this.simulator.simulateCall(tokenContract, 'transfer', [toAddress, amountInWei]);
+            if (!simulation.success) {
+                throw new Error(`Transaction would revert: ${this._describeSwapError({ message: simulation.reason })}`);
+            }
+            if (simulation.result === false) {
+                throw new Error(`The ${symbol} contract refused the transfer (transfer returned false)`);
             }
             
             console.log(`Sending ${amount} ${symbol} (${amountInWei.toString()} wei) to ${toAddress}`);
-            const tx = await tokenContract.transfer(
-                toAddress, 
-                amountInWei, 
-                { 
-                    gasLimit: Math.floor(Number(gasEstimate) * 1.2) // Add 20% buffer to gas estimate
-                }
+            const tx = await this._sendTransaction(
+                await tokenContract.transfer.populateTransaction(toAddress, amountInWei),
+                `Send ${amount} ${symbol}`
             );
             
             console.log(`Transaction hash: ${tx.hash}`);
             console.log('Waiting for transaction confirmation...');
             
-            const receipt = await tx.wait();
+            const receipt = await this._waitForReceipt(tx);
             console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
             
             return {
-                hash: tx.hash,
+                hash: receipt.hash,
                 blockNumber: receipt.blockNumber,
                 from: this.wallet.address,
                 to: toAddress,
@@ -1011,7 +1823,7 @@ class MonadIntegration {
                 tokenSymbol: symbol,
                 amount: amount,
                 status: receipt.status === 1 ? 'success' : 'failed',
-                explorerUrl: `${this.network.blockExplorerUrl}/tx/${tx.hash}`
+                explorerUrl: `${this.network.blockExplorerUrl}/tx/${receipt.hash}`
             };
         } catch (error) {
             console.error('Error sending token:', error);
@@ -1019,6 +1831,36 @@ class MonadIntegration {
         }
     }
 
+    /**
+     * Estimate the network fee of a transfer under the wallet's gas settings, before it is signed.
+     * Works on read-only integrations, since the transfer is only estimated from the wallet's address
+     * @param {string} tokenAddress - Token contract, or 'native' for MON
+     * @param {string} toAddress - Recipient address
+     * @param {string} amount - Amount in token units
+     * @returns {Promise<object>} - { preset, gasLimit, estimated, fee, maxFee } (see GasManager.estimateFee);
+     *   the default gas limit is assumed when the transfer cannot be estimated
+     */
+    async estimateTransferFee(tokenAddress, toAddress, amount) {
+        let gasEstimate = null;
+        try {
+            if (tokenAddress === 'native') {
+                gasEstimate = await this.provider.estimateGas({
+                    from: this.wallet.address,
+                    to: toAddress,
+                    value: ethers.parseEther(amount.toString())
+                });
+            } else {
+                const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
+                const decimals = await tokenContract.decimals();
+                gasEstimate = await tokenContract.transfer.estimateGas(toAddress, ethers.parseUnits(amount.toString(), decimals));
+            }
+        } catch (error) {
+            console.warn('Could not estimate the transfer gas:', error.message);
+        }
+
+        return this.gas.estimateFee(gasEstimate);
+    }
+
     /**
      * Get transaction receipt from transaction hash
      */
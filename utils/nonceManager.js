@@ -0,0 +1,148 @@
+const { BOT_CONFIG } = require('../config');
+
+// Node errors meaning the nonce is already taken, by a mined or a pending transaction
+const NONCE_ERROR_CODES = ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+const NONCE_ERROR_PATTERN = /nonce too low|nonce has already been used|already known|replacement transaction underpriced/i;
+
+/**
+ * NonceManager assigns nonces to the transactions the bot signs.
+ *
+ * Integrations are built per request, so the nonce state lives here, shared by every
+ * integration and keyed by chain and address. Sends from one address run one at a time,
+ * each taking the first nonce that neither the chain nor the bot's own pending
+ * transactions have used. A pending transaction the node has forgotten for
+ * NONCE_DROP_SECONDS was dropped, and its nonce is handed out again.
+ */
+class NonceManager {
+    constructor() {
+        // chainId:address -> { lock, pending: Map(nonce -> { hash, sentAt }) }
+        this.accounts = new Map();
+    }
+
+    /**
+     * Sign and send a transaction with the sender's next nonce.
+     * When the node reports the nonce as taken (by a transaction sent outside the bot), the send is retried once with the following nonce
+     * @param {object} wallet - ethers Wallet connected to a provider
+     * @param {number} chainId - Chain the wallet sends on
+     * @param {object} tx - Transaction request without a nonce
+     * @returns {Promise<object>} - ethers TransactionResponse
+     */
+    async sendTransaction(wallet, chainId, tx) {
+        const account = this._getAccount(chainId, wallet.address);
+        
+        return this._withLock(account, async () => {
+            let nonce = await this._nextNonce(wallet, account);
+            try {
+                return await this._send(wallet, account, tx, nonce);
+            } catch (error) {
+                if (!this.isNonceError(error)) {
+                    throw error;
+                }
+                
+                console.warn(`Nonce ${nonce} of ${wallet.address} is already used, retrying with the next free nonce`);
+                nonce = await this._nextNonce(wallet, account, nonce + 1);
+                return await this._send(wallet, account, tx, nonce);
+            }
+        });
+    }
+
+    /**
+     * Send a transaction reusing the nonce of a pending one (speed up or cancel).
+     * The replacement takes over the nonce, so the original is no longer tracked
+     * @param {object} wallet - ethers Wallet connected to a provider
+     * @param {number} chainId - Chain the wallet sends on
+     * @param {number} nonce - Nonce of the pending transaction
+     * @param {object} tx - Replacement transaction request, with fees high enough to replace the original
+     * @returns {Promise<object>} - ethers TransactionResponse
+     */
+    async replaceTransaction(wallet, chainId, nonce, tx) {
+        const account = this._getAccount(chainId, wallet.address);
+        return this._withLock(account, () => this._send(wallet, account, tx, nonce));
+    }
+
+    /**
+     * Check whether an error means the transaction's nonce was already used
+     * @param {Error} error - Error thrown by a send
+     * @returns {boolean}
+     */
+    isNonceError(error) {
+        return NONCE_ERROR_CODES.includes(error.code) || NONCE_ERROR_PATTERN.test(error.message || '');
+    }
+
+    /**
+     * @private
+     */
+    _getAccount(chainId, address) {
+        const key = `${chainId}:${address.toLowerCase()}`;
+        if (!this.accounts.has(key)) {
+            this.accounts.set(key, { lock: Promise.resolve(), pending: new Map() });
+        }
+        return this.accounts.get(key);
+    }
+
+    /**
+     * Run a send once the previous send from the same address has been broadcast
+     * @private
+     */
+    async _withLock(account, send) {
+        const previous = account.lock;
+        let release;
+        account.lock = new Promise(resolve => { release = resolve; });
+        await previous;
+        
+        try {
+            return await send();
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Find the first free nonce, at least minNonce, after forgetting mined and dropped transactions
+     * @private
+     */
+    async _nextNonce(wallet, account, minNonce = 0) {
+        const { provider, address } = wallet;
+        const [minedCount, pendingCount] = await Promise.all([
+            provider.getTransactionCount(address, 'latest'),
+            provider.getTransactionCount(address, 'pending')
+        ]);
+        
+        for (const [nonce, sent] of account.pending) {
+            // Mined, or replaced by a transaction with the same nonce
+            if (nonce < minedCount) {
+                account.pending.delete(nonce);
+                continue;
+            }
+            
+            // Recently sent transactions may not have reached this node yet
+            if (Date.now() - sent.sentAt < BOT_CONFIG.NONCE_DROP_SECONDS * 1000) {
+                continue;
+            }
+            const known = await provider.getTransaction(sent.hash).catch(() => null);
+            if (!known) {
+                console.warn(`Transaction ${sent.hash} (nonce ${nonce}) was dropped, its nonce will be reused`);
+                account.pending.delete(nonce);
+            }
+        }
+        
+        // The node's pending count stops at the first gap, so a dropped nonce is filled first
+        let nonce = Math.max(pendingCount, minNonce);
+        while (account.pending.has(nonce)) {
+            nonce++;
+        }
+        return nonce;
+    }
+
+    /**
+     * @private
+     */
+    async _send(wallet, account, tx, nonce) {
+        const response = await wallet.sendTransaction({ ...tx, nonce });
+        account.pending.set(nonce, { hash: response.hash, sentAt: Date.now() });
+        console.log(`Sent ${response.hash} from ${wallet.address} with nonce ${nonce} (${account.pending.size} pending)`);
+        return response;
+    }
+}
+
+module.exports = new NonceManager();
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * PendingTransactions keeps every transaction the bot sends until it is mined.
+ *
+ * Entries are saved with what is needed to replace them (sender, nonce, call and fees),
+ * so a stuck transaction can still be sped up or cancelled after the bot restarts.
+ * Entries are keyed by a short id taken from the first hash, which fits in callback data.
+ */
+class PendingTransactions {
+    constructor() {
+        this.dataDir = path.join(__dirname, '../data');
+        this.transactionsFile = path.join(this.dataDir, 'pending_transactions.json');
+
+        // Ensure data directory exists
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true, mode: 0o700 });
+        }
+
+        this.transactions = this.loadTransactions();
+
+        // Nothing is waiting on transactions left from a previous run, so their outcome is posted to the chat
+        Object.values(this.transactions).forEach(entry => {
+            entry.notify = true;
+        });
+    }
+
+    /**
+     * Load pending transactions from file
+     */
+    loadTransactions() {
+        try {
+            if (fs.existsSync(this.transactionsFile)) {
+                return JSON.parse(fs.readFileSync(this.transactionsFile, 'utf8'));
+            }
+            return {};
+        } catch (error) {
+            console.error('Error loading pending transactions:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save pending transactions to file, through a temporary file renamed over it
+     * so a crash mid-write never leaves a truncated file behind
+     */
+    saveTransactions() {
+        const tempFile = `${this.transactionsFile}.${process.pid}.tmp`;
+        try {
+            const fd = fs.openSync(tempFile, 'w', 0o600);
+            try {
+                fs.writeSync(fd, JSON.stringify(this.transactions, null, 2), null, 'utf8');
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempFile, this.transactionsFile);
+        } catch (error) {
+            console.error('Error saving pending transactions:', error);
+        }
+    }
+
+    /**
+     * Record a transaction that was just sent
+     * @param {string} userId - Telegram user ID
+     * @param {string} network - Network key
+     * @param {object} tx - ethers TransactionResponse
+     * @param {string} label - What the transaction does, e.g. "Swap MON → USDC"
+     * @returns {object} - The entry
+     */
+    add(userId, network, tx, label) {
+        const id = tx.hash.slice(2, 14);
+        this.transactions[id] = {
+            id,
+            userId,
+            network,
+            label: label || 'Transaction',
+            from: tx.from,
+            nonce: tx.nonce,
+            ...this._describeRequest(tx),
+            hashes: [tx.hash],
+            // Hashes of the 0 MON self-transfers sent to cancel it
+            cancelHashes: [],
+            sentAt: Date.now(),
+            // 'speedup' or 'cancel' once replaced from the chat
+            replacedWith: null,
+            // Whether the user was told the transaction is stuck
+            flagged: false,
+            // Whether the outcome should be posted to the chat
+            notify: false
+        };
+
+        this.saveTransactions();
+        return this.transactions[id];
+    }
+
+    /**
+     * Get a pending transaction by id
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.transactions[id] || null;
+    }
+
+    /**
+     * Get every pending transaction
+     * @returns {Array<object>}
+     */
+    getAll() {
+        return Object.values(this.transactions);
+    }
+
+    /**
+     * Get a user's pending transactions, oldest nonce first
+     * @param {string} userId - Telegram user ID
+     * @returns {Array<object>}
+     */
+    getForUser(userId) {
+        return this.getAll()
+            .filter(entry => entry.userId === userId)
+            .sort((a, b) => a.nonce - b.nonce);
+    }
+
+    /**
+     * Record a transaction sent with the same nonce to speed up or cancel a pending one.
+     * Speeding up a cancel keeps it a cancel
+     * @param {string} id - Pending transaction id
+     * @param {object} tx - Replacement ethers TransactionResponse
+     * @param {string} action - 'speedup' or 'cancel'
+     * @returns {object} - The updated entry
+     */
+    addReplacement(id, tx, action) {
+        const entry = this.transactions[id];
+        Object.assign(entry, this._describeRequest(tx));
+        entry.hashes.push(tx.hash);
+        entry.replacedWith = entry.replacedWith === 'cancel' ? 'cancel' : action;
+        if (entry.replacedWith === 'cancel') {
+            entry.cancelHashes.push(tx.hash);
+        }
+        entry.notify = true;
+
+        this.saveTransactions();
+        return entry;
+    }
+
+    /**
+     * Update fields of a pending transaction
+     * @param {string} id - Pending transaction id
+     * @param {object} changes - Fields to set
+     */
+    update(id, changes) {
+        if (this.transactions[id]) {
+            Object.assign(this.transactions[id], changes);
+            this.saveTransactions();
+        }
+    }
+
+    /**
+     * Forget a transaction once it is mined or replaced
+     * @param {string} id - Pending transaction id
+     */
+    remove(id) {
+        delete this.transactions[id];
+        this.saveTransactions();
+    }
+
+    /**
+     * The call and fees of a transaction, as JSON-friendly strings
+     * @private
+     */
+    _describeRequest(tx) {
+        return {
+            to: tx.to,
+            data: tx.data,
+            value: tx.value.toString(),
+            gasLimit: tx.gasLimit.toString(),
+            maxFeePerGas: (tx.maxFeePerGas ?? tx.gasPrice).toString(),
+            maxPriorityFeePerGas: (tx.maxPriorityFeePerGas ?? tx.gasPrice).toString()
+        };
+    }
+}
+
+module.exports = new PendingTransactions();
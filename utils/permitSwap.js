@@ -0,0 +1,163 @@
+const { ethers } = require('ethers');
+const { SWAP_ROUTER_02_ABI, ERC20_PERMIT_ABI } = require('../config');
+
+// SwapRouter02 recipient placeholders: the caller, or the router itself (before unwrapWETH9)
+const MSG_SENDER = '0x0000000000000000000000000000000000000001';
+const ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// tokenAddress (lowercase) -> EIP-712 domain, or null when the token has no usable permit
+const domainCache = new Map();
+
+/**
+ * PermitSwapper sells tokens that implement EIP-2612 without a separate approve transaction.
+ *
+ * The wallet signs a permit for SwapRouter02 off-chain, and the router's multicall runs
+ * selfPermit and the swap in one transaction. V2 routes and single-pool V3 swaps are
+ * supported; MON output is unwrapped by the router at the end of the same multicall.
+ */
+class PermitSwapper {
+    /**
+     * @param {object} integration - MonadIntegration whose network, provider and wallet are used
+     */
+    constructor(integration) {
+        this.integration = integration;
+        this.router = new ethers.Contract(integration.network.addresses.SWAP_ROUTER_02, SWAP_ROUTER_02_ABI, integration.wallet);
+    }
+
+    /**
+     * Find the EIP-712 domain a token's permit is signed for.
+     * The token must expose DOMAIN_SEPARATOR and nonces, and the domain is only trusted when
+     * it hashes to the token's own DOMAIN_SEPARATOR
+     * @param {string} tokenAddress - Token contract
+     * @returns {Promise<object|null>} - { name, version, chainId, verifyingContract }, or null without permit support
+     */
+    async getPermitDomain(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+        if (domainCache.has(key)) {
+            return domainCache.get(key);
+        }
+
+        const { network, provider, wallet } = this.integration;
+        const token = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, provider);
+
+        let separator;
+        try {
+            [separator] = await Promise.all([token.DOMAIN_SEPARATOR(), token.nonces(wallet.address)]);
+        } catch (error) {
+            console.log(`${tokenAddress} does not support EIP-2612 permits`);
+            domainCache.set(key, null);
+            return null;
+        }
+
+        // EIP-5267 tokens describe their domain; otherwise try the name with the usual versions
+        const candidates = [];
+        try {
+            const described = await token.eip712Domain();
+            candidates.push({ name: described.name, version: described.version, chainId: described.chainId, verifyingContract: described.verifyingContract });
+        } catch (error) {
+            // Not implemented
+        }
+        const name = await token.name().catch(() => null);
+        const versions = await token.version().then(version => [version]).catch(() => ['1', '2']);
+        if (name !== null) {
+            versions.forEach(version => candidates.push({ name, version, chainId: network.chainId, verifyingContract: tokenAddress }));
+        }
+
+        const domain = candidates.find(candidate => ethers.TypedDataEncoder.hashDomain(candidate) === separator) || null;
+        if (!domain) {
+            console.log(`Permit domain of ${tokenAddress} not recognised, using approve instead`);
+        }
+        domainCache.set(key, domain);
+        return domain;
+    }
+
+    /**
+     * Sign a permit letting SwapRouter02 spend a token
+     * @param {string} tokenAddress - Token being sold
+     * @param {BigInt} value - Allowance granted (the most the swap may take)
+     * @param {number} deadline - Unix time after which the permit is invalid
+     * @returns {Promise<object|null>} - { value, deadline, v, r, s }, or null when the token has no usable permit
+     */
+    async signPermit(tokenAddress, value, deadline) {
+        const domain = await this.getPermitDomain(tokenAddress);
+        if (!domain) {
+            return null;
+        }
+
+        const { provider, wallet } = this.integration;
+        const token = new ethers.Contract(tokenAddress, ERC20_PERMIT_ABI, provider);
+        const nonce = await token.nonces(wallet.address);
+
+        const signature = ethers.Signature.from(await wallet.signTypedData(domain, PERMIT_TYPES, {
+            owner: wallet.address,
+            spender: await this.router.getAddress(),
+            value,
+            nonce,
+            deadline
+        }));
+        console.log(`Signed a permit for ${value} of ${tokenAddress} (nonce ${nonce})`);
+        return { value, deadline, v: signature.v, r: signature.r, s: signature.s };
+    }
+
+    /**
+     * Build the multicall of a permit swap: selfPermit, the swap, and unwrapWETH9 for MON output
+     * @param {object} swap - { venue, fee, tokenIn, tokenOut, nativeOut, exactOutput, amountIn, amountInMax, amountOutMin,
+     *   quotedOut, path, deadline, permit }
+     * @returns {object} - { args, overrides } for router.multicall
+     */
+    buildSwap(swap) {
+        const { interface: routerInterface } = this.router;
+        const { permit } = swap;
+        const recipient = swap.nativeOut ? ADDRESS_THIS : MSG_SENDER;
+
+        const calls = [
+            routerInterface.encodeFunctionData('selfPermit', [swap.tokenIn, permit.value, permit.deadline, permit.v, permit.r, permit.s])
+        ];
+        if (swap.venue === 'V3') {
+            calls.push(routerInterface.encodeFunctionData('exactInputSingle', [{
+                tokenIn: swap.tokenIn,
+                tokenOut: swap.tokenOut,
+                fee: swap.fee,
+                recipient,
+                amountIn: swap.amountIn,
+                amountOutMinimum: swap.amountOutMin,
+                sqrtPriceLimitX96: 0
+            }]));
+        } else if (swap.exactOutput) {
+            calls.push(routerInterface.encodeFunctionData('swapTokensForExactTokens', [swap.quotedOut, swap.amountInMax, swap.path, recipient]));
+        } else {
+            calls.push(routerInterface.encodeFunctionData('swapExactTokensForTokens', [swap.amountIn, swap.amountOutMin, swap.path, recipient]));
+        }
+        if (swap.nativeOut) {
+            calls.push(routerInterface.encodeFunctionData('unwrapWETH9', [swap.exactOutput ? swap.quotedOut : swap.amountOutMin, this.integration.wallet.address]));
+        }
+
+        return { args: [swap.deadline, calls], overrides: {} };
+    }
+
+    /**
+     * Read the swap amounts from the multicall results (the swap is the second call)
+     * @param {Array<string>} results - multicall return data
+     * @param {object} swap - The swap passed to buildSwap
+     * @returns {object} - { amountIn, amountOut }
+     */
+    decodeSwapResult(results, swap) {
+        const method = swap.venue === 'V3' ? 'exactInputSingle' : swap.exactOutput ? 'swapTokensForExactTokens' : 'swapExactTokensForTokens';
+        const [amount] = this.router.interface.decodeFunctionResult(method, results[1]);
+        return swap.exactOutput
+            ? { amountIn: amount, amountOut: swap.quotedOut }
+            : { amountIn: swap.amountIn, amountOut: amount };
+    }
+}
+
+module.exports = PermitSwapper;
@@ -0,0 +1,450 @@
+const axios = require('axios');
+const { Markup } = require('telegraf');
+const { BOT_CONFIG, NETWORKS } = require('../config');
+
+// Session states of the flows below; the entry points merge them into their own STATES
+const SECRET_STATES = {
+    AWAITING_PIN: 'awaiting_pin',
+    AWAITING_CURRENT_PIN: 'awaiting_current_pin',
+    AWAITING_NEW_PIN: 'awaiting_new_pin',
+    AWAITING_NEW_PIN_CONFIRM: 'awaiting_new_pin_confirm',
+    AWAITING_KEYSTORE_PASSWORD: 'awaiting_keystore_password',
+    AWAITING_KEYSTORE_PASSWORD_CONFIRM: 'awaiting_keystore_password_confirm',
+    AWAITING_KEYSTORE_IMPORT_PASSWORD: 'awaiting_keystore_import_password'
+};
+
+// States in which the next text message is a secret (PIN or password) and must be deleted
+const SECRET_INPUT_STATES = Object.values(SECRET_STATES);
+
+// State the flows return to when they finish (STATES.IDLE of the entry points)
+const IDLE_STATE = 'idle';
+
+// Keystores are ~500 bytes; anything much larger is not one
+const MAX_KEYSTORE_FILE_SIZE = 64 * 1024;
+
+/**
+ * SecretFlows holds every chat flow that handles a spending PIN or key material:
+ * setting and changing the PIN, asking for it before signing, deriving sub-wallets,
+ * and exporting and importing JSON keystores.
+ *
+ * Both entry points register the same handlers from here, so the flows stay identical.
+ * Actions waiting for the PIN are named in session.pendingSigning; entry points add their
+ * own (swaps, sends, ...) through options.pinActions.
+ */
+class SecretFlows {
+    /**
+     * @param {object} bot - Telegraf bot to register the handlers on
+     * @param {object} walletManager - WalletManager holding the user's wallets
+     * @param {object} commands - TelegramCommands, for menus and Markdown escaping
+     * @param {object} options - Entry point hooks
+     * @param {function} options.getSession - Returns the user's session for a context
+     * @param {function} options.setState - Sets the session state and returns the session
+     * @param {object} options.secretMessages - SecretMessages instance used to delete secrets
+     * @param {object} options.pinActions - Extra actions run with (ctx, pin) once the PIN arrives, keyed by name
+     */
+    constructor(bot, walletManager, commands, options) {
+        this.bot = bot;
+        this.walletManager = walletManager;
+        this.commands = commands;
+        this.getSession = options.getSession;
+        this.setState = options.setState;
+        this.secretMessages = options.secretMessages;
+
+        // Actions that wait for the spending PIN, keyed by session.pendingSigning
+        this.pinActions = {
+            ...options.pinActions,
+            derive: (ctx, pin) => this.createSubWallet(ctx, pin),
+            export: (ctx, pin) => this.sendKeystoreExport(ctx, pin)
+        };
+    }
+
+    /**
+     * Register the button, callback and document handlers of the flows.
+     * Call before the entry point's text handler, which must pass text on to handleText
+     */
+    register() {
+        const { bot, walletManager, commands } = this;
+
+        // "I saved it" button under self-destructing secrets
+        bot.action(this.secretMessages.ackCallback, async (ctx) => {
+            await this.secretMessages.acknowledge(ctx);
+        });
+
+        bot.hears('🔐 Spending PIN', async (ctx) => {
+            console.log(`BUTTON HANDLER: Spending PIN button pressed by user ${ctx.from.id}`);
+            this.resetSecretData(ctx);
+
+            if (walletManager.hasPin(ctx.from.id.toString())) {
+                this.setState(ctx, SECRET_STATES.AWAITING_CURRENT_PIN);
+                return ctx.reply(
+                    '🔐 Enter your current spending PIN to change it.\n\n' +
+                    'PIN messages are deleted as soon as they have been read.',
+                    Markup.keyboard([['❌ Cancel']]).resize()
+                );
+            }
+
+            this.setState(ctx, SECRET_STATES.AWAITING_NEW_PIN);
+            await ctx.reply(
+                '🔐 *Set a Spending PIN*\n\n' +
+                'Once set, every swap and transfer must be signed by entering this PIN. ' +
+                'Your wallets are re-encrypted with it, so it cannot be recovered if you forget it. ' +
+                `After ${BOT_CONFIG.PIN_MAX_ATTEMPTS} wrong attempts signing is locked for ${BOT_CONFIG.PIN_LOCKOUT_MINUTES} minutes.\n\n` +
+                'Enter a new PIN or passphrase (at least 4 characters):',
+                { parse_mode: 'Markdown', ...Markup.keyboard([['❌ Cancel']]).resize() }
+            );
+        });
+
+        bot.hears('🌱 New Sub-wallet', async (ctx) => {
+            console.log(`BUTTON HANDLER: New Sub-wallet button pressed by user ${ctx.from.id}`);
+            this.setState(ctx, IDLE_STATE);
+
+            if (!walletManager.hasSeed(ctx.from.id.toString())) {
+                return ctx.reply(
+                    'Sub-wallets are derived from a recovery phrase. Generate a wallet or import one with its recovery phrase first.',
+                    commands.getWalletMenu()
+                );
+            }
+
+            // Deriving needs the seed, which is sealed behind the PIN when one is set
+            if (walletManager.hasPin(ctx.from.id.toString())) {
+                return this.requestSigningPin(ctx, 'derive', 'unlock your recovery phrase');
+            }
+
+            await this.createSubWallet(ctx);
+        });
+
+        bot.hears('📤 Export Keystore', async (ctx) => {
+            console.log(`BUTTON HANDLER: Export Keystore button pressed by user ${ctx.from.id}`);
+            this.setState(ctx, IDLE_STATE);
+
+            const userId = ctx.from.id.toString();
+            if (!walletManager.getUserWallets(userId).some(wallet => !wallet.watchOnly)) {
+                return ctx.reply(
+                    'You need to create or import a wallet with a private key first:',
+                    commands.getWalletMenu()
+                );
+            }
+
+            await ctx.reply(
+                'Choose the wallet to export as a password-protected JSON keystore:',
+                commands.getWalletPicker(userId, 'keystore_export_', { includeWatchOnly: false })
+            );
+        });
+
+        // Wallet chosen for keystore export
+        bot.action(/^keystore_export_(.+)$/, async (ctx) => {
+            console.log(`ACTION HANDLER: Keystore export selected by user ${ctx.from.id}`);
+
+            try {
+                const wallet = walletManager.getWallet(ctx.from.id.toString(), ctx.match[1]);
+                await ctx.answerCbQuery();
+
+                const session = this.setState(ctx, SECRET_STATES.AWAITING_KEYSTORE_PASSWORD);
+                session.keystoreExport = { walletId: wallet.walletId };
+
+                await ctx.replyWithMarkdown(
+                    `Choose a password for the keystore of *${commands.escapeMarkdown(wallet.name)}* (at least 8 characters).\n\n` +
+                    `You will need it to import the file into any wallet app. ` +
+                    `Your messages will be deleted as soon as they have been read.`,
+                    Markup.keyboard([['❌ Cancel']]).resize()
+                );
+            } catch (error) {
+                console.error('Error starting keystore export:', error.message);
+                await ctx.answerCbQuery(`❌ ${error.message}`);
+            }
+        });
+
+        // Keystore files uploaded to the chat
+        bot.on('document', async (ctx) => {
+            const document = ctx.message.document;
+            console.log(`Document received from user ${ctx.from.id}: ${document.file_name}`);
+
+            if (!/\.json$/i.test(document.file_name || '') && document.mime_type !== 'application/json') {
+                return ctx.reply('Only JSON keystore files can be imported.');
+            }
+
+            if (document.file_size > MAX_KEYSTORE_FILE_SIZE) {
+                return ctx.reply('This file is too large to be a keystore.');
+            }
+
+            try {
+                const fileLink = await ctx.telegram.getFileLink(document.file_id);
+                const response = await axios.get(fileLink.href, {
+                    responseType: 'text',
+                    transformResponse: data => data,
+                    timeout: 15000
+                });
+
+                if (!walletManager.isKeystore(response.data)) {
+                    return ctx.reply('This file is not a valid Ethereum JSON keystore.');
+                }
+
+                const session = this.setState(ctx, SECRET_STATES.AWAITING_KEYSTORE_IMPORT_PASSWORD);
+                session.keystoreImport = { json: response.data };
+
+                await ctx.reply(
+                    '🔐 Keystore received. Enter its password to import the wallet.\n\n' +
+                    'Your message will be deleted as soon as it has been read.',
+                    Markup.keyboard([['❌ Cancel']]).resize()
+                );
+            } catch (error) {
+                console.error('Error reading keystore file:', error.message);
+                await ctx.reply(`❌ Could not read the file: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Handle a text message sent while one of the flows waits for a PIN or password.
+     * The message is deleted before anything else
+     * @param {object} ctx - Telegraf context of the text message
+     * @returns {Promise<boolean>} - Whether the message belonged to a flow
+     */
+    async handleText(ctx) {
+        const session = this.getSession(ctx);
+        if (!SECRET_INPUT_STATES.includes(session.state)) {
+            return false;
+        }
+
+        const text = ctx.message.text;
+        const userId = ctx.from.id.toString();
+        await this.deleteSensitiveMessage(ctx);
+
+        switch (session.state) {
+            case SECRET_STATES.AWAITING_PIN: {
+                const action = this.pinActions[session.pendingSigning];
+                session.pendingSigning = null;
+
+                if (action) {
+                    await action(ctx, text);
+                } else {
+                    this.setState(ctx, IDLE_STATE);
+                    await ctx.reply('Nothing is waiting to be signed.', this.commands.getMainMenu());
+                }
+                break;
+            }
+            case SECRET_STATES.AWAITING_CURRENT_PIN:
+                session.pinSetup = { currentPin: text };
+                this.setState(ctx, SECRET_STATES.AWAITING_NEW_PIN);
+                await ctx.reply('Enter your new PIN or passphrase (at least 4 characters):');
+                break;
+            case SECRET_STATES.AWAITING_NEW_PIN:
+                if (text.trim().length < 4) {
+                    await ctx.reply('PIN must be at least 4 characters long. Please enter a new PIN:');
+                    break;
+                }
+
+                session.pinSetup = { ...session.pinSetup, newPin: text };
+                this.setState(ctx, SECRET_STATES.AWAITING_NEW_PIN_CONFIRM);
+                await ctx.reply('Enter the new PIN again to confirm:');
+                break;
+            case SECRET_STATES.AWAITING_NEW_PIN_CONFIRM:
+                await this._confirmNewPin(ctx, text);
+                break;
+            case SECRET_STATES.AWAITING_KEYSTORE_PASSWORD:
+                if (text.length < 8) {
+                    await ctx.reply('The password must be at least 8 characters long. Please enter another one:');
+                    break;
+                }
+
+                session.keystoreExport = { ...session.keystoreExport, password: text };
+                this.setState(ctx, SECRET_STATES.AWAITING_KEYSTORE_PASSWORD_CONFIRM);
+                await ctx.reply('Enter the password again to confirm:');
+                break;
+            case SECRET_STATES.AWAITING_KEYSTORE_PASSWORD_CONFIRM: {
+                const { walletId, password } = session.keystoreExport || {};
+                if (text !== password) {
+                    this.setState(ctx, IDLE_STATE);
+                    this.resetSecretData(ctx);
+                    await ctx.reply('❌ Passwords did not match. Nothing was exported.', this.commands.getWalletMenu());
+                    break;
+                }
+
+                if (this.walletManager.isPinRequired(userId, walletId)) {
+                    await this.requestSigningPin(ctx, 'export', 'unlock the wallet for export');
+                    break;
+                }
+
+                await this.sendKeystoreExport(ctx);
+                break;
+            }
+            case SECRET_STATES.AWAITING_KEYSTORE_IMPORT_PASSWORD:
+                await this._importKeystore(ctx, text);
+                break;
+        }
+        return true;
+    }
+
+    /**
+     * Ask for the spending PIN; handleText runs the pending action once it arrives
+     * @param {object} ctx - Telegraf context
+     * @param {string} action - Key of the action in pinActions
+     * @param {string} purpose - What the PIN is for, completing "Enter your spending PIN to ..."
+     */
+    async requestSigningPin(ctx, action, purpose = 'sign this transaction') {
+        const session = this.setState(ctx, SECRET_STATES.AWAITING_PIN);
+        session.pendingSigning = action;
+
+        await ctx.reply(
+            `🔐 Enter your spending PIN to ${purpose}.\n\n` +
+            'Your message will be deleted as soon as it has been read.',
+            Markup.keyboard([['❌ Cancel']]).resize()
+        );
+    }
+
+    /**
+     * Reset pending secret entry (PIN setup, keystore passwords and the action waiting for a PIN)
+     * @param {object} ctx - Telegraf context
+     */
+    resetSecretData(ctx) {
+        const session = this.getSession(ctx);
+        session.pinSetup = {};
+        session.keystoreExport = {};
+        session.keystoreImport = {};
+        session.pendingSigning = null;
+    }
+
+    /**
+     * Delete a message containing a secret; fails quietly if the bot lacks permission
+     * @param {object} ctx - Telegraf context of the incoming message
+     * @param {string} label - What the secret was, used in logs
+     */
+    async deleteSensitiveMessage(ctx, label) {
+        await this.secretMessages.deleteIncoming(ctx, label);
+    }
+
+    /**
+     * Derive the next numbered sub-wallet from the user's recovery phrase
+     * @param {object} ctx - Telegraf context
+     * @param {string} pin - Spending PIN, if the user has one
+     */
+    async createSubWallet(ctx, pin = null) {
+        try {
+            const wallet = this.walletManager.deriveSubWallet(ctx.from.id.toString(), null, pin);
+            this.setState(ctx, IDLE_STATE);
+
+            await ctx.replyWithMarkdown(
+                `*Sub-wallet Created* 🌱\n\n` +
+                `Name: *${this.commands.escapeMarkdown(wallet.name)}*\n` +
+                `Address: \`${wallet.address}\`\n` +
+                `Path: \`${wallet.derivationPath}\`\n\n` +
+                `Use /wallets to make it your active wallet.`,
+                this.commands.getWalletMenu()
+            );
+        } catch (error) {
+            if (error.code === 'INVALID_PIN') {
+                await ctx.reply(`🔐 ${error.message}`);
+                return this.requestSigningPin(ctx, 'derive', 'unlock your recovery phrase');
+            }
+
+            console.error('Error creating sub-wallet:', error.message);
+            this.setState(ctx, IDLE_STATE);
+            await ctx.reply(`❌ Could not create sub-wallet: ${error.message}`, this.commands.getWalletMenu());
+        }
+    }
+
+    /**
+     * Encrypt the wallet chosen for export into a keystore file and send it as a document
+     * @param {object} ctx - Telegraf context
+     * @param {string} pin - Spending PIN, if the wallet is PIN-protected
+     */
+    async sendKeystoreExport(ctx, pin = null) {
+        const session = this.getSession(ctx);
+        const { walletId, password } = session.keystoreExport || {};
+
+        if (!walletId || !password) {
+            this.setState(ctx, IDLE_STATE);
+            return ctx.reply('Nothing to export. Please start again from the wallet menu.', this.commands.getWalletMenu());
+        }
+
+        try {
+            await ctx.reply('🔒 Encrypting keystore... This can take a few seconds.');
+            const result = await this.walletManager.exportKeystore(ctx.from.id.toString(), walletId, password, pin);
+            const fileName = `UTC--${new Date().toISOString().replace(/:/g, '-')}--${result.address.slice(2).toLowerCase()}.json`;
+
+            this.setState(ctx, IDLE_STATE);
+            this.resetSecretData(ctx);
+
+            await ctx.replyWithDocument(
+                { source: Buffer.from(result.keystore), filename: fileName },
+                {
+                    caption: `🔐 Keystore for ${result.name} (${result.address}). Keep the file and its password safe.`,
+                    ...this.commands.getWalletMenu()
+                }
+            );
+        } catch (error) {
+            if (error.code === 'INVALID_PIN') {
+                await ctx.reply(`🔐 ${error.message}`);
+                return this.requestSigningPin(ctx, 'export', 'unlock the wallet for export');
+            }
+
+            console.error('Error exporting keystore:', error.message);
+            this.setState(ctx, IDLE_STATE);
+            this.resetSecretData(ctx);
+            await ctx.reply(`❌ Could not export keystore: ${error.message}`, this.commands.getWalletMenu());
+        }
+    }
+
+    /**
+     * Set or change the PIN once the new one has been entered twice
+     * @private
+     */
+    async _confirmNewPin(ctx, text) {
+        const session = this.getSession(ctx);
+        const { currentPin, newPin } = session.pinSetup || {};
+        this.setState(ctx, IDLE_STATE);
+        this.resetSecretData(ctx);
+
+        if (text !== newPin) {
+            return ctx.reply('❌ PINs did not match. No changes were made.', this.commands.getMainMenu());
+        }
+
+        try {
+            const userId = ctx.from.id.toString();
+            const changing = this.walletManager.hasPin(userId);
+            this.walletManager.setPin(userId, newPin, currentPin);
+
+            await ctx.reply(
+                changing
+                    ? '✅ Spending PIN changed.'
+                    : '✅ Spending PIN set. You will be asked for it whenever a swap or transfer is signed.',
+                this.commands.getMainMenu()
+            );
+        } catch (error) {
+            console.error('Error setting spending PIN:', error.message);
+            await ctx.reply(`❌ Could not update PIN: ${error.message}`, this.commands.getMainMenu());
+        }
+    }
+
+    /**
+     * Import the uploaded keystore with the password the user entered
+     * @private
+     */
+    async _importKeystore(ctx, password) {
+        const session = this.getSession(ctx);
+        const { json } = session.keystoreImport || {};
+        this.setState(ctx, IDLE_STATE);
+        this.resetSecretData(ctx);
+
+        try {
+            await ctx.reply('🔓 Decrypting keystore...');
+            const wallet = await this.walletManager.importKeystore(ctx.from.id.toString(), json, password);
+
+            await ctx.replyWithMarkdown(
+                `✅ *Wallet Imported Successfully!*\n\n` +
+                `Address: \`${wallet.address}\`\n\n` +
+                `[View on Explorer](${NETWORKS.MONAD.blockExplorerUrl}/address/${wallet.address})`,
+                this.commands.getMainMenu()
+            );
+        } catch (error) {
+            console.error('Error importing keystore:', error.message);
+            await ctx.reply(`❌ Error importing keystore: ${error.message}`, this.commands.getWalletMenu());
+        }
+    }
+}
+
+module.exports = {
+    SecretFlows,
+    SECRET_STATES,
+    SECRET_INPUT_STATES
+};
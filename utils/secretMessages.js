@@ -0,0 +1,104 @@
+const { Markup } = require('telegraf');
+const { BOT_CONFIG } = require('../config');
+
+const ACK_CALLBACK = 'secret_ack';
+
+/**
+ * SecretMessages keeps private keys and recovery phrases out of the chat history.
+ *
+ * Secrets the bot sends are deleted after a timeout or as soon as the user taps the
+ * acknowledgement button, whichever comes first. Secrets the user sends are deleted
+ * right after they have been read. Every deletion is logged (without its content).
+ */
+class SecretMessages {
+    /**
+     * @param {number} ttlSeconds - Seconds before a secret sent by the bot deletes itself
+     */
+    constructor(ttlSeconds = BOT_CONFIG.SECRET_MESSAGE_TTL_SECONDS) {
+        this.ttlSeconds = ttlSeconds;
+
+        // Callback data of the acknowledgement button, for registering the action handler
+        this.ackCallback = ACK_CALLBACK;
+
+        // "chatId:messageId" -> pending deletion timer
+        this.timers = new Map();
+    }
+
+    /**
+     * Send a Markdown message containing a secret that deletes itself
+     * @param {object} ctx - Telegraf context
+     * @param {string} text - Message text (Markdown)
+     * @param {string} label - What the secret is, used in logs
+     * @returns {Promise<object>} - Sent message
+     */
+    async send(ctx, text, label = 'secret') {
+        const minutes = this.ttlSeconds / 60;
+        const duration = Number.isInteger(minutes)
+            ? `${minutes} minute${minutes === 1 ? '' : 's'}`
+            : `${this.ttlSeconds} seconds`;
+        const message = await ctx.reply(
+            `${text}\n\n⏳ _This message deletes itself in ${duration}, or when you tap the button below._`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([[Markup.button.callback('✅ I saved it, delete now', ACK_CALLBACK)]])
+            }
+        );
+
+        const chatId = message.chat.id;
+        const key = `${chatId}:${message.message_id}`;
+        const timer = setTimeout(() => {
+            this._delete(ctx.telegram, chatId, message.message_id, `${label} expired after ${this.ttlSeconds}s`);
+        }, this.ttlSeconds * 1000);
+
+        // A pending deletion must not keep the process alive on shutdown
+        timer.unref();
+        this.timers.set(key, timer);
+
+        console.log(`Sent self-destructing ${label} to user ${ctx.from.id} (message ${message.message_id})`);
+        return message;
+    }
+
+    /**
+     * Handle a tap on the acknowledgement button by deleting that message now
+     * @param {object} ctx - Telegraf context of the callback query
+     */
+    async acknowledge(ctx) {
+        const message = ctx.callbackQuery.message;
+        await ctx.answerCbQuery('Deleted. Keep your backup somewhere safe.');
+        await this._delete(ctx.telegram, message.chat.id, message.message_id, `acknowledged by user ${ctx.from.id}`);
+    }
+
+    /**
+     * Delete the message the user just sent because it contained a secret
+     * @param {object} ctx - Telegraf context of the incoming message
+     * @param {string} label - What the secret was, used in logs
+     */
+    async deleteIncoming(ctx, label = 'sensitive message') {
+        try {
+            await ctx.deleteMessage();
+            console.log(`Deleted ${label} sent by user ${ctx.from.id}`);
+        } catch (error) {
+            console.error(`Could not delete ${label} from user ${ctx.from.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Delete a message sent by the bot and forget its timer
+     * @private
+     */
+    async _delete(telegram, chatId, messageId, reason) {
+        const key = `${chatId}:${messageId}`;
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+
+        try {
+            await telegram.deleteMessage(chatId, messageId);
+            console.log(`Deleted secret message ${messageId} in chat ${chatId} (${reason})`);
+        } catch (error) {
+            // Already deleted by the user, or older than Telegram allows bots to delete
+            console.error(`Could not delete secret message ${messageId} in chat ${chatId}:`, error.message);
+        }
+    }
+}
+
+module.exports = SecretMessages;
@@ -1,9 +1,24 @@
 const { Markup } = require('telegraf');
-const { NETWORKS } = require('../config');
+const { NETWORKS, BOT_CONFIG } = require('../config');
 const userPreferences = require('./userPreferences');
 const tokenPrices = require('./tokenPrices');
+const TokenRiskAnalyzer = require('./tokenRisk');
+const pendingTransactions = require('./pendingTransactions');
 const { ethers } = require('ethers');
 
+// Number of trailing address characters the user must type to delete a wallet
+const DELETE_CONFIRM_SUFFIX_LENGTH = 6;
+
+// Checklist shown in the swap progress message, in the order MonadIntegration reports the stages
+const SWAP_PROGRESS_STEPS = [
+    { stage: 'QUOTE', label: 'Quote' },
+    { stage: 'APPROVE', label: 'Approval' },
+    { stage: 'SIMULATE', label: 'Simulation' },
+    { stage: 'GAS', label: 'Gas estimate' },
+    { stage: 'SUBMITTED', label: 'Submitted' },
+    { stage: 'CONFIRMED', label: 'Confirmed' }
+];
+
 /**
  * TelegramCommands class for handling bot commands
  */
@@ -23,23 +38,20 @@ class TelegramCommands {
     }
 
     /**
-     * Get integration instance for a specific network
+     * Get integration instance for a specific network.
+     * User integrations are read-only (balances, quotes); use getSigningIntegration to send transactions.
      */
     getIntegration(network = 'MONAD', userId) {
         if (userId && this.walletManager.hasWallet(userId)) {
-            const wallet = this.walletManager.getWalletDetails(userId);
-            if (wallet && wallet.privateKey) {
-                try {
-                    if (network === 'MONAD') {
-                        const MonadIntegration = require('./monadIntegration');
-                        return new MonadIntegration(wallet.privateKey);
-                    } else if (network === 'MEGAETH') {
-                        const MegaethIntegration = require('./megaethIntegration');
-                        return new MegaethIntegration(wallet.privateKey);
-                    }
-                } catch (error) {
-                    console.error(`Error creating integration for user ${userId}:`, error);
-                }
+            const wallet = this.walletManager.getWallet(userId);
+            try {
+                // Gas settings are passed along so quotes show the fee the user will pay
+                return this._createIntegration(network, null, {
+                    address: wallet.address,
+                    gasSettings: this.userPreferences.getGasSettings(userId)
+                });
+            } catch (error) {
+                console.error(`Error creating integration for user ${userId}:`, error);
             }
         }
         // Fallback to the default integration
@@ -47,6 +59,244 @@ class TelegramCommands {
         return this.integrations[network] || this.monadIntegration;
     }
 
+    /**
+     * Get an integration that can sign with the user's wallet.
+     * Decrypts the private key, so PIN-protected wallets need the user's PIN.
+     * Unlike getIntegration this never falls back to the default wallet.
+     * @param {string} network - Network key
+     * @param {string} userId - Telegram user ID
+     * @param {string} pin - Spending PIN, if the user has one
+     * @param {string} walletId - Wallet to sign with (defaults to the active wallet)
+     * @returns {object} - Network integration with a signing wallet
+     */
+    getSigningIntegration(network = 'MONAD', userId, pin = null, walletId = null) {
+        if (!userId || !this.walletManager.hasWallet(userId)) {
+            throw new Error('Wallet not found. Please create or import a wallet first.');
+        }
+        
+        // View-only wallets get a read-only integration, which rejects every signing call
+        const signingWallet = this.walletManager.getWallet(userId, walletId);
+        if (signingWallet.watchOnly) {
+            return this._createIntegration(network, null, { address: signingWallet.address });
+        }
+        
+        // Swaps approve tokens and pay gas the way the user chose in settings, and every
+        // transaction is tracked until it is mined
+        const wallet = this.walletManager.getWalletDetails(userId, walletId, pin);
+        return this._createIntegration(network, wallet.privateKey, {
+            approvalMode: this.userPreferences.getApprovalMode(userId),
+            gasSettings: this.userPreferences.getGasSettings(userId),
+            onTransactionSent: (tx, label) => pendingTransactions.add(userId, network, tx, label)
+        });
+    }
+
+    /**
+     * Build a network integration for a private key or a read-only address
+     * @private
+     * @param {object} options - { address, approvalMode, gasSettings, onTransactionSent } passed on to the integration
+     */
+    _createIntegration(network, privateKey, options = {}) {
+        if (network === 'MEGAETH') {
+            const MegaethIntegration = require('./megaethIntegration');
+            return new MegaethIntegration(privateKey, options);
+        }
+        
+        const MonadIntegration = require('./monadIntegration');
+        return new MonadIntegration(privateKey, options);
+    }
+
+    /**
+     * Build the failure result for a PIN error, or null if the error is unrelated to the PIN
+     * @private
+     */
+    _pinFailure(error) {
+        if (!['PIN_REQUIRED', 'INVALID_PIN', 'PIN_LOCKED'].includes(error.code)) {
+            return null;
+        }
+        
+        return { success: false, message: `🔐 ${error.message}`, code: error.code };
+    }
+
+    /**
+     * Escape user-provided text (e.g. wallet names) for legacy Markdown messages
+     */
+    escapeMarkdown(text) {
+        return String(text || '').replace(/([_*`\[])/g, '\\$1');
+    }
+
+    /**
+     * Build the wallet switcher: every wallet with its native balance and an inline button to activate it
+     * @param {string} userId - Telegram user ID
+     * @param {string} network - Network key used for balances
+     * @returns {object} - { message, keyboard }
+     */
+    async getWalletSwitcher(userId, network = 'MONAD') {
+        const wallets = this.walletManager.getUserWallets(userId);
+        const networkConfig = NETWORKS[network];
+        
+        // One read-only provider is enough to look up every address
+        const provider = this.getIntegration(network, userId).provider;
+        const balances = await Promise.all(wallets.map(wallet =>
+            provider.getBalance(wallet.address)
+                .then(balance => `${parseFloat(ethers.formatEther(balance)).toFixed(4)} ${networkConfig.nativeCurrency}`)
+                .catch(error => {
+                    console.error(`Error fetching balance for ${wallet.address}:`, error.message);
+                    return 'balance unavailable';
+                })
+        ));
+        
+        let message = `👛 *YOUR WALLETS*\n`;
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+        
+        wallets.forEach((wallet, index) => {
+            message += `${wallet.active ? '✅' : '▫️'} *${this.escapeMarkdown(wallet.name)}*${wallet.active ? ' (active)' : ''}\n`;
+            if (wallet.watchOnly) {
+                message += `👁 _View only_\n`;
+            }
+            message += `\`${wallet.address}\`\n`;
+            message += `💰 ${balances[index]}\n\n`;
+        });
+        
+        message += `Tap a wallet to use it for balances, swaps and sends. View-only wallets can show balances but never sign.`;
+        
+        return { message, keyboard: this.getWalletPicker(userId, 'wallet_select_') };
+    }
+
+    /**
+     * Build the wallet management list, including archived wallets
+     * @param {string} userId - Telegram user ID
+     * @returns {object} - { message, keyboard } where each button opens the actions for one wallet
+     */
+    getWalletManagementView(userId) {
+        const wallets = this.walletManager.getUserWallets(userId, { includeArchived: true });
+        
+        let message = `🗂 *MANAGE WALLETS*\n`;
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+        
+        wallets.forEach((wallet, index) => {
+            const flags = [
+                wallet.active && 'active',
+                wallet.watchOnly && 'view only',
+                wallet.archived && 'archived'
+            ].filter(Boolean);
+            
+            message += `${index + 1}. *${this.escapeMarkdown(wallet.name)}*${flags.length ? ` _(${flags.join(', ')})_` : ''}\n`;
+            message += `\`${wallet.address}\`\n\n`;
+        });
+        
+        message += `Tap a wallet to rename, reorder, archive or delete it.`;
+        
+        return {
+            message,
+            keyboard: this.getWalletPicker(userId, 'wmgr_open_', { includeArchived: true })
+        };
+    }
+
+    /**
+     * Build the action menu for a single wallet
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Wallet ID
+     * @returns {object} - { message, keyboard }
+     */
+    getWalletActionsView(userId, walletId) {
+        const wallet = this.walletManager.getWallet(userId, walletId);
+        const wallets = this.walletManager.getUserWallets(userId, { includeArchived: true });
+        const position = wallets.findIndex(entry => entry.walletId === walletId) + 1;
+        const active = this.walletManager.getActiveWalletId(userId) === walletId;
+        
+        let message = `👛 *${this.escapeMarkdown(wallet.name)}*\n`;
+        message += `\`${wallet.address}\`\n\n`;
+        message += `📋 Position ${position} of ${wallets.length}\n`;
+        if (active) message += `✅ Active wallet\n`;
+        if (wallet.watchOnly) message += `👁 View only\n`;
+        if (wallet.archived) message += `🗄 Archived (hidden from /wallets and /balances)\n`;
+        if (wallet.derivationPath) message += `🌱 Path: \`${wallet.derivationPath}\`\n`;
+        message += `\nWhat would you like to do?`;
+        
+        const firstRow = [Markup.button.callback('✏️ Rename', `wmgr_rename_${walletId}`)];
+        if (!wallet.archived && !active) {
+            firstRow.push(Markup.button.callback('⭐ Set Default', `wmgr_default_${walletId}`));
+        }
+        
+        const keyboard = Markup.inlineKeyboard([
+            firstRow,
+            [
+                Markup.button.callback('⬆️ Move Up', `wmgr_up_${walletId}`),
+                Markup.button.callback('⬇️ Move Down', `wmgr_down_${walletId}`)
+            ],
+            [
+                Markup.button.callback(wallet.archived ? '📂 Unarchive' : '🗄 Archive', `wmgr_archive_${walletId}`),
+                Markup.button.callback('🗑 Delete', `wmgr_delete_${walletId}`)
+            ],
+            [Markup.button.callback('« All Wallets', 'wmgr_list')]
+        ]);
+        
+        return { message, keyboard };
+    }
+
+    /**
+     * Build the delete confirmation for a wallet, showing what is still held on it
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Wallet ID
+     * @param {string} network - Network key used for the balance lookup
+     * @returns {Promise<object>} - { message, suffix } where suffix is the text the user must type to confirm
+     */
+    async getDeleteConfirmation(userId, walletId, network = 'MONAD') {
+        const wallet = this.walletManager.getWallet(userId, walletId);
+        const suffix = wallet.address.slice(-DELETE_CONFIRM_SUFFIX_LENGTH);
+        const integration = this._createIntegration(network, null, { address: wallet.address });
+        
+        let message = `🗑 *DELETE ${this.escapeMarkdown(wallet.name).toUpperCase()}*\n`;
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+        message += `\`${wallet.address}\`\n\n`;
+        message += `💰 *Remaining balance on ${NETWORKS[network].name}*\n`;
+        
+        try {
+            const nativeBalance = await integration.getNativeBalance();
+            message += `• *${nativeBalance.symbol}*: \`${nativeBalance.formatted}\`\n`;
+            
+            const tokens = await integration.scanAllTokens(false);
+            for (const token of tokens) {
+                message += `• *${this.escapeMarkdown(token.symbol)}*: \`${token.balance.formatted}\`\n`;
+            }
+        } catch (error) {
+            console.error(`Error fetching balance for ${wallet.address}:`, error.message);
+            message += `• Balance unavailable. Check the explorer before deleting.\n`;
+        }
+        
+        message += `\n`;
+        if (this.walletManager.sharesSeed(userId, wallet.walletId)) {
+            message += `⚠️ This wallet was derived from a recovery phrase your other wallets still use. The phrase stays in this bot, ` +
+                `so the same address can be derived again from it.\n\n`;
+        } else if (!wallet.watchOnly) {
+            message += `⚠️ The encrypted key${wallet.derivationPath ? ' and its recovery phrase are' : ' is'} removed from this bot for good. ` +
+                `Funds stay on-chain, but you can only reach them again with your own backup of the private key, recovery phrase or keystore.\n\n`;
+        }
+        message += `To confirm, type the last ${DELETE_CONFIRM_SUFFIX_LENGTH} characters of the address (\`...${suffix}\`).`;
+        
+        return { message, suffix };
+    }
+
+    /**
+     * Inline keyboard with one button per wallet of the user
+     * @param {string} userId - Telegram user ID
+     * @param {string} callbackPrefix - Callback data prefix; the wallet ID is appended
+     * @param {object} options - { includeWatchOnly, includeArchived } to show or hide view-only and archived wallets
+     * @returns {object} - Inline keyboard markup
+     */
+    getWalletPicker(userId, callbackPrefix, options = {}) {
+        const includeWatchOnly = options.includeWatchOnly !== false;
+        const wallets = this.walletManager.getUserWallets(userId, { includeArchived: options.includeArchived })
+            .filter(wallet => includeWatchOnly || !wallet.watchOnly);
+        
+        return Markup.inlineKeyboard(wallets.map(wallet => [
+            Markup.button.callback(
+                `${wallet.active ? '✅ ' : ''}${wallet.archived ? '🗄 ' : ''}${wallet.watchOnly ? '👁 ' : ''}${wallet.name} (${wallet.address.slice(0, 6)}...${wallet.address.slice(-4)})`,
+                `${callbackPrefix}${wallet.walletId}`
+            )
+        ]));
+    }
+
     /**
      * Get the main menu keyboard
      */
@@ -63,6 +313,8 @@ class TelegramCommands {
     getWalletMenu() {
         return Markup.keyboard([
             ['🔑 Generate Wallet', '📥 Import Wallet'],
+            ['🌱 New Sub-wallet', '📤 Export Keystore'],
+            ['👁 Watch Address', '🗂 Manage Wallets'],
             ['🏠 Main Menu']
         ]).resize();
     }
@@ -73,6 +325,8 @@ class TelegramCommands {
     getSettingsMenu() {
         return Markup.keyboard([
             ['⚙️ Set Slippage', '📌 Manage Watchlist'],
+            ['🔐 Spending PIN', '✅ Approval Mode'],
+            ['⛽ Gas Settings', '🔓 Token Approvals'],
             ['🏠 Main Menu']
         ]).resize();
     }
@@ -177,7 +431,7 @@ class TelegramCommands {
                 return 'No wallet found. Please generate or import a wallet first.';
             }
 
-            const wallet = this.walletManager.getWalletDetails(userId);
+            const wallet = this.walletManager.getWallet(userId);
             const integration = this.getIntegration(network, userId);
             const networkConfig = NETWORKS[network];
             
@@ -196,7 +450,8 @@ class TelegramCommands {
             
             let message = `📊 *WALLET BALANCE*\n`;
             message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
-            message += `👛 *Address:* \`${wallet.address}\`\n\n`;
+            message += `👛 *Wallet:* ${this.escapeMarkdown(wallet.name)}${wallet.watchOnly ? ' (👁 view only)' : ''}\n`;
+            message += `📍 *Address:* \`${wallet.address}\`\n\n`;
             
             message += `💎 *NATIVE TOKEN*\n`;
             message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
@@ -272,7 +527,7 @@ class TelegramCommands {
                 return 'No wallet found. Please generate or import a wallet first.';
             }
 
-            const wallet = this.walletManager.getWalletDetails(userId);
+            const wallet = this.walletManager.getWallet(userId);
             const integration = this.getIntegration(network, userId);
             const networkConfig = NETWORKS[network];
             
@@ -308,6 +563,287 @@ class TelegramCommands {
         }
     }
 
+    /**
+     * Quote a pending swap for the confirmation screen
+     * @param {string} fromToken - Input token symbol or address
+     * @param {string} toToken - Output token symbol or address
+     * @param {string} amount - Input amount, or the output amount for exact-output swaps
+     * @param {string} network - Network key
+     * @param {object} options - { exactOutput, slippage } to quote the cost of an exact output instead;
+     *   { userId } to also simulate the swap from the user's active wallet
+     * @returns {Promise<string>} - Markdown lines with the expected output (or cost) and route
+     */
+    async getSwapPreview(fromToken, toToken, amount, network = 'MONAD', options = {}) {
+        try {
+            const integration = this.getIntegration(network, options.userId || null);
+            if (typeof integration.getSwapQuote !== 'function') {
+                return '';
+            }
+            
+            const quote = await integration.getSwapQuote(
+                await this._getTokenAddress(fromToken, network),
+                await this._getTokenAddress(toToken, network),
+                amount,
+                { exactOutput: options.exactOutput, simulate: !!options.userId, slippage: options.slippage }
+            );
+            
+            if (options.exactOutput) {
+                const maxCost = parseFloat(quote.fromAmount) * (1 + (options.slippage || 0) / 100);
+                return `Estimated Cost: *~${parseFloat(quote.fromAmount).toFixed(6)} ${this.escapeMarkdown(quote.fromToken)}*\n` +
+                    `Max Cost: *${maxCost.toFixed(6)} ${this.escapeMarkdown(quote.fromToken)}*\n` +
+                    `Route: ${this.escapeMarkdown(quote.route)}\n` +
+                    this._formatPriceImpact(quote.priceImpact) +
+                    this._formatSimulation(quote) +
+                    await this._formatGasFee(quote, network);
+            }
+            
+            return `Expected Output: *~${parseFloat(quote.toAmountAfterTax).toFixed(6)} ${this.escapeMarkdown(quote.toToken)}*\n` +
+                `Route: ${this.escapeMarkdown(quote.route)}\n` +
+                this._formatVenueComparison(quote) +
+                this._formatTransferTax(quote) +
+                this._formatPriceImpact(quote.priceImpact) +
+                this._formatSimulation(quote) +
+                await this._formatGasFee(quote, network);
+        } catch (error) {
+            console.error('Error getting swap preview:', error.message);
+            return `⚠️ No quote available for this pair right now.\n`;
+        }
+    }
+
+    /**
+     * Format a honeypot check as a token card section.
+     * Returned unescaped, since the token card escapes its whole text for MarkdownV2
+     * @param {object|null} check - Result of HoneypotChecker.check, or null when the check failed
+     * @returns {string} - Card section
+     */
+    formatHoneypotCheck(check) {
+        let section = `🛡 *SAFETY CHECK*\n━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+        if (!check) {
+            return section + `• Could not run the buy/sell simulation right now\n`;
+        }
+        
+        const verdicts = {
+            safe: '✅ Can be bought and sold',
+            warning: '⚠️ Risky',
+            honeypot: '🚫 Honeypot: buying is blocked'
+        };
+        const yesNo = value => value === null ? 'Unverified' : (value ? 'Yes' : 'No');
+        const tax = value => value === null ? 'Unknown' : `${value}%`;
+        
+        section += `• *Verdict:*  ${verdicts[check.verdict]}\n`;
+        section += `• *Buy Tax:*  \`${tax(check.buyTax)}\`\n`;
+        section += `• *Sell Tax:*  \`${tax(check.sellTax)}\`\n`;
+        section += `• *Sellable:*  \`${yesNo(check.canSell)}\`\n`;
+        section += `• *Transferable:*  \`${yesNo(check.canTransfer)}\`\n`;
+        for (const reason of check.reasons) {
+            section += `• ${reason}\n`;
+        }
+        return section;
+    }
+
+    /**
+     * Show the result of simulating a quoted swap from the user's wallet
+     * @private
+     * @param {object} quote - Result of getSwapQuote
+     * @returns {string} - Markdown line, or '' when the swap was not simulated
+     */
+    _formatSimulation(quote) {
+        const simulation = quote.simulation;
+        if (!simulation) {
+            return '';
+        }
+        
+        if (simulation.pendingApproval) {
+            return `🧪 Simulation: runs after ${this.escapeMarkdown(quote.fromToken)} is approved\n`;
+        }
+        if (!simulation.success) {
+            return `⚠️ *Simulation failed*: ${this.escapeMarkdown(simulation.reason)}\n`;
+        }
+        if (quote.exactOutput && simulation.fromAmount !== null) {
+            return `🧪 Simulated Cost: *${parseFloat(simulation.fromAmount).toFixed(6)} ${this.escapeMarkdown(quote.fromToken)}*\n`;
+        }
+        if (simulation.toAmount !== null) {
+            return `🧪 Simulated Output: *${parseFloat(simulation.toAmount).toFixed(6)} ${this.escapeMarkdown(quote.toToken)}*\n`;
+        }
+        return `🧪 Simulation: passed\n`;
+    }
+
+    /**
+     * Format the estimated network fee of a quote in the native currency and USD
+     * @private
+     * @param {object} quote - Quote from getSwapQuote
+     * @param {string} network - Network key
+     * @param {string} fallbackNote - Shown when the default gas limit was assumed instead of an estimate
+     * @returns {Promise<string>} - Markdown line, or '' when no fee was estimated
+     */
+    async _formatGasFee(quote, network, fallbackNote = 'approval not included') {
+        const gasFee = quote.gasFee;
+        if (!gasFee) {
+            return '';
+        }
+        
+        const nativeSymbol = NETWORKS[network].nativeCurrency;
+        const usdPrice = await this._getNativeUsdPrice(network);
+        const usd = usdPrice ? ` (~$${(parseFloat(gasFee.fee) * usdPrice).toFixed(4)})` : '';
+        const preset = gasFee.preset.charAt(0).toUpperCase() + gasFee.preset.slice(1);
+        
+        return `⛽ Est. Network Fee: *${parseFloat(gasFee.fee).toFixed(6)} ${nativeSymbol}*${usd}, ${preset}` +
+            `${gasFee.estimated ? '' : `, ${fallbackNote}`}\n`;
+    }
+
+    /**
+     * USD price of the native currency, from its WMON/USDC pool
+     * @private
+     * @returns {Promise<number|null>} - Price, or null when unavailable
+     */
+    async _getNativeUsdPrice(network) {
+        if (network !== 'MONAD') {
+            return null;
+        }
+        
+        const { addresses, tokens } = NETWORKS.MONAD;
+        return this.tokenPrices.getTokenPrice(addresses.WETH, tokens.USDC.address, 18, tokens.USDC.decimals);
+    }
+
+    /**
+     * Build the gas settings screen: the current fees of each preset, with buttons to pick a preset,
+     * enter custom fees (gas_custom) or change the gas limit buffer
+     * @param {string} userId - Telegram user ID
+     * @param {string} network - Network key
+     * @returns {Promise<object>} - { message, keyboard }
+     */
+    async getGasSettingsView(userId, network = 'MONAD') {
+        const integration = this.getIntegration(network, userId);
+        if (!integration.gas) {
+            return { message: `❌ Gas settings are not available on ${NETWORKS[network].name} yet.`, keyboard: null };
+        }
+        
+        const settings = this.userPreferences.getGasSettings(userId);
+        const nativeSymbol = NETWORKS[network].nativeCurrency;
+        const [fees, usdPrice] = await Promise.all([integration.gas.getPresetFees(), this._getNativeUsdPrice(network)]);
+        const gwei = wei => parseFloat(ethers.formatUnits(wei, 'gwei')).toFixed(2);
+        
+        // Cost of a typical swap at each preset
+        const swapCost = priorityFee => {
+            const cost = parseFloat(ethers.formatEther(BigInt(BOT_CONFIG.DEFAULT_GAS_LIMIT) * (fees.baseFee + priorityFee)));
+            return `${cost.toFixed(6)} ${nativeSymbol}${usdPrice ? ` (~$${(cost * usdPrice).toFixed(4)})` : ''}`;
+        };
+        
+        let message = `⛽ *GAS SETTINGS*\n`;
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+        message += `Base fee: ${gwei(fees.baseFee)} gwei\n\n`;
+        message += `🐢 *Slow*: tip ${gwei(fees.slow.maxPriorityFeePerGas)} gwei, ~${swapCost(fees.slow.maxPriorityFeePerGas)} per swap\n`;
+        message += `🚗 *Normal*: tip ${gwei(fees.normal.maxPriorityFeePerGas)} gwei, ~${swapCost(fees.normal.maxPriorityFeePerGas)} per swap\n`;
+        message += `🚀 *Fast*: tip ${gwei(fees.fast.maxPriorityFeePerGas)} gwei, ~${swapCost(fees.fast.maxPriorityFeePerGas)} per swap\n`;
+        if (settings.preset === 'custom') {
+            message += `✏️ *Custom*: max fee ${settings.maxFeeGwei} gwei, tip ${settings.priorityFeeGwei} gwei\n`;
+        }
+        message += `\nCurrent: *${settings.preset.charAt(0).toUpperCase() + settings.preset.slice(1)}*, gas limit buffer *${settings.limitMultiplier}x*\n`;
+        message += `_Per-swap fees assume a ${BOT_CONFIG.DEFAULT_GAS_LIMIT} gas limit. The buffer is added to every gas estimate; ` +
+            `Monad charges the full gas limit, so a larger buffer costs more._`;
+        
+        const mark = (selected, label) => `${selected ? '✅ ' : ''}${label}`;
+        const keyboard = Markup.inlineKeyboard([
+            ['slow', 'normal', 'fast'].map(preset =>
+                Markup.button.callback(mark(settings.preset === preset, preset.charAt(0).toUpperCase() + preset.slice(1)), `gas_preset_${preset}`)),
+            [Markup.button.callback(mark(settings.preset === 'custom', '✏️ Custom Fees'), 'gas_custom')],
+            [1.1, 1.2, 1.5, 2].map(multiplier =>
+                Markup.button.callback(mark(settings.limitMultiplier === multiplier, `${multiplier}x`), `gas_limit_${multiplier}`))
+        ]);
+        
+        return { message, keyboard };
+    }
+
+    /**
+     * Warn when the user's custom max fee is below the current base fee, since such transactions are never mined
+     * @param {string} userId - Telegram user ID
+     * @param {string} network - Network key
+     * @returns {Promise<string>} - Warning line, or '' when the max fee covers the base fee or it is unknown
+     */
+    async getCustomFeeWarning(userId, network = 'MONAD') {
+        const settings = this.userPreferences.getGasSettings(userId);
+        const integration = this.getIntegration(network, userId);
+        if (settings.preset !== 'custom' || !integration.gas) {
+            return '';
+        }
+        
+        try {
+            const { baseFee } = await integration.gas.getPresetFees();
+            const maxFee = ethers.parseUnits(String(settings.maxFeeGwei), 'gwei');
+            if (maxFee >= baseFee) {
+                return '';
+            }
+            return `⚠️ Your max fee is below the current base fee of ${parseFloat(ethers.formatUnits(baseFee, 'gwei')).toFixed(2)} gwei. ` +
+                'Transactions will wait until the base fee drops that low, and may never be mined.';
+        } catch (error) {
+            console.error('Error checking the custom max fee:', error.message);
+            return '';
+        }
+    }
+
+    /**
+     * Format a price impact line, flagged when it is high
+     * @private
+     * @param {number|null} priceImpact - Price impact percentage from getSwapQuote
+     * @returns {string} - Markdown line, or '' when the impact is unknown
+     */
+    _formatPriceImpact(priceImpact) {
+        if (priceImpact === null || priceImpact === undefined) {
+            return '';
+        }
+        
+        return priceImpact > BOT_CONFIG.HIGH_PRICE_IMPACT_PERCENT
+            ? `⚠️ Price Impact: *${priceImpact.toFixed(2)}%* (high)\n`
+            : `Price Impact: ${priceImpact.toFixed(2)}%\n`;
+    }
+
+    /**
+     * Show the transfer taxes detected for the tokens of a quote
+     * @private
+     * @param {object} quote - Result of getSwapQuote
+     * @returns {string} - Markdown lines, or '' when neither token is taxed
+     */
+    _formatTransferTax(quote) {
+        const tax = quote.transferTax;
+        if (!tax) {
+            return '';
+        }
+        
+        let message = '';
+        if (tax.buyTax > 0) {
+            message += `🧾 Buy Tax (${this.escapeMarkdown(quote.toToken)}): *${tax.buyTax}%*\n`;
+        } else if (tax.buyTax === null && quote.toToken !== 'MON') {
+            message += `⚠️ Could not simulate buying ${this.escapeMarkdown(quote.toToken)}, its tax is unknown\n`;
+        }
+        
+        if (tax.sellTax > 0) {
+            message += `🧾 Sell Tax (${this.escapeMarkdown(quote.fromToken)}): *${tax.sellTax}%*\n`;
+        } else if (tax.sellTaxed) {
+            message += `🧾 Sell Tax (${this.escapeMarkdown(quote.fromToken)}): taxed token, measured when you swap\n`;
+        }
+        
+        return message;
+    }
+
+    /**
+     * Compare the output of each venue for a quote, marking the one the swap will use
+     * @private
+     * @param {object} quote - Result of getSwapQuote
+     * @returns {string} - Markdown line, or '' when only one venue could quote
+     */
+    _formatVenueComparison(quote) {
+        if (!quote.venues || !quote.venues.V2 || !quote.venues.V3) {
+            return '';
+        }
+        
+        const entries = ['V2', 'V3'].map(venue => {
+            const output = `${venue}: ${parseFloat(quote.venues[venue]).toFixed(6)}`;
+            return venue === quote.venue ? `*${output}* ✅` : output;
+        });
+        
+        return `Venues: ${entries.join(' vs ')}\n`;
+    }
+
     /**
      * Format swap quote for display based on the network
      */
@@ -343,12 +879,18 @@ class TelegramCommands {
             
             let message = `*Swap Quote*\n\n`;
             message += `From: *${amount} ${fromToken}*\n`;
-            message += `To: *${quote.toToken.amount} ${toToken}*\n\n`;
+            message += `To: *${quote.toAmount} ${toToken}*\n`;
+            if (quote.toAmountAfterTax !== quote.toAmount) {
+                message += `After Tax: *~${quote.toAmountAfterTax} ${toToken}*\n`;
+            }
+            message += `Route: ${quote.route}\n`;
+            message += this._formatVenueComparison(quote);
+            message += `${this._formatTransferTax(quote)}\n`;
             
             // Get USD values if possible
             try {
                 const fromUsdValue = await this.tokenPrices.getUsdValue(fromToken, amount, network);
-                const toUsdValue = await this.tokenPrices.getUsdValue(toToken, quote.toToken.amount, network);
+                const toUsdValue = await this.tokenPrices.getUsdValue(toToken, quote.toAmount, network);
                 
                 if (fromUsdValue && toUsdValue) {
                     message += `USD Value: $${fromUsdValue.toFixed(2)} → $${toUsdValue.toFixed(2)}\n\n`;
@@ -357,15 +899,8 @@ class TelegramCommands {
                 console.error('Error getting USD values:', error);
             }
             
-            // Calculate price impact if possible
-            try {
-                const priceImpact = ((1 - (toUsdValue / fromUsdValue)) * 100).toFixed(2);
-                if (!isNaN(priceImpact) && priceImpact > 0) {
-                    message += `Price Impact: ${priceImpact}%\n\n`;
-                }
-            } catch (error) {
-                // Ignore price impact calculation errors
-            }
+            // Price impact from the pool reserves along the route
+            message += this._formatPriceImpact(quote.priceImpact);
             
             return message;
         } catch (error) {
@@ -413,13 +948,17 @@ class TelegramCommands {
 
     /**
      * Swap tokens based on the network
+     * @param {object} options - { pin, exactOutput, onProgress } spending PIN, whether amount is the exact output to buy,
+     *   and a callback receiving each swap stage (stage, message, data)
      */
-    async executeSwap(userId, fromToken, toToken, amount, slippage = 0.5, fromTokenSymbol, toTokenSymbol, network = 'MONAD') {
+    async executeSwap(userId, fromToken, toToken, amount, slippage = 0.5, fromTokenSymbol, toTokenSymbol, network = 'MONAD', options = {}) {
         try {
-            // Get the user's integration for the selected network
-            const integration = this.getIntegration(network, userId);
-            if (!integration) {
-                return { success: false, message: 'Error: Could not initialize wallet connection. Please try again.' };
+            // Get the user's signing integration for the selected network
+            let integration;
+            try {
+                integration = this.getSigningIntegration(network, userId, options.pin);
+            } catch (error) {
+                return this._pinFailure(error) || { success: false, message: `Error: Could not initialize wallet connection. ${error.message}` };
             }
             
             // Check native currency for the network
@@ -438,194 +977,35 @@ class TelegramCommands {
                 return { success: false, message: `Error: Could not resolve token addresses. ${error.message}` };
             }
 
-            // Check if we're swapping native MON to a token
-            if (fromTokenSymbol === nativeCurrency) {
-                console.log(`Swapping native ${nativeCurrency} for token`);
-                
-                // Define progress callback for real-time updates
-                const progressUpdates = [];
-                const progressCallback = (stage, message, data) => {
-                    console.log(`[${stage}] ${message}`);
-                    progressUpdates.push({ stage, message, data });
-                };
-                
-                try {
-                    // Execute the swap with progress callback
-                    const result = await integration.swapMonadForToken(
-                        toTokenAddress, 
-                        amount, 
-                        slippage,
-                        progressCallback
-                    );
-                    
-                    // Safety check for result structure
-                    if (!result) {
-                        throw new Error('Swap returned empty result');
-                    }
-                    
-                    // Make sure result.amountOut exists and has formatted property
-                    let outputAmount = 'Unknown amount';
-                    if (result.amountOut && typeof result.amountOut === 'object' && 'formatted' in result.amountOut) {
-                        outputAmount = result.amountOut.formatted;
-                    } else if (result.toAmount) {
-                        outputAmount = result.toAmount;
-                    }
-                                         
-                    // Make sure result.priceImpact exists
-                    let priceImpact = 'Unknown';
-                    if (result.priceImpact !== undefined && result.priceImpact !== null) {
-                        // Check if priceImpact is a number and has toFixed method
-                        if (typeof result.priceImpact === 'number' || 
-                            (typeof result.priceImpact === 'object' && 'toFixed' in result.priceImpact)) {
-                            priceImpact = result.priceImpact.toFixed(2) + '%';
-                        } else {
-                            priceImpact = result.priceImpact.toString() + '%';
-                        }
-                    }
-                    
-                    // Format successful result safely
-                    const successMessage = 
-                        `✅ *Swap Successful*\n\n` +
-                        `Swapped ${amount} ${nativeCurrency} for ${outputAmount} ${toTokenSymbol}\n\n` +
-                        `💰 *Transaction Details*\n` +
-                        `• Price Impact: ${priceImpact}\n` +
-                        `• Gas Used: ${result.transactionFee?.gas || 'Unknown'}\n` +
-                        `• Gas Price: ${result.transactionFee?.gasPrice || 'Unknown'}\n` +
-                        `• Total Fee: ${result.transactionFee?.total || 'Unknown'}\n\n` +
-                        `[View on Explorer](${result.explorerUrl || 'https://testnet.monadexplorer.com/'})`;
-                    
-                    return { 
-                        success: true, 
-                        message: successMessage,
-                        txData: result,
-                        progressUpdates
-                    };
-                } catch (error) {
-                    console.error('Error during swap:', error);
-                    return { 
-                        success: false, 
-                        message: `Error: ${error.message}`,
-                        progressUpdates
-                    };
-                }
-            } 
-            // Check if we're swapping a token to native MON
-            else if (toTokenSymbol === nativeCurrency) {
-                console.log(`Swapping token for native ${nativeCurrency}`);
-                
-                try {
-                    // Execute token to MON swap
-                    const result = await integration.swapTokenForMonad(
-                        fromTokenAddress,
-                        amount,
-                        slippage
-                    );
-                    
-                    // Safety check for result
-                    if (!result) {
-                        throw new Error('Swap returned empty result');
-                    }
-                    
-                    // Make sure the formatted output is available with safer checks
-                    let outputAmount = 'Unknown amount';
-                    if (result.amountOut && typeof result.amountOut === 'object' && 'formatted' in result.amountOut) {
-                        outputAmount = result.amountOut.formatted;
-                    } else if (result.toAmount) {
-                        outputAmount = result.toAmount;
-                    }
-                    
-                    // Make sure priceImpact is valid with safer checks
-                    let priceImpact = 'Unknown';
-                    if (result.priceImpact !== undefined && result.priceImpact !== null) {
-                        if (typeof result.priceImpact === 'number' || 
-                            (typeof result.priceImpact === 'object' && 'toFixed' in result.priceImpact)) {
-                            priceImpact = result.priceImpact.toFixed(2) + '%';
-                        } else {
-                            priceImpact = result.priceImpact.toString() + '%';
-                        }
-                    }
-                    
-                    // Format successful result with safe property access
-                    const successMessage = 
-                        `✅ *Swap Successful*\n\n` +
-                        `Swapped ${amount} ${fromTokenSymbol} for ${outputAmount} ${nativeCurrency}\n\n` +
-                        `💰 *Transaction Details*\n` +
-                        `• Price Impact: ${priceImpact}\n` +
-                        `• Gas Used: ${result.transactionFee?.gas || 'Unknown'}\n` +
-                        `• Gas Price: ${result.transactionFee?.gasPrice || 'Unknown'}\n` +
-                        `• Total Fee: ${result.transactionFee?.total || 'Unknown'}\n\n` +
-                        `[View on Explorer](${result.explorerUrl || 'https://testnet.monadexplorer.com/'})`;
-                    
-                    return { 
-                        success: true, 
-                        message: successMessage,
-                        txData: result
-                    };
-                } catch (error) {
-                    console.error('Error during swap:', error);
-                    return { 
-                        success: false, 
-                        message: `Error: ${error.message}`
-                    };
+            // One call per direction; "buy exactly N" swaps treat amount as the output and bound the input
+            const progressCallback = options.onProgress || null;
+            try {
+                let result;
+                if (fromTokenSymbol === nativeCurrency) {
+                    result = options.exactOutput
+                        ? await integration.swapMonadForExactToken(toTokenAddress, amount, slippage, progressCallback)
+                        : await integration.swapMonadForToken(toTokenAddress, amount, slippage, progressCallback);
+                } else if (toTokenSymbol === nativeCurrency) {
+                    result = options.exactOutput
+                        ? await integration.swapTokenForExactMonad(fromTokenAddress, amount, slippage, progressCallback)
+                        : await integration.swapTokenForMonad(fromTokenAddress, amount, slippage, progressCallback);
+                } else {
+                    result = options.exactOutput
+                        ? await integration.swapTokenForExactToken(fromTokenAddress, toTokenAddress, amount, slippage, progressCallback)
+                        : await integration.swapTokenForToken(fromTokenAddress, toTokenAddress, amount, slippage, progressCallback);
                 }
-            } 
-            // Token to token swap
-            else {
-                console.log(`Swapping token for token: ${fromTokenSymbol} -> ${toTokenSymbol}`);
                 
-                try {
-                    // Execute token to token swap
-                    const result = await integration.swapTokenForToken(
-                        fromTokenAddress,
-                        toTokenAddress,
-                        amount,
-                        slippage
-                    );
-                    
-                    // Safety check for result
-                    if (!result) {
-                        throw new Error('Swap returned empty result');
-                    }
-                    
-                    // Make sure toAmount exists with safer check
-                    const outputAmount = result.toAmount || 
-                                       (result.amountOut && result.amountOut.formatted ? 
-                                       result.amountOut.formatted : 'Unknown amount');
-                    
-                    // Safe check for priceImpact
-                    let priceImpact = 'Unknown';
-                    if (result.priceImpact !== undefined && result.priceImpact !== null) {
-                        if (typeof result.priceImpact === 'number' || 
-                            (typeof result.priceImpact === 'object' && 'toFixed' in result.priceImpact)) {
-                            priceImpact = result.priceImpact.toFixed(2) + '%';
-                        } else {
-                            priceImpact = result.priceImpact.toString() + '%';
-                        }
-                    }
-                    
-                    // Format successful result with safe property access
-                    const successMessage = 
-                        `✅ *Swap Successful*\n\n` +
-                        `Swapped ${amount} ${fromTokenSymbol} for ${outputAmount} ${toTokenSymbol}\n\n` +
-                        `💰 *Transaction Details*\n` +
-                        `• Price Impact: ${priceImpact}\n` +
-                        `• Gas Used: ${result.transactionFee?.gas || 'Unknown'}\n` +
-                        `• Gas Price: ${result.transactionFee?.gasPrice || 'Unknown'}\n` +
-                        `• Total Fee: ${result.transactionFee?.total || 'Unknown'}\n\n` +
-                        `[View on Explorer](${result.explorerUrl || 'https://testnet.monadexplorer.com/'})`;
-                    
-                    return { 
-                        success: true, 
-                        message: successMessage,
-                        txData: result
-                    };
-                } catch (error) {
-                    console.error('Error during swap:', error);
-                    return { 
-                        success: false, 
-                        message: `Error: ${error.message}`
-                    };
-                }
+                return {
+                    success: true,
+                    message: this.formatSwapReceipt(result, slippage),
+                    txData: result
+                };
+            } catch (error) {
+                console.error('Error during swap:', error);
+                return {
+                    success: false,
+                    message: `Error: ${error.message}`
+                };
             }
         } catch (error) {
             console.error('Error in executeSwap:', error);
@@ -634,18 +1014,158 @@ class TelegramCommands {
     }
 
     /**
-     * Send tokens based on the network
+     * Format what a swap settled at compared with its quote
+     * @private
+     * @param {object} result - Swap result from MonadIntegration
+     * @returns {string} - Receipt lines, or '' when the receipt could not be decoded
+     */
+    _formatSettlement(result) {
+        const toToken = this.escapeMarkdown(result.toToken);
+        if (result.realizedSlippage === null || result.realizedSlippage === undefined) {
+            return result.quotedToAmount ? `• Received: ~${result.toAmount} ${toToken} (quoted, receipt not decoded)\n` : '';
+        }
+        
+        return `• Quoted: ${result.quotedToAmount} ${toToken}\n` +
+            `• Realized Slippage: ${result.realizedSlippage.toFixed(2)}%\n` +
+            (result.executionPrice ? `• Execution Price: ${this.escapeMarkdown(result.executionPrice)}\n` : '');
+    }
+
+    /**
+     * Record a swap stage reported through executeSwap's onProgress callback
+     * @param {object} progress - Progress state, start with {}
+     * @param {string} stage - Stage name (QUOTE, APPROVE, GAS, ...)
+     * @param {string} message - Latest status text
+     * @returns {object} - The updated progress state
+     */
+    trackSwapProgress(progress, stage, message) {
+        progress.warnings = progress.warnings || [];
+        
+        const stepIndex = SWAP_PROGRESS_STEPS.findIndex(step => step.stage === stage);
+        if (stepIndex > (progress.stepIndex ?? -1)) {
+            progress.stepIndex = stepIndex;
+        }
+        if (stage === 'WARNING') {
+            progress.warnings.push(message);
+        }
+        
+        progress.stage = stage;
+        progress.message = message;
+        return progress;
+    }
+
+    /**
+     * Render the swap progress message as a checklist of stages
+     * @param {object} progress - Progress state from trackSwapProgress
+     * @returns {string} - Markdown message
      */
-    async sendTokens(userId, token, recipient, amount, network = 'MONAD') {
+    formatSwapProgress(progress) {
+        const current = progress.stepIndex ?? -1;
+        const confirmed = progress.stage === 'CONFIRMED';
+        
+        let message = `💱 *Swap Progress*\n\n`;
+        SWAP_PROGRESS_STEPS.forEach((step, index) => {
+            let icon = '⬜';
+            if (index < current || confirmed) {
+                icon = '✅';
+            } else if (index === current) {
+                icon = '⏳';
+            }
+            message += `${icon} ${step.label}\n`;
+        });
+        
+        if (progress.message) {
+            message += `\n${this.escapeMarkdown(progress.message)}\n`;
+        }
+        for (const warning of progress.warnings || []) {
+            message += `⚠️ ${this.escapeMarkdown(warning)}\n`;
+        }
+        
+        return message;
+    }
+
+    /**
+     * Format the receipt of a completed swap
+     * @param {object} result - Swap receipt from MonadIntegration
+     * @param {number} slippage - Slippage tolerance the swap used
+     * @returns {string} - Markdown message
+     */
+    formatSwapReceipt(result, slippage) {
+        const priceImpact = typeof result.priceImpact === 'number' ? `${result.priceImpact.toFixed(2)}%` : 'Unknown';
+        // Token contracts choose their own symbols, which the route repeats, so both are escaped
+        const fromToken = this.escapeMarkdown(result.fromToken);
+        const toToken = this.escapeMarkdown(result.toToken);
+        
+        let message = `✅ *Swap Successful*\n\n`;
+        message += result.exactOutput
+            ? `Bought exactly ${result.toAmount} ${toToken} for ${result.fromAmount} ${fromToken}\n\n`
+            : `Swapped ${result.fromAmount} ${fromToken} for ${result.toAmount} ${toToken}\n\n`;
+        
+        message += `💰 *Transaction Details*\n`;
+        message += result.route ? `• Route: ${this.escapeMarkdown(result.route)}\n` : '';
+        if (result.exactOutput) {
+            message += `• Quoted Input: ${result.quotedFromAmount} ${fromToken}\n`;
+            message += `• Max Input (${slippage}% slippage): ${result.maxFromAmount} ${fromToken}\n`;
+            message += result.executionPrice ? `• Execution Price: ${this.escapeMarkdown(result.executionPrice)}\n` : '';
+        } else {
+            message += this._formatSettlement(result);
+        }
+        message += `• Price Impact: ${priceImpact}\n`;
+        message += `• Gas Used: ${result.transactionFee?.gas || 'Unknown'}\n`;
+        message += `• Total Fee: ${result.transactionFee?.total || 'Unknown'}\n\n`;
+        message += `[View on Explorer](${result.explorerUrl})`;
+        
+        return message;
+    }
+
+    /**
+     * Build the confirmation screen of a transfer, with its estimated network fee in the native currency and USD
+     * @param {string} userId - Telegram user ID
+     * @param {string} token - Token symbol or address
+     * @param {string} recipient - Recipient address
+     * @param {string} amount - Amount in token units
+     * @param {string} network - Network key
+     * @returns {Promise<object>} - { message, keyboard } with confirm_send and cancel_send buttons
+     */
+    async getSendPreview(userId, token, recipient, amount, network = 'MONAD') {
+        const nativeSymbol = NETWORKS[network].nativeCurrency;
+        let message = `📤 *Confirm Transfer*\n\n`;
+        message += `Token: *${this.escapeMarkdown(token)}*\n`;
+        message += `Amount: *${this.escapeMarkdown(amount)}*\n`;
+        message += `To: \`${recipient}\`\n`;
+
         try {
-            const wallet = this.walletManager.getWalletDetails(userId);
-            if (!wallet || !wallet.privateKey) {
-                throw new Error('Wallet not found. Please create or import a wallet first.');
+            const integration = this.getIntegration(network, userId);
+            if (typeof integration.estimateTransferFee === 'function') {
+                const tokenAddress = await this._getTokenAddress(token, network);
+                const native = tokenAddress === 'native' || token.toUpperCase() === nativeSymbol;
+                const gasFee = await integration.estimateTransferFee(native ? 'native' : tokenAddress, recipient, amount);
+                message += await this._formatGasFee({ gasFee }, network, 'default gas limit, the transfer could not be estimated');
             }
-            
+        } catch (error) {
+            console.error('Error estimating transfer fee:', error.message);
+            message += `⚠️ Could not estimate the network fee right now.\n`;
+        }
+
+        return {
+            message,
+            keyboard: Markup.inlineKeyboard([
+                [
+                    Markup.button.callback('✅ Confirm', 'confirm_send'),
+                    Markup.button.callback('❌ Cancel', 'cancel_send')
+                ]
+            ])
+        };
+    }
+
+    /**
+     * Send tokens based on the network
+     * @param {object} options - { pin } spending PIN for PIN-protected wallets
+     */
+    async sendTokens(userId, token, recipient, amount, network = 'MONAD', options = {}) {
+        try {
             const networkConfig = NETWORKS[network];
             const nativeSymbol = networkConfig.nativeCurrency;
-            const integration = this.getIntegration(network, userId);
+            const integration = this.getSigningIntegration(network, userId, options.pin);
             
             console.log(`Sending ${amount} ${token} to ${recipient}`);
             
@@ -684,6 +1204,11 @@ class TelegramCommands {
                 throw new Error('Transfer failed or returned invalid result');
             }
         } catch (error) {
+            const pinFailure = this._pinFailure(error);
+            if (pinFailure) {
+                return pinFailure;
+            }
+            
             console.error('Error sending tokens:', error);
             return {
                 success: false,
@@ -692,6 +1217,284 @@ class TelegramCommands {
         }
     }
 
+    /**
+     * Build the approvals screen: every allowance the active wallet has granted, with a revoke button each
+     * @param {string} userId - Telegram user ID
+     * @param {string} network - Network key
+     * @returns {Promise<object>} - { message, keyboard, approvals } where button i revokes approvals[i]
+     *   through the approval_revoke_<i> callback
+     */
+    async getApprovalsView(userId, network = 'MONAD') {
+        const integration = this.getIntegration(network, userId);
+        if (!integration.approvals) {
+            return { message: `❌ Token approvals are not available on ${NETWORKS[network].name} yet.`, keyboard: null, approvals: [] };
+        }
+        
+        const { scannedBlocks, approvals } = await integration.approvals.getApprovals();
+        const approvalMode = this.userPreferences.getApprovalMode(userId);
+        
+        let message = `🔓 *TOKEN APPROVALS*\n`;
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+        
+        if (approvals.length === 0) {
+            message += `No outstanding approvals found for \`${integration.wallet.address}\`.\n\n`;
+        }
+        
+        approvals.forEach((approval, index) => {
+            const spender = approval.spenderLabel || `${approval.spender.slice(0, 6)}...${approval.spender.slice(-4)}`;
+            const allowance = approval.unlimited
+                ? '⚠️ Unlimited'
+                : `${parseFloat(ethers.formatUnits(approval.allowance, approval.decimals)).toFixed(4)} ${this.escapeMarkdown(approval.symbol)}`;
+            
+            message += `${index + 1}. *${this.escapeMarkdown(approval.symbol)}* → ${spender}\n`;
+            message += `Spender: \`${approval.spender}\`\n`;
+            message += `Allowance: ${allowance}\n\n`;
+        });
+        
+        message += `Approval mode: *${approvalMode === 'unlimited' ? 'Unlimited' : 'Exact'}* (change it with ✅ Approval Mode in ⚙️ Settings)\n`;
+        message += scannedBlocks
+            ? `_Spenders found in the last ${scannedBlocks} blocks, plus the routers for listed tokens._`
+            : `_Approval logs could not be scanned; only the routers were checked for listed tokens._`;
+        
+        const buttons = approvals.map((approval, index) => [
+            Markup.button.callback(`🚫 Revoke ${index + 1}. ${approval.symbol} → ${approval.spenderLabel || approval.spender.slice(0, 10)}`, `approval_revoke_${index}`)
+        ]);
+        buttons.push([Markup.button.callback('🔄 Refresh', 'approvals_refresh')]);
+        
+        return { message, keyboard: Markup.inlineKeyboard(buttons), approvals };
+    }
+
+    /**
+     * Build the approval mode picker
+     * @param {string} userId - Telegram user ID
+     * @returns {object} - { message, keyboard } with approval_mode_exact / approval_mode_unlimited buttons
+     */
+    getApprovalModeView(userId) {
+        const approvalMode = this.userPreferences.getApprovalMode(userId);
+        
+        let message = `✅ *APPROVAL MODE*\n`;
+        message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+        message += `*Exact*: each swap approves only the amount it spends. Safer, but selling a token again needs a new approval.\n\n`;
+        message += `*Unlimited*: the first swap of a token approves the router for any amount, so later swaps skip the approval. ` +
+            `If the router were ever compromised, it could take all of that token.\n\n`;
+        message += `Current mode: *${approvalMode === 'unlimited' ? 'Unlimited' : 'Exact'}*\n`;
+        message += `Use /approvals to review and revoke existing approvals.`;
+        
+        const keyboard = Markup.inlineKeyboard([
+            [
+                Markup.button.callback(`${approvalMode === 'exact' ? '✅ ' : ''}Exact`, 'approval_mode_exact'),
+                Markup.button.callback(`${approvalMode === 'unlimited' ? '✅ ' : ''}Unlimited`, 'approval_mode_unlimited')
+            ]
+        ]);
+        
+        return { message, keyboard };
+    }
+
+    /**
+     * Revoke an allowance of the user's active wallet
+     * @param {object} options - { pin } spending PIN for PIN-protected wallets
+     * @returns {Promise<object>} - { success, message, code }
+     */
+    async revokeApproval(userId, tokenAddress, spender, network = 'MONAD', options = {}) {
+        try {
+            const integration = this.getSigningIntegration(network, userId, options.pin);
+            if (!integration.revokeApproval) {
+                throw new Error(`Revoking approvals is not available on ${NETWORKS[network].name} yet`);
+            }
+            
+            const result = await integration.revokeApproval(tokenAddress, spender);
+            if (result.status !== 'success') {
+                throw new Error('Revoke transaction failed on-chain');
+            }
+            
+            let message = `✅ *Approval Revoked*\n\n`;
+            message += `Token: \`${tokenAddress}\`\n`;
+            message += `Spender: \`${spender}\`\n\n`;
+            message += `[View Transaction](${result.explorerUrl})`;
+            
+            return { success: true, message, txData: result };
+        } catch (error) {
+            const pinFailure = this._pinFailure(error);
+            if (pinFailure) {
+                return pinFailure;
+            }
+            
+            console.error('Error revoking approval:', error);
+            return { success: false, message: `Error: ${error.message}` };
+        }
+    }
+
+    /**
+     * Check every pending transaction: settled ones are forgotten, and those pending for longer than
+     * BOT_CONFIG.PENDING_TX_STUCK_SECONDS are flagged once with Speed Up / Cancel buttons.
+     * The outcome is only reported for transactions nothing else is waiting on (flagged, replaced
+     * from the chat, or left from before a restart)
+     * @returns {Promise<Array<object>>} - Messages to post: [{ userId, message, keyboard }]
+     */
+    async checkPendingTransactions() {
+        const notifications = [];
+        
+        for (const entry of pendingTransactions.getAll()) {
+            let status;
+            try {
+                const integration = this._createIntegration(entry.network, null, { address: entry.from });
+                status = await integration.getTransactionStatus(entry);
+            } catch (error) {
+                console.error(`Error checking pending transaction ${entry.id}:`, error.message);
+                continue;
+            }
+            
+            if (status.status === 'pending') {
+                if (!entry.flagged && Date.now() - entry.sentAt >= BOT_CONFIG.PENDING_TX_STUCK_SECONDS * 1000) {
+                    pendingTransactions.update(entry.id, { flagged: true, notify: true });
+                    notifications.push({ userId: entry.userId, ...this.getPendingTransactionView(entry) });
+                }
+                continue;
+            }
+            
+            console.log(`Pending transaction ${entry.id} (nonce ${entry.nonce}) is ${status.status}`);
+            pendingTransactions.remove(entry.id);
+            if (entry.notify) {
+                notifications.push({ userId: entry.userId, message: this._formatSettledTransaction(entry, status), keyboard: null });
+            }
+        }
+        
+        return notifications;
+    }
+
+    /**
+     * Build the message about a pending transaction, with buttons to speed it up (tx_speedup_<id>)
+     * or cancel it (tx_cancel_<id>). A transaction already being cancelled can only be sped up
+     * @param {object} entry - Pending transaction (see pendingTransactions)
+     * @returns {object} - { message, keyboard }
+     */
+    getPendingTransactionView(entry) {
+        const network = NETWORKS[entry.network];
+        const latestHash = entry.hashes[entry.hashes.length - 1];
+        const minutes = Math.max(1, Math.round((Date.now() - entry.sentAt) / 60000));
+        const gwei = wei => parseFloat(ethers.formatUnits(wei, 'gwei')).toFixed(2);
+        
+        let message = `⏳ *Transaction Pending*\n\n`;
+        message += `*${this.escapeMarkdown(entry.label)}* has been pending for ${minutes} min.\n`;
+        if (entry.replacedWith) {
+            message += `${entry.replacedWith === 'cancel' ? 'Cancel' : 'Speed-up'} sent, waiting for it to be mined.\n`;
+        }
+        message += `Nonce: ${entry.nonce}\n`;
+        message += `Max fee: ${gwei(entry.maxFeePerGas)} gwei (priority ${gwei(entry.maxPriorityFeePerGas)} gwei)\n`;
+        message += `[View Transaction](${network.blockExplorerUrl}/tx/${latestHash})\n\n`;
+        message += `_⚡ Speed Up resends it with higher fees. 🚫 Cancel replaces it with an empty transfer to yourself, ` +
+            `which only works if it is mined first._`;
+        
+        const buttons = [Markup.button.callback('⚡ Speed Up', `tx_speedup_${entry.id}`)];
+        if (entry.replacedWith !== 'cancel') {
+            buttons.push(Markup.button.callback('🚫 Cancel', `tx_cancel_${entry.id}`));
+        }
+        
+        return { message, keyboard: Markup.inlineKeyboard([buttons]) };
+    }
+
+    /**
+     * Get the user's transactions that are still pending on chain
+     * @param {string} userId - Telegram user ID
+     * @returns {Promise<Array<object>>} - Pending transaction entries
+     */
+    async getPendingTransactions(userId) {
+        const entries = pendingTransactions.getForUser(userId);
+        const statuses = await Promise.all(entries.map(entry =>
+            this._createIntegration(entry.network, null, { address: entry.from }).getTransactionStatus(entry)
+                .catch(() => ({ status: 'pending' }))));
+        
+        // Settled ones are reported and forgotten by checkPendingTransactions
+        return entries.filter((entry, index) => statuses[index].status === 'pending');
+    }
+
+    /**
+     * Find the wallet that sent one of the user's pending transactions, which is the one that must sign its replacement
+     * @param {string} userId - Telegram user ID
+     * @param {string} id - Pending transaction id
+     * @returns {object|null} - Public wallet info (see walletManager.getWallet), or null if the transaction or wallet is gone
+     */
+    getPendingTransactionWallet(userId, id) {
+        const entry = pendingTransactions.get(id);
+        if (!entry || entry.userId !== userId) {
+            return null;
+        }
+        return this.walletManager.findWalletByAddress(userId, entry.from);
+    }
+
+    /**
+     * Speed up or cancel one of the user's pending transactions with the wallet that sent it
+     * @param {string} userId - Telegram user ID
+     * @param {string} id - Pending transaction id
+     * @param {boolean} cancel - Cancel instead of speeding up
+     * @param {object} options - { pin } spending PIN for PIN-protected wallets
+     * @returns {Promise<object>} - { success, message, code }
+     */
+    async replacePendingTransaction(userId, id, cancel, options = {}) {
+        const entry = pendingTransactions.get(id);
+        if (!entry || entry.userId !== userId) {
+            return { success: false, message: 'This transaction is no longer pending.' };
+        }
+        
+        const wallet = this.walletManager.findWalletByAddress(userId, entry.from);
+        if (!wallet) {
+            return { success: false, message: `The wallet that sent this transaction (${entry.from}) is no longer in this bot.` };
+        }
+        
+        try {
+            const integration = this.getSigningIntegration(entry.network, userId, options.pin, wallet.walletId);
+            const status = await integration.getTransactionStatus(entry);
+            if (status.status !== 'pending') {
+                return { success: false, message: `This transaction is no longer pending (${status.status}).` };
+            }
+            
+            const tx = await integration.replaceTransaction(entry, cancel);
+            const updated = pendingTransactions.addReplacement(id, tx, cancel ? 'cancel' : 'speedup');
+            
+            let message = cancel ? `🚫 *Cancel Sent*\n\n` : `⚡ *Speed-Up Sent*\n\n`;
+            message += `*${this.escapeMarkdown(updated.label)}* (nonce ${updated.nonce}) was ${cancel ? 'replaced by an empty transfer to yourself' : 'resent'} ` +
+                `with a max fee of ${parseFloat(ethers.formatUnits(updated.maxFeePerGas, 'gwei')).toFixed(2)} gwei.\n`;
+            message += `[View Transaction](${integration.getTransactionExplorerUrl(tx.hash)})\n\n`;
+            message += `You will get a message once it is mined.`;
+            
+            return { success: true, message };
+        } catch (error) {
+            const pinFailure = this._pinFailure(error);
+            if (pinFailure) {
+                return pinFailure;
+            }
+            
+            console.error('Error replacing pending transaction:', error);
+            const reason = error.code === 'REPLACEMENT_UNDERPRICED'
+                ? 'the node wants a higher fee to replace it. Try again in a moment.'
+                : error.message;
+            return { success: false, message: `Error: ${reason}` };
+        }
+    }
+
+    /**
+     * Format the outcome of a transaction that is no longer pending
+     * @private
+     */
+    _formatSettledTransaction(entry, status) {
+        const label = this.escapeMarkdown(entry.label);
+        const link = status.explorerUrl ? `\n[View Transaction](${status.explorerUrl})` : '';
+        
+        if (status.status === 'replaced') {
+            return `↪️ *Transaction Replaced*\n\n*${label}* (nonce ${entry.nonce}) will not be mined: ` +
+                `another transaction from this wallet used its nonce.`;
+        }
+        if (status.status === 'failed') {
+            return `❌ *Transaction Failed*\n\n*${label}* was mined in block ${status.blockNumber} but reverted.${link}`;
+        }
+        if (entry.cancelHashes.includes(status.hash)) {
+            return `🚫 *Transaction Cancelled*\n\n*${label}* was cancelled; the cancel transaction was mined in block ${status.blockNumber}.${link}`;
+        }
+        
+        const spedUp = status.hash !== entry.hashes[0] ? ' after being sped up' : '';
+        return `✅ *Transaction Confirmed*\n\n*${label}* was confirmed in block ${status.blockNumber}${spedUp}.${link}`;
+    }
+
     /**
      * Add a token to the watchlist based on the network
      */
@@ -959,6 +1762,15 @@ class TelegramCommands {
                 message += `Price: ${price ? '$' + price.toFixed(6) : 'Unknown'}\n\n`;
                 message += `Address: \`${tokenAddress}\`\n\n`;
                 
+                // Contract risk report (owner, privileged functions, proxy, holder concentration)
+                try {
+                    const risk = await new TokenRiskAnalyzer(integration.provider, networkConfig).analyze(tokenAddress, totalSupply);
+                    message += this._formatTokenRisk(risk, networkConfig);
+                } catch (error) {
+                    console.error('Error analysing token risk:', error);
+                    message += `⚠️ Risk report unavailable: ${this.escapeMarkdown(error.message)}\n\n`;
+                }
+                
                 // Add links
                 message += `[View on Explorer](${networkConfig.blockExplorerUrl}/token/${tokenAddress})`;
                 
@@ -984,6 +1796,49 @@ class TelegramCommands {
         }
     }
 
+    /**
+     * Format a token risk report for getTokenInfo
+     * @private
+     * @param {object} risk - Result of TokenRiskAnalyzer.analyze
+     * @param {object} networkConfig - Network config, for explorer links
+     * @returns {string} - Markdown section
+     */
+    _formatTokenRisk(risk, networkConfig) {
+        const yesNo = value => value ? '⚠️ Yes' : 'No';
+        const shorten = address => `${address.slice(0, 6)}...${address.slice(-4)}`;
+        
+        let message = `🛡 *Risk Report*\n`;
+        if (risk.owner === null) {
+            message += `Owner: none (no owner function)\n`;
+        } else if (risk.renounced) {
+            message += `Owner: renounced\n`;
+        } else {
+            message += `Owner: [${shorten(risk.owner)}](${networkConfig.blockExplorerUrl}/address/${risk.owner})\n`;
+        }
+        message += `Mint: ${yesNo(risk.functions.mint)} | Blacklist: ${yesNo(risk.functions.blacklist)} | Pause: ${yesNo(risk.functions.pause)}\n`;
+        message += risk.proxy
+            ? `Proxy: ⚠️ ${risk.proxy.type}, implementation \`${risk.proxy.implementation}\`\n`
+            : `Proxy: No\n`;
+        
+        if (risk.holders) {
+            message += `\n*Top Holders* (active in the last ${risk.holders.scannedBlocks} blocks)\n`;
+            risk.holders.top.forEach((holder, index) => {
+                const label = holder.label ? ` (${holder.label})` : '';
+                message += `${index + 1}. [${shorten(holder.address)}](${networkConfig.blockExplorerUrl}/address/${holder.address})${label}: ${holder.share.toFixed(2)}%\n`;
+            });
+            if (!risk.holders.top.length) {
+                message += `No recent transfers found\n`;
+            }
+        } else {
+            message += `Top Holders: could not scan transfer logs\n`;
+        }
+        
+        message += risk.risks.length
+            ? `\n${risk.risks.map(item => `⚠️ ${item}`).join('\n')}\n\n`
+            : `\n✅ No contract risks found\n\n`;
+        return message;
+    }
+
     /**
      * Get token options based on the network
      */
@@ -0,0 +1,239 @@
+const { ethers } = require('ethers');
+const { BOT_CONFIG, ERC20_ABI, FACTORY_V2_ABI } = require('../config');
+const { getLogsInChunks } = require('./logScanner');
+
+// EIP-1967 storage slots (keccak256 of the slot name minus one)
+const EIP1967_SLOTS = {
+    implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+    admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+    beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50'
+};
+
+// Runtime code of an EIP-1167 minimal proxy starts with this, followed by the implementation address
+const MINIMAL_PROXY_PREFIX = '0x363d3d373d3d3d363d73';
+
+// Functions whose selectors in the bytecode reveal a privileged capability
+const PRIVILEGED_FUNCTIONS = {
+    mint: ['mint(address,uint256)', 'mint(uint256)', 'mintTo(address,uint256)', 'issue(uint256)'],
+    blacklist: [
+        'blacklist(address)', 'addBlacklist(address)', 'addToBlacklist(address)', 'setBlacklist(address,bool)',
+        'blacklistAddress(address,bool)', 'isBlacklisted(address)', 'addBot(address)', 'setBots(address[],bool)'
+    ],
+    pause: ['pause()', 'unpause()', 'setPaused(bool)', 'paused()']
+};
+
+// Selectors appear in the dispatcher as PUSH4 (0x63) operands
+const PRIVILEGED_SELECTORS = Object.fromEntries(Object.entries(PRIVILEGED_FUNCTIONS).map(([capability, signatures]) => [
+    capability,
+    signatures.map(signature => `63${ethers.id(signature).slice(2, 10)}`)
+]));
+
+const OWNER_ABI = [
+    "function owner() view returns (address)",
+    "function getOwner() view returns (address)"
+];
+
+// Owners that can no longer act
+const BURN_ADDRESSES = [ethers.ZeroAddress, '0x000000000000000000000000000000000000dead'];
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+/**
+ * TokenRiskAnalyzer inspects a token contract for the usual rug-pull levers:
+ * an active owner, mint/blacklist/pause functions, an upgradeable proxy and
+ * supply concentrated in a few wallets
+ */
+class TokenRiskAnalyzer {
+    /**
+     * @param {object} provider - ethers provider
+     * @param {object} network - Network config (addresses.FACTORY and WETH label the main liquidity pair)
+     */
+    constructor(provider, network) {
+        this.provider = provider;
+        this.network = network;
+    }
+
+    /**
+     * Build the risk report of a token
+     * @param {string} tokenAddress - Token contract
+     * @param {BigInt} totalSupply - Token total supply, for holder shares
+     * @returns {Promise<object>} - { owner, renounced, functions: { mint, blacklist, pause }, proxy, holders, risks }.
+     *   owner is null when the contract has no owner function; proxy is { type, implementation, admin, beacon } or null;
+     *   holders is { scannedBlocks, top: [{ address, share, label }], concentration } or null when logs were unavailable
+     */
+    async analyze(tokenAddress, totalSupply) {
+        const [owner, proxy, holders] = await Promise.all([
+            this.getOwner(tokenAddress),
+            this.detectProxy(tokenAddress),
+            this.getTopHolders(tokenAddress, totalSupply).catch(error => {
+                console.warn(`Could not scan holders of ${tokenAddress}:`, error.message);
+                return null;
+            })
+        ]);
+
+        // Behind a proxy the functions live in the implementation
+        const code = await this.provider.getCode(proxy ? proxy.implementation : tokenAddress);
+        const functions = this.detectFunctions(code);
+        const renounced = owner !== null && BURN_ADDRESSES.includes(owner.toLowerCase());
+
+        const risks = [];
+        if (owner && !renounced) {
+            risks.push('Ownership is not renounced');
+        }
+        if (functions.mint) {
+            risks.push('Supply can be increased (mint function)');
+        }
+        if (functions.blacklist) {
+            risks.push('Wallets can be blacklisted');
+        }
+        if (functions.pause) {
+            risks.push('Transfers can be paused');
+        }
+        if (proxy) {
+            risks.push('Upgradeable: the contract code can be replaced');
+        }
+        if (holders && holders.concentration >= BOT_CONFIG.HOLDER_CONCENTRATION_PERCENT) {
+            risks.push(`Top holders own ${holders.concentration.toFixed(1)}% of the supply`);
+        }
+
+        return { owner, renounced, functions, proxy, holders, risks };
+    }
+
+    /**
+     * Read the owner through owner() or getOwner() (BEP-20)
+     * @param {string} tokenAddress - Token contract
+     * @returns {Promise<string|null>} - Owner address, or null when the contract exposes neither
+     */
+    async getOwner(tokenAddress) {
+        const contract = new ethers.Contract(tokenAddress, OWNER_ABI, this.provider);
+        for (const method of ['owner', 'getOwner']) {
+            try {
+                return await contract[method]();
+            } catch (error) {
+                // Not implemented, try the next one
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Look for privileged function selectors in runtime bytecode
+     * @param {string} code - Runtime bytecode
+     * @returns {object} - { mint, blacklist, pause } booleans
+     */
+    detectFunctions(code) {
+        const bytecode = code.toLowerCase();
+        return Object.fromEntries(Object.entries(PRIVILEGED_SELECTORS).map(([capability, selectors]) => [
+            capability,
+            selectors.some(selector => bytecode.includes(selector))
+        ]));
+    }
+
+    /**
+     * Detect EIP-1967 (including beacon) and EIP-1167 proxies
+     * @param {string} tokenAddress - Token contract
+     * @returns {Promise<object|null>} - { type, implementation, admin, beacon }, or null when the token is not a proxy
+     */
+    async detectProxy(tokenAddress) {
+        const [code, implementationSlot, adminSlot, beaconSlot] = await Promise.all([
+            this.provider.getCode(tokenAddress),
+            this.provider.getStorage(tokenAddress, EIP1967_SLOTS.implementation),
+            this.provider.getStorage(tokenAddress, EIP1967_SLOTS.admin),
+            this.provider.getStorage(tokenAddress, EIP1967_SLOTS.beacon)
+        ]);
+        const toAddress = slot => BigInt(slot) === 0n ? null : ethers.getAddress(ethers.dataSlice(slot, 12));
+
+        if (toAddress(implementationSlot)) {
+            return { type: 'EIP-1967', implementation: toAddress(implementationSlot), admin: toAddress(adminSlot), beacon: null };
+        }
+        if (toAddress(beaconSlot)) {
+            const beacon = new ethers.Contract(toAddress(beaconSlot), ["function implementation() view returns (address)"], this.provider);
+            return { type: 'EIP-1967 beacon', implementation: await beacon.implementation(), admin: null, beacon: toAddress(beaconSlot) };
+        }
+        if (code.toLowerCase().startsWith(MINIMAL_PROXY_PREFIX)) {
+            return { type: 'EIP-1167 minimal proxy', implementation: ethers.getAddress(ethers.dataSlice(code, 10, 30)), admin: null, beacon: null };
+        }
+        return null;
+    }
+
+    /**
+     * Find the largest holders among the recipients of recent Transfer logs.
+     * Burn addresses and the token's MON liquidity pair are labelled and left out of the concentration
+     * @param {string} tokenAddress - Token contract
+     * @param {BigInt} totalSupply - Token total supply
+     * @returns {Promise<object>} - { scannedBlocks, top: [{ address, share, label }], concentration }
+     */
+    async getTopHolders(tokenAddress, totalSupply) {
+        const latest = await this.provider.getBlockNumber();
+        const fromBlock = Math.max(0, latest - BOT_CONFIG.HOLDER_SCAN_BLOCKS);
+        const logs = await getLogsInChunks(
+            this.provider, { address: tokenAddress, topics: [TRANSFER_TOPIC] }, fromBlock, latest, BOT_CONFIG.HOLDER_SCAN_CHUNK_BLOCKS
+        );
+
+        // Rank recipients by how much they received, then read their current balances
+        const received = new Map();
+        for (const log of logs.filter(log => log.topics.length === 3)) {
+            const recipient = ethers.getAddress(ethers.dataSlice(log.topics[2], 12));
+            received.set(recipient, (received.get(recipient) || 0n) + BigInt(log.data === '0x' ? 0 : log.data));
+        }
+        const candidates = [...received.entries()]
+            .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0))
+            .slice(0, BOT_CONFIG.HOLDER_SCAN_CANDIDATES)
+            .map(([address]) => address);
+
+        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+        const balances = await Promise.all(candidates.map(address => tokenContract.balanceOf(address).catch(() => 0n)));
+        const pair = await this._getNativePair(tokenAddress);
+
+        const top = candidates
+            .map((address, index) => ({ address, balance: balances[index] }))
+            .filter(holder => holder.balance > 0n)
+            .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0))
+            .slice(0, 5)
+            .map(holder => ({
+                address: holder.address,
+                share: totalSupply > 0n ? Number(holder.balance * 10000n / totalSupply) / 100 : 0,
+                label: this._labelHolder(holder.address, tokenAddress, pair)
+            }));
+
+        const concentration = top
+            .filter(holder => holder.label !== 'burn' && holder.label !== 'liquidity pool')
+            .reduce((sum, holder) => sum + holder.share, 0);
+
+        return { scannedBlocks: latest - fromBlock, top, concentration };
+    }
+
+    /**
+     * @private
+     */
+    async _getNativePair(tokenAddress) {
+        if (!this.network.addresses?.FACTORY || !this.network.addresses?.WETH) {
+            return null;
+        }
+        try {
+            const factory = new ethers.Contract(this.network.addresses.FACTORY, FACTORY_V2_ABI, this.provider);
+            return await factory.getPair(tokenAddress, this.network.addresses.WETH);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _labelHolder(address, tokenAddress, pair) {
+        const holder = address.toLowerCase();
+        if (BURN_ADDRESSES.includes(holder)) {
+            return 'burn';
+        }
+        if (pair && holder === pair.toLowerCase()) {
+            return 'liquidity pool';
+        }
+        if (holder === tokenAddress.toLowerCase()) {
+            return 'token contract';
+        }
+        return null;
+    }
+}
+
+module.exports = TokenRiskAnalyzer;
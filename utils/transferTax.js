@@ -0,0 +1,164 @@
+const { ethers } = require('ethers');
+const { BOT_CONFIG } = require('../config');
+
+// Measurements are shared by every wallet: a token's tax does not depend on who trades it
+// tokenAddress (lowercase) -> { buyTax, sellTax, checkedAt }
+const taxCache = new Map();
+
+// Basis points of the quoted output; the binary search resolves the tax to 0.01%
+const FULL_OUTPUT_BPS = 10000n;
+
+/**
+ * TransferTaxDetector measures the buy and sell tax of fee-on-transfer tokens.
+ *
+ * It simulates the router's `...SupportingFeeOnTransferTokens` swaps with eth_call and
+ * binary-searches the highest `amountOutMin` that does not revert. Those router variants
+ * check the recipient's balance change, so that limit is what the wallet would really
+ * receive; its shortfall against getAmountsOut is the token's tax (rebasing tokens that
+ * shrink on transfer show up the same way).
+ */
+class TransferTaxDetector {
+    /**
+     * @param {object} integration - MonadIntegration whose router and wallet are used for the simulations
+     */
+    constructor(integration) {
+        this.integration = integration;
+    }
+
+    /**
+     * Tax taken when buying a token with MON, measured on a small probe amount
+     * @param {string} tokenAddress - Token to buy
+     * @returns {Promise<number|null>} - Tax percentage, or null when the buy could not be simulated
+     */
+    async detectBuyTax(tokenAddress) {
+        const cached = this._getCached(tokenAddress);
+        if (cached && cached.buyTax !== null) {
+            return cached.buyTax;
+        }
+
+        const { routerContract, network, wallet } = this.integration;
+        const probeAmount = ethers.parseEther(BOT_CONFIG.TAX_PROBE_AMOUNT_MON);
+
+        try {
+            const { path, amountOut } = await this.integration.findBestRoute(network.addresses.WETH, tokenAddress, probeAmount);
+            const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
+
+            const buyTax = await this.measureTax(amountOut, amountOutMin =>
+                routerContract.swapExactETHForTokensSupportingFeeOnTransferTokens.staticCall(
+                    amountOutMin, path, wallet.address, deadline, { value: probeAmount }
+                )
+            );
+
+            this._store(tokenAddress, { buyTax });
+            console.log(`Buy tax of ${tokenAddress}: ${buyTax}%`);
+            return buyTax;
+        } catch (error) {
+            console.warn(`Could not simulate a buy of ${tokenAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Tax taken when selling a token, measured by simulating the real sell.
+     * The wallet must hold the amount and have approved the V2 router for it. When the path
+     * ends in another token, that token's buy tax is included in the result, so only sells
+     * for MON are remembered as the token's sell tax.
+     * @param {string} tokenAddress - Token to sell
+     * @param {BigInt} amountIn - Amount being sold
+     * @param {Array<string>} path - V2 path ending in the token being bought
+     * @param {boolean} nativeOut - Whether the path ends in MON (unwrapped by the router)
+     * @returns {Promise<number|null>} - Tax percentage, or null when the sell could not be simulated
+     */
+    async detectSellTax(tokenAddress, amountIn, path, nativeOut = false) {
+        const { routerContract, wallet } = this.integration;
+        const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
+
+        try {
+            const amounts = await routerContract.getAmountsOut(amountIn, path);
+            const quotedOut = amounts[amounts.length - 1];
+            const method = nativeOut
+                ? 'swapExactTokensForETHSupportingFeeOnTransferTokens'
+                : 'swapExactTokensForTokensSupportingFeeOnTransferTokens';
+
+            const sellTax = await this.measureTax(quotedOut, amountOutMin =>
+                routerContract[method].staticCall(amountIn, amountOutMin, path, wallet.address, deadline)
+            );
+
+            if (nativeOut) {
+                this._store(tokenAddress, { sellTax });
+            }
+            console.log(`Sell tax of ${tokenAddress}: ${sellTax}%`);
+            return sellTax;
+        } catch (error) {
+            console.warn(`Could not simulate a sell of ${tokenAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Last known taxes of a token, without running new simulations
+     * @param {string} tokenAddress - Token address
+     * @returns {object} - { buyTax, sellTax } (null where never measured)
+     */
+    getKnownTaxes(tokenAddress) {
+        const cached = this._getCached(tokenAddress);
+        return {
+            buyTax: cached ? cached.buyTax : null,
+            sellTax: cached ? cached.sellTax : null
+        };
+    }
+
+    /**
+     * Find the share of the quoted output that a simulated swap fails to deliver
+     * @param {BigInt} quotedOut - Output predicted by getAmountsOut
+     * @param {function} simulate - Resolves when a swap with the given amountOutMin would succeed
+     * @returns {Promise<number>} - Tax percentage
+     */
+    async measureTax(quotedOut, simulate) {
+        // Untaxed tokens deliver the full quote, which costs a single call to confirm
+        try {
+            await simulate(quotedOut);
+            return 0;
+        } catch (error) {
+            // Taxed, or the swap cannot go through at all (checked next)
+        }
+
+        // Throws if even amountOutMin = 0 reverts: the token cannot be traded this way
+        await simulate(0n);
+
+        let low = 0n;
+        let high = FULL_OUTPUT_BPS;
+        while (high - low > 1n) {
+            const mid = (low + high) / 2n;
+            try {
+                await simulate(quotedOut * mid / FULL_OUTPUT_BPS);
+                low = mid;
+            } catch (error) {
+                high = mid;
+            }
+        }
+
+        return Number(FULL_OUTPUT_BPS - low) / 100;
+    }
+
+    /**
+     * @private
+     */
+    _getCached(tokenAddress) {
+        const cached = taxCache.get(tokenAddress.toLowerCase());
+        if (!cached || Date.now() - cached.checkedAt > BOT_CONFIG.TAX_CACHE_MINUTES * 60 * 1000) {
+            return null;
+        }
+        return cached;
+    }
+
+    /**
+     * @private
+     */
+    _store(tokenAddress, taxes) {
+        const previous = this._getCached(tokenAddress) || { buyTax: null, sellTax: null };
+        taxCache.set(tokenAddress.toLowerCase(), { ...previous, ...taxes, checkedAt: Date.now() });
+    }
+}
+
+module.exports = TransferTaxDetector;
@@ -0,0 +1,171 @@
+const { ethers } = require('ethers');
+const { UNIVERSAL_ROUTER_ABI, PERMIT2_ABI } = require('../config');
+
+// Custom errors the routers and Permit2 may revert with, for revert data no contract ABI decoded
+const REVERT_INTERFACE = new ethers.Interface([
+    ...UNIVERSAL_ROUTER_ABI.filter(fragment => fragment.startsWith('error ')),
+    ...PERMIT2_ABI.filter(fragment => fragment.startsWith('error '))
+]);
+
+// Custom errors (and terse V3 revert strings) reworded into the reasons parseSwapError recognises
+const REVERT_REASONS = {
+    V2TooLittleReceived: 'INSUFFICIENT_OUTPUT_AMOUNT',
+    V3TooLittleReceived: 'INSUFFICIENT_OUTPUT_AMOUNT',
+    InsufficientToken: 'INSUFFICIENT_OUTPUT_AMOUNT',
+    'Too little received': 'INSUFFICIENT_OUTPUT_AMOUNT',
+    V2TooMuchRequested: 'EXCESSIVE_INPUT_AMOUNT',
+    V3TooMuchRequested: 'EXCESSIVE_INPUT_AMOUNT',
+    InsufficientETH: 'INSUFFICIENT_INPUT_VALUE',
+    TransactionDeadlinePassed: 'Transaction too old: deadline expired',
+    AllowanceExpired: 'INSUFFICIENT_ALLOWANCE',
+    InsufficientAllowance: 'INSUFFICIENT_ALLOWANCE',
+    STF: 'TRANSFER_FROM_FAILED',
+    TF: 'TRANSFER_FAILED'
+};
+
+// Solidity panic codes
+const PANIC_REASONS = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division by zero',
+    0x32: 'array index out of bounds'
+};
+
+/**
+ * Transaction simulator
+ * Runs transactions with eth_call against the latest block before they are signed,
+ * and turns their revert data into a readable reason
+ */
+class TransactionSimulator {
+    /**
+     * @param {object} provider - ethers provider used for raw simulations
+     */
+    constructor(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Simulate a contract call as the contract's signer
+     * @param {object} contract - ethers Contract connected to the sending wallet
+     * @param {string} method - Function to call
+     * @param {Array} args - Function arguments
+     * @param {object} overrides - Transaction overrides (e.g. value)
+     * @param {object} stateOverrides - Optional eth_call state override set ({ address: { stateDiff: { slot: value } } })
+     * @returns {Promise<object>} - { success: true, result } or { success: false, reason, error }
+     */
+    async simulateCall(contract, method, args, overrides = {}, stateOverrides = null) {
+        try {
+            if (stateOverrides) {
+                return { success: true, result: await this._callWithStateOverrides(contract, method, args, overrides, stateOverrides) };
+            }
+            const result = await contract[method].staticCall(...args, { ...overrides, blockTag: 'latest' });
+            return { success: true, result };
+        } catch (error) {
+            const reason = this.decodeRevert(error);
+            console.warn(`Simulation of ${method} reverted: ${reason}`);
+            return { success: false, reason, error };
+        }
+    }
+
+    /**
+     * Simulate a plain transaction request (e.g. a native transfer)
+     * @param {object} tx - { from, to, value, data }
+     * @returns {Promise<object>} - { success: true, result } or { success: false, reason, error }
+     */
+    async simulateTransaction(tx) {
+        try {
+            const result = await this.provider.call({ ...tx, blockTag: 'latest' });
+            return { success: true, result };
+        } catch (error) {
+            const reason = this.decodeRevert(error);
+            console.warn(`Simulation of transaction to ${tx.to} reverted: ${reason}`);
+            return { success: false, reason, error };
+        }
+    }
+
+    /**
+     * Turn a failed call into a reason: revert strings as they are, custom errors and panics
+     * reworded, and node errors (e.g. insufficient funds) by their message
+     * @param {Error} error - Error thrown by an eth_call
+     * @returns {string} - Revert reason
+     */
+    decodeRevert(error) {
+        const revert = error.revert || this._parseRevertData(this._findRevertData(error));
+
+        if (revert) {
+            if (revert.name === 'Error') {
+                return REVERT_REASONS[revert.args[0]] || revert.args[0];
+            }
+            if (revert.name === 'Panic') {
+                const code = Number(revert.args[0]);
+                return `Panic: ${PANIC_REASONS[code] || `code 0x${code.toString(16)}`}`;
+            }
+            if (revert.name === 'ExecutionFailed') {
+                // The UniversalRouter wraps the revert of the command that failed
+                return this.decodeRevert({ data: revert.args[1] });
+            }
+            return REVERT_REASONS[revert.name] ? `${REVERT_REASONS[revert.name]} (${revert.name})` : revert.name;
+        }
+
+        if (error.reason) {
+            return REVERT_REASONS[error.reason] || error.reason;
+        }
+        if (this._findRevertData(error)) {
+            return `execution reverted with unknown error ${this._findRevertData(error).slice(0, 10)}`;
+        }
+        if (error.code === 'CALL_EXCEPTION') {
+            return 'execution reverted without a reason';
+        }
+        return error.shortMessage || error.message || 'unknown error';
+    }
+
+    /**
+     * eth_call with a state override set, which ethers' staticCall cannot pass
+     * @private
+     */
+    async _callWithStateOverrides(contract, method, args, overrides, stateOverrides) {
+        const tx = await contract[method].populateTransaction(...args, overrides);
+        if (typeof contract.runner?.getAddress === 'function') {
+            tx.from = await contract.runner.getAddress();
+        }
+
+        const data = await this.provider.send('eth_call', [this.provider.getRpcTransaction(tx), 'latest', stateOverrides]);
+        const result = contract.interface.decodeFunctionResult(method, data);
+        return result.length === 1 ? result[0] : result;
+    }
+
+    /**
+     * @private
+     */
+    _findRevertData(error) {
+        const data = error.data || error.info?.error?.data || error.error?.data;
+        return typeof data === 'string' && data.length > 2 ? data : null;
+    }
+
+    /**
+     * Decode Error(string), Panic(uint256) and the known custom errors
+     * @private
+     */
+    _parseRevertData(data) {
+        if (!data) {
+            return null;
+        }
+
+        try {
+            const coder = ethers.AbiCoder.defaultAbiCoder();
+            const selector = data.slice(0, 10);
+            if (selector === '0x08c379a0') {
+                return { name: 'Error', args: coder.decode(['string'], ethers.dataSlice(data, 4)) };
+            }
+            if (selector === '0x4e487b71') {
+                return { name: 'Panic', args: coder.decode(['uint256'], ethers.dataSlice(data, 4)) };
+            }
+            return REVERT_INTERFACE.parseError(data);
+        } catch (error) {
+            console.warn('Could not decode revert data:', data);
+            return null;
+        }
+    }
+}
+
+module.exports = TransactionSimulator;
@@ -0,0 +1,252 @@
+const { ethers } = require('ethers');
+const {
+    V3_FACTORY_ABI,
+    V3_POOL_ABI,
+    V3_QUOTER_ABI,
+    UNIVERSAL_ROUTER_ABI,
+    PERMIT2_ABI,
+    ERC20_ABI
+} = require('../config');
+
+// UniversalRouter command bytes
+const COMMANDS = {
+    V3_SWAP_EXACT_IN: 0x00,
+    WRAP_ETH: 0x0b,
+    UNWRAP_WETH: 0x0c
+};
+
+// UniversalRouter recipient placeholders: the caller, or the router itself (for wrap/unwrap steps)
+const MSG_SENDER = '0x0000000000000000000000000000000000000001';
+const ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+
+// How long a Permit2 allowance granted for a single swap stays valid
+const PERMIT2_ALLOWANCE_SECONDS = 30 * 60;
+
+// Unlimited approvals: the largest Permit2 allowance, renewed once a month
+const MAX_PERMIT2_AMOUNT = 2n ** 160n - 1n;
+const UNLIMITED_PERMIT2_ALLOWANCE_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Uniswap V3 helper
+ * Discovers V3 pools across fee tiers, quotes them through QuoterV2 and executes
+ * single-pool swaps through the UniversalRouter (token approvals go through Permit2)
+ */
+class UniswapV3 {
+    /**
+     * @param {object} network - Network config (needs addresses.V3_FACTORY, V3_QUOTER, UNIVERSAL_ROUTER, PERMIT2, WETH and v3FeeTiers)
+     * @param {object} signer - ethers signer (a VoidSigner is enough for discovery and quotes)
+     * @param {object} options - Optional settings
+     * @param {string} options.approvalMode - 'exact' (default) or 'unlimited' Permit2 approvals
+     * @param {function} options.sendTransaction - Sends a populated transaction and a label with the owner's gas settings
+     *   (defaults to the signer's sendTransaction)
+     * @param {function} options.waitForReceipt - Waits for a sent transaction, following speed-ups (defaults to tx.wait())
+     */
+    constructor(network, signer, options = {}) {
+        this.network = network;
+        this.signer = signer;
+        this.approvalMode = options.approvalMode || 'exact';
+        this.sendTransaction = options.sendTransaction || (tx => signer.sendTransaction(tx));
+        this.waitForReceipt = options.waitForReceipt || (tx => tx.wait());
+        this.feeTiers = network.v3FeeTiers || [100, 500, 3000, 10000];
+
+        this.factoryContract = new ethers.Contract(network.addresses.V3_FACTORY, V3_FACTORY_ABI, signer);
+        this.quoterContract = new ethers.Contract(network.addresses.V3_QUOTER, V3_QUOTER_ABI, signer);
+        this.universalRouter = new ethers.Contract(network.addresses.UNIVERSAL_ROUTER, UNIVERSAL_ROUTER_ABI, signer);
+        this.permit2Contract = new ethers.Contract(network.addresses.PERMIT2, PERMIT2_ABI, signer);
+    }
+
+    /**
+     * Find the V3 pools of a pair that hold liquidity
+     * @param {string} tokenA - First token address
+     * @param {string} tokenB - Second token address
+     * @returns {Promise<Array>} - [{ fee, address, liquidity }] for every fee tier with a live pool
+     */
+    async discoverPools(tokenA, tokenB) {
+        const lookups = await Promise.allSettled(this.feeTiers.map(async fee => {
+            const address = await this.factoryContract.getPool(tokenA, tokenB, fee);
+            if (address === ethers.ZeroAddress) {
+                return null;
+            }
+
+            const pool = new ethers.Contract(address, V3_POOL_ABI, this.signer);
+            const liquidity = await pool.liquidity();
+            return liquidity > 0n ? { fee, address, liquidity } : null;
+        }));
+
+        const pools = lookups
+            .filter(lookup => lookup.status === 'fulfilled' && lookup.value)
+            .map(lookup => lookup.value);
+
+        console.log(`V3 pools for ${tokenA}/${tokenB}: ${pools.length ? pools.map(pool => this.describeFee(pool.fee)).join(', ') : 'none'}`);
+        return pools;
+    }
+
+    /**
+     * Quote an exact-input swap on every live V3 pool of a pair
+     * @param {string} tokenIn - Input token address (WMON for native MON)
+     * @param {string} tokenOut - Output token address (WMON for native MON)
+     * @param {BigInt} amountIn - Input amount in the token's smallest unit
+     * @returns {Promise<object|null>} - Best quote { fee, pool, amountIn, amountOut }, or null when no V3 pool can fill it
+     */
+    async quoteExactInput(tokenIn, tokenOut, amountIn) {
+        const pools = await this.discoverPools(tokenIn, tokenOut);
+
+        // QuoterV2 reverts to return its result, so it has to be called statically
+        const quotes = await Promise.allSettled(pools.map(pool => this.quoterContract.quoteExactInputSingle.staticCall({
+            tokenIn,
+            tokenOut,
+            amountIn,
+            fee: pool.fee,
+            sqrtPriceLimitX96: 0
+        })));
+
+        let best = null;
+        quotes.forEach((quote, index) => {
+            if (quote.status !== 'fulfilled') {
+                return;
+            }
+
+            const amountOut = quote.value[0];
+            if (amountOut > 0n && (!best || amountOut > best.amountOut)) {
+                best = { fee: pools[index].fee, pool: pools[index].address, amountIn, amountOut };
+            }
+        });
+
+        if (best) {
+            console.log(`Best V3 quote: ${best.amountOut} out via the ${this.describeFee(best.fee)} pool`);
+        }
+        return best;
+    }
+
+    /**
+     * Value an input amount at a pool's current mid price, before any fee or price movement
+     * @param {string} poolAddress - V3 pool address
+     * @param {string} tokenIn - Input token address
+     * @param {BigInt} amountIn - Input amount
+     * @returns {Promise<BigInt>} - Output the input would buy at the mid price
+     */
+    async getMidPriceOutput(poolAddress, tokenIn, amountIn) {
+        const pool = new ethers.Contract(poolAddress, V3_POOL_ABI, this.signer);
+        const [token0, slot0] = await Promise.all([pool.token0(), pool.slot0()]);
+
+        // sqrtPriceX96^2 / 2^192 is the price of token0 in token1
+        const priceX192 = slot0.sqrtPriceX96 * slot0.sqrtPriceX96;
+        const Q192 = 1n << 192n;
+
+        return token0.toLowerCase() === tokenIn.toLowerCase()
+            ? amountIn * priceX192 / Q192
+            : amountIn * Q192 / priceX192;
+    }
+
+    /**
+     * Encode a single-pool exact-input swap as UniversalRouter commands
+     * @param {object} params - Swap parameters
+     * @param {string} params.tokenIn - Input token address (WMON for native MON)
+     * @param {string} params.tokenOut - Output token address (WMON for native MON)
+     * @param {number} params.fee - Fee tier of the pool to use
+     * @param {BigInt} params.amountIn - Input amount
+     * @param {BigInt} params.amountOutMin - Minimum output after slippage
+     * @param {boolean} params.nativeIn - Pay with native MON (wrapped by the router)
+     * @param {boolean} params.nativeOut - Receive native MON (unwrapped by the router)
+     * @returns {object} - { args, overrides } for universalRouter.execute
+     */
+    buildSwapExactInput({ tokenIn, tokenOut, fee, amountIn, amountOutMin, nativeIn = false, nativeOut = false }) {
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        const path = ethers.solidityPacked(['address', 'uint24', 'address'], [tokenIn, fee, tokenOut]);
+        const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
+
+        const encodeSwap = (recipient, payerIsUser) => coder.encode(
+            ['address', 'uint256', 'uint256', 'bytes', 'bool'],
+            [recipient, amountIn, amountOutMin, path, payerIsUser]
+        );
+
+        const commands = [];
+        const inputs = [];
+
+        if (nativeIn) {
+            // Wrap the attached MON inside the router, then swap the router's WMON
+            commands.push(COMMANDS.WRAP_ETH);
+            inputs.push(coder.encode(['address', 'uint256'], [ADDRESS_THIS, amountIn]));
+            commands.push(COMMANDS.V3_SWAP_EXACT_IN);
+            inputs.push(encodeSwap(nativeOut ? ADDRESS_THIS : MSG_SENDER, false));
+        } else {
+            commands.push(COMMANDS.V3_SWAP_EXACT_IN);
+            inputs.push(encodeSwap(nativeOut ? ADDRESS_THIS : MSG_SENDER, true));
+        }
+
+        if (nativeOut) {
+            commands.push(COMMANDS.UNWRAP_WETH);
+            inputs.push(coder.encode(['address', 'uint256'], [MSG_SENDER, amountOutMin]));
+        }
+
+        return {
+            args: [ethers.hexlify(Uint8Array.from(commands)), inputs, deadline],
+            overrides: nativeIn ? { value: amountIn } : {}
+        };
+    }
+
+    /**
+     * Execute a single-pool exact-input swap through the UniversalRouter
+     * @param {object} params - Swap parameters (see buildSwapExactInput)
+     * @returns {Promise<object>} - Submitted transaction
+     */
+    async swapExactInput(params) {
+        if (!params.nativeIn) {
+            await this.ensurePermit2Allowance(params.tokenIn, params.amountIn);
+        }
+        const { args, overrides } = this.buildSwapExactInput(params);
+        return this.sendTransaction(await this.universalRouter.execute.populateTransaction(...args, overrides), 'Uniswap V3 swap');
+    }
+
+    /**
+     * Make sure the UniversalRouter may pull a token through Permit2.
+     * Permit2 needs a regular ERC-20 allowance, and then grants the router its own
+     * allowance, which is kept to the swap amount and expires shortly after.
+     * In 'unlimited' approval mode both allowances are the maximum and the Permit2 one lasts a month.
+     * @param {string} tokenAddress - Token being sold
+     * @param {BigInt} amount - Amount the router needs
+     */
+    async ensurePermit2Allowance(tokenAddress, amount) {
+        const owner = await this.signer.getAddress();
+        const permit2Address = this.network.addresses.PERMIT2;
+        const routerAddress = this.network.addresses.UNIVERSAL_ROUTER;
+        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.signer);
+
+        const unlimited = this.approvalMode === 'unlimited';
+
+        const tokenAllowance = await tokenContract.allowance(owner, permit2Address);
+        if (tokenAllowance < amount) {
+            const approveAmount = unlimited ? ethers.MaxUint256 : amount;
+            console.log(`Approving ${unlimited ? 'unlimited' : amount} of ${tokenAddress} for Permit2...`);
+            const approveTx = await this.sendTransaction(
+                await tokenContract.approve.populateTransaction(permit2Address, approveAmount),
+                'Permit2 token approval'
+            );
+            await this.waitForReceipt(approveTx);
+        }
+
+        const [permitted, expiration] = await this.permit2Contract.allowance(owner, tokenAddress, routerAddress);
+        const now = Math.floor(Date.now() / 1000);
+        if (permitted < amount || Number(expiration) <= now + 60) {
+            const permitAmount = unlimited ? MAX_PERMIT2_AMOUNT : amount;
+            const permitExpiration = now + (unlimited ? UNLIMITED_PERMIT2_ALLOWANCE_SECONDS : PERMIT2_ALLOWANCE_SECONDS);
+            console.log(`Granting the UniversalRouter a Permit2 allowance of ${unlimited ? 'unlimited' : amount} for ${tokenAddress}...`);
+            const permitTx = await this.sendTransaction(
+                await this.permit2Contract.approve.populateTransaction(tokenAddress, routerAddress, permitAmount, permitExpiration),
+                'Permit2 router allowance'
+            );
+            await this.waitForReceipt(permitTx);
+        }
+    }
+
+    /**
+     * Format a fee tier as a percentage, e.g. 3000 -> "0.3%"
+     * @param {number} fee - Fee in hundredths of a basis point
+     * @returns {string} - Percentage label
+     */
+    describeFee(fee) {
+        return `${Number(fee) / 10000}%`;
+    }
+}
+
+module.exports = UniswapV3;
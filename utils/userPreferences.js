@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { ethers } = require('ethers');
+const { BOT_CONFIG } = require('../config');
 
 /**
  * UserPreferences class for managing user settings and preferences
@@ -140,6 +142,109 @@ class UserPreferences {
         
         return this.preferences[userId].slippage;
     }
+
+    /**
+     * Set how much of a token swaps approve for the routers
+     * @param {string} userId - Telegram user ID
+     * @param {string} mode - 'exact' (only the swap amount) or 'unlimited'
+     */
+    setApprovalMode(userId, mode) {
+        if (!this.preferences[userId]) {
+            this.preferences[userId] = {
+                watchlist: [],
+                slippage: 0.5
+            };
+        }
+        
+        if (!['exact', 'unlimited'].includes(mode)) {
+            return false;
+        }
+        
+        this.preferences[userId].approvalMode = mode;
+        this.savePreferences();
+        return true;
+    }
+
+    /**
+     * Get user's approval mode
+     * @param {string} userId - Telegram user ID
+     */
+    getApprovalMode(userId) {
+        if (!this.preferences[userId] || !this.preferences[userId].approvalMode) {
+            return 'exact'; // Default: approve only what the swap spends
+        }
+        
+        return this.preferences[userId].approvalMode;
+    }
+
+    /**
+     * Update user's gas settings; fields left out keep their current value
+     * @param {string} userId - Telegram user ID
+     * @param {object} settings - { preset, maxFeeGwei, priorityFeeGwei, limitMultiplier }. The 'custom'
+     *   preset needs finite gwei amounts with at most 9 decimals and maxFeeGwei >= priorityFeeGwei >= 0;
+     *   limitMultiplier must be between 1 and 3
+     */
+    setGasSettings(userId, settings) {
+        if (!this.preferences[userId]) {
+            this.preferences[userId] = {
+                watchlist: [],
+                slippage: 0.5
+            };
+        }
+        
+        const gas = { ...this.getGasSettings(userId), ...settings };
+        
+        // Validate the merged settings
+        if (!['slow', 'normal', 'fast', 'custom'].includes(gas.preset)) {
+            return false;
+        }
+        if (gas.preset === 'custom') {
+            // Stored fees must parse the way GasManager reads them, or every transaction of the user would fail
+            const maxFee = this._parseGwei(gas.maxFeeGwei);
+            const priorityFee = this._parseGwei(gas.priorityFeeGwei);
+            if (maxFee === null || priorityFee === null || !(priorityFee >= 0n && maxFee >= priorityFee && maxFee > 0n)) {
+                return false;
+            }
+        }
+        if (!(gas.limitMultiplier >= 1 && gas.limitMultiplier <= 3)) {
+            return false;
+        }
+        
+        this.preferences[userId].gas = gas;
+        this.savePreferences();
+        return true;
+    }
+
+    /**
+     * Get user's gas settings
+     * @param {string} userId - Telegram user ID
+     * @returns {object} - { preset, maxFeeGwei, priorityFeeGwei, limitMultiplier }
+     */
+    getGasSettings(userId) {
+        return {
+            preset: 'normal',
+            maxFeeGwei: null,
+            priorityFeeGwei: null,
+            limitMultiplier: BOT_CONFIG.GAS_LIMIT_MULTIPLIER,
+            ...(this.preferences[userId] && this.preferences[userId].gas)
+        };
+    }
+
+    /**
+     * Parse a gwei amount into wei
+     * @private
+     * @returns {BigInt|null} - Amount in wei, or null when it is not a finite amount ethers can parse
+     */
+    _parseGwei(value) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return null;
+        }
+        try {
+            return ethers.parseUnits(String(value), 'gwei');
+        } catch (error) {
+            return null;
+        }
+    }
 }
 
 module.exports = new UserPreferences(); 
\ No newline at end of file
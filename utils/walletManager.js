@@ -1,6 +1,32 @@
 const { ethers } = require('ethers');
-const { NETWORKS } = require('../config');
+const { NETWORKS, BOT_CONFIG } = require('../config');
 const crypto = require('crypto');
+const FileWalletStore = require('./walletStore');
+const encryption = require('./encryption');
+
+// Record fields holding data encrypted with the master key
+const ENCRYPTED_FIELDS = ['encryptedPrivateKey'];
+
+const PIN_MIN_LENGTH = 4;
+
+const KEYSTORE_PASSWORD_MIN_LENGTH = 8;
+
+const WALLET_NAME_MAX_LENGTH = 32;
+
+// BIP-44 Ethereum account path; sub-wallet n lives at `${HD_BASE_PATH}/n`
+const HD_BASE_PATH = "m/44'/60'/0'/0";
+
+/**
+ * Build an error carrying a machine-readable code for PIN failures
+ * @param {string} message - Error message
+ * @param {string} code - PIN_REQUIRED, INVALID_PIN or PIN_LOCKED
+ * @returns {Error} - Error with a `code` property
+ */
+function pinError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
 
 /**
  * WalletManager class for managing user wallets
@@ -8,16 +34,174 @@ const crypto = require('crypto');
  * and support for multiple wallets per user
  */
 class WalletManager {
-    constructor() {
+    /**
+     * @param {object} options - Optional settings
+     * @param {object} options.store - Wallet store implementing load()/save(state)/backup() (defaults to FileWalletStore)
+     * @param {string} options.encryptionKey - Master encryption key (defaults to ENCRYPTION_KEY)
+     */
+    constructor(options = {}) {
         // Map of userId -> Array of wallet IDs to support multiple wallets
         this.userWalletIds = new Map();
         
         // Maps for wallet data - using wallet IDs for reference
-        this.wallets = new Map(); // walletId -> { encryptedPrivateKey, address, name }
+        this.wallets = new Map(); // walletId -> { encryptedPrivateKey, address, name, seedId?, derivationPath?, archived? } or { address, name, watchOnly, archived? }
         this.walletOwners = new Map(); // walletAddress -> userId
+        this.activeWallets = new Map(); // userId -> walletId used by balance, swap and send flows
+        
+        // HD seeds: seedId -> { userId, encryptedMnemonic, pinProtected, nextIndex, createdAt }
+        this.seeds = new Map();
         
-        // Encryption key (in production, this should come from a secure environment variable)
-        this.encryptionKey = process.env.ENCRYPTION_KEY || 'changeMeInProduction!';
+        // Spending PIN state: userId -> { pin: { publicKey, encryptedSealingKey }, failedAttempts, lockedUntil }
+        this.security = new Map();
+        
+        // Master encryption key - refuse to run without a real one
+        this.encryptionKey = options.encryptionKey || process.env.ENCRYPTION_KEY;
+        encryption.assertEncryptionKey(this.encryptionKey);
+        
+        // Durable storage for the maps above
+        this.store = options.store || new FileWalletStore();
+        this._loadFromStore();
+    }
+
+    /**
+     * Load all wallets and owner mappings from the wallet store
+     * @private
+     */
+    _loadFromStore() {
+        const state = this.store.load();
+        
+        for (const [walletId, wallet] of Object.entries(state.wallets || {})) {
+            this.wallets.set(walletId, wallet);
+        }
+        
+        for (const [userId, walletIds] of Object.entries(state.userWallets || {})) {
+            const ownedIds = walletIds.filter(id => this.wallets.has(id));
+            this.userWalletIds.set(userId, ownedIds);
+            
+            for (const walletId of ownedIds) {
+                // Watching an address does not make the user its owner
+                if (!this.wallets.get(walletId).watchOnly) {
+                    this.walletOwners.set(this.wallets.get(walletId).address.toLowerCase(), userId);
+                }
+            }
+        }
+        
+        for (const [userId, walletId] of Object.entries(state.activeWallets || {})) {
+            if ((this.userWalletIds.get(userId) || []).includes(walletId)) {
+                this.activeWallets.set(userId, walletId);
+            }
+        }
+        
+        for (const [userId, security] of Object.entries(state.security || {})) {
+            this.security.set(userId, security);
+        }
+        
+        for (const [seedId, seed] of Object.entries(state.seeds || {})) {
+            this.seeds.set(seedId, seed);
+        }
+        
+        console.log(`Loaded ${this.wallets.size} wallets for ${this.userWalletIds.size} users from wallet store`);
+        
+        this._migrateLegacyRecords();
+    }
+
+    /**
+     * Re-encrypt records still using the legacy iv:ciphertext format
+     * @private
+     */
+    _migrateLegacyRecords() {
+        let migrated = 0;
+        
+        for (const [walletId, wallet] of this.wallets) {
+            if (!encryption.isLegacyCiphertext(wallet.encryptedPrivateKey)) {
+                continue;
+            }
+            
+            let privateKey;
+            try {
+                privateKey = encryption.decrypt(wallet.encryptedPrivateKey, this.encryptionKey);
+            } catch (error) {
+                throw new Error(`Could not migrate wallet ${walletId}: ${error.message}. Is ENCRYPTION_KEY correct?`);
+            }
+            
+            wallet.encryptedPrivateKey = this._encryptPrivateKey(privateKey);
+            migrated++;
+        }
+        
+        if (migrated > 0) {
+            this._persist();
+            console.log(`Migrated ${migrated} wallets to ${encryption.CURRENT_VERSION} encryption`);
+        }
+    }
+
+    /**
+     * Persist the current wallet state to the wallet store
+     * @private
+     */
+    _persist() {
+        this.store.save(this._buildState());
+    }
+
+    /**
+     * Build the serializable vault state
+     * @private
+     * @param {object} overrides - Replacement maps for { wallets, security, seeds } (defaults to the live ones)
+     * @returns {object} - State object for the wallet store
+     */
+    _buildState({ wallets = this.wallets, security = this.security, seeds = this.seeds } = {}) {
+        return {
+            version: 1,
+            wallets: Object.fromEntries(wallets),
+            userWallets: Object.fromEntries(this.userWalletIds),
+            activeWallets: Object.fromEntries(this.activeWallets),
+            security: Object.fromEntries(security),
+            seeds: Object.fromEntries(seeds)
+        };
+    }
+
+    /**
+     * Register a wallet record for a user and persist it
+     * @private
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Wallet ID
+     * @param {object} record - Wallet record to store
+     * @param {object} seed - Optional { seedId, record } HD seed to save in the same write
+     */
+    _addWallet(userId, walletId, record, seed = null) {
+        const previousSeed = seed ? this.seeds.get(seed.seedId) : null;
+        if (seed) {
+            this.seeds.set(seed.seedId, seed.record);
+        }
+        
+        this.wallets.set(walletId, record);
+        
+        // Add to user's wallets
+        if (!this.userWalletIds.has(userId)) {
+            this.userWalletIds.set(userId, [walletId]);
+        } else {
+            this.userWalletIds.get(userId).push(walletId);
+        }
+        
+        if (!record.watchOnly) {
+            this.walletOwners.set(record.address.toLowerCase(), userId);
+        }
+        
+        try {
+            this._persist();
+        } catch (error) {
+            // Roll back so memory never holds a wallet that would be lost on restart
+            this.wallets.delete(walletId);
+            this.userWalletIds.set(userId, this.userWalletIds.get(userId).filter(id => id !== walletId));
+            if (!record.watchOnly) {
+                this.walletOwners.delete(record.address.toLowerCase());
+            }
+            if (seed && previousSeed) {
+                this.seeds.set(seed.seedId, previousSeed);
+            } else if (seed) {
+                this.seeds.delete(seed.seedId);
+            }
+            throw new Error(`Failed to save wallet: ${error.message}`);
+        }
     }
 
     /**
@@ -27,15 +211,7 @@ class WalletManager {
      * @returns {string} - Encrypted private key
      */
     _encryptPrivateKey(privateKey) {
-        const iv = crypto.randomBytes(16);
-        const cipher = crypto.createCipheriv('aes-256-cbc', 
-            crypto.createHash('sha256').update(this.encryptionKey).digest(), 
-            iv);
-        
-        let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        
-        return `${iv.toString('hex')}:${encrypted}`;
+        return encryption.encrypt(privateKey, this.encryptionKey);
     }
 
     /**
@@ -45,54 +221,497 @@ class WalletManager {
      * @returns {string} - Decrypted private key
      */
     _decryptPrivateKey(encryptedData) {
-        const [ivHex, encryptedHex] = encryptedData.split(':');
-        const iv = Buffer.from(ivHex, 'hex');
-        const decipher = crypto.createDecipheriv('aes-256-cbc', 
-            crypto.createHash('sha256').update(this.encryptionKey).digest(), 
-            iv);
+        return encryption.decrypt(encryptedData, this.encryptionKey);
+    }
+
+    /**
+     * Re-encrypt every stored wallet under a new master key.
+     * All records are re-encrypted and verified in memory first; the vault is only
+     * rewritten (atomically, after taking a rollback copy) once every record checks out.
+     * @param {string} newEncryptionKey - New master encryption key
+     * @returns {object} - { rotated, backupPath }
+     */
+    rotateEncryptionKey(newEncryptionKey) {
+        encryption.assertEncryptionKey(newEncryptionKey);
+        
+        if (newEncryptionKey === this.encryptionKey) {
+            throw new Error('The new encryption key must differ from the current one.');
+        }
+        
+        if (typeof this.store.backup !== 'function') {
+            throw new Error('The configured wallet store does not support backups; refusing to rotate keys.');
+        }
+        
+        const rotatedWallets = new Map();
+        
+        for (const [walletId, wallet] of this.wallets) {
+            const rotated = { ...wallet };
+            
+            for (const field of ENCRYPTED_FIELDS) {
+                if (wallet[field]) {
+                    rotated[field] = this._reencrypt(wallet[field], newEncryptionKey, `Wallet ${walletId}`);
+                }
+            }
+            
+            rotatedWallets.set(walletId, rotated);
+        }
+        
+        // PIN-sealed keys are wrapped in the master key too, so they have to move with it
+        const rotatedSecurity = new Map();
+        
+        for (const [userId, security] of this.security) {
+            const rotated = { ...security };
+            
+            if (security.pin) {
+                rotated.pin = {
+                    ...security.pin,
+                    encryptedSealingKey: this._reencrypt(security.pin.encryptedSealingKey, newEncryptionKey, `PIN record for user ${userId}`)
+                };
+            }
+            
+            rotatedSecurity.set(userId, rotated);
+        }
+        
+        const rotatedSeeds = new Map();
+        
+        for (const [seedId, seed] of this.seeds) {
+            rotatedSeeds.set(seedId, {
+                ...seed,
+                encryptedMnemonic: this._reencrypt(seed.encryptedMnemonic, newEncryptionKey, `Seed ${seedId}`)
+            });
+        }
+        
+        const backupPath = this.store.backup();
+        console.log(`Wallet store backed up to ${backupPath}`);
+        
+        this.store.save(this._buildState({ wallets: rotatedWallets, security: rotatedSecurity, seeds: rotatedSeeds }));
         
-        let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
+        this.wallets = rotatedWallets;
+        this.security = rotatedSecurity;
+        this.seeds = rotatedSeeds;
+        this.encryptionKey = newEncryptionKey;
+        
+        console.log(`Rotated encryption key for ${rotatedWallets.size} wallets`);
+        
+        return {
+            rotated: rotatedWallets.size,
+            backupPath
+        };
+    }
+
+    /**
+     * Re-encrypt a master-key payload under a new key and verify the result
+     * @private
+     * @param {string} payload - Payload encrypted with the current master key
+     * @param {string} newEncryptionKey - New master encryption key
+     * @param {string} label - Record description for error messages
+     * @returns {string} - Payload encrypted with the new key
+     */
+    _reencrypt(payload, newEncryptionKey, label) {
+        let plaintext;
+        try {
+            plaintext = encryption.decrypt(payload, this.encryptionKey);
+        } catch (error) {
+            throw new Error(`${label} could not be decrypted with the current key: ${error.message}`);
+        }
+        
+        const reencrypted = encryption.encrypt(plaintext, newEncryptionKey);
+        
+        // Verify the new record before anything is committed
+        if (encryption.decrypt(reencrypted, newEncryptionKey) !== plaintext) {
+            throw new Error(`Verification failed for ${label}; no changes were made.`);
+        }
         
-        return decrypted;
+        return reencrypted;
     }
 
     /**
-     * Generate a new wallet for a user
+     * Encrypt a secret (private key or seed phrase) belonging to a user.
+     * Users with a spending PIN get the secret sealed to their PIN-protected public key first,
+     * so it can be stored without the PIN but only decrypted with it.
+     * @private
+     * @param {string} userId - Telegram user ID
+     * @param {string} secret - Secret to store
+     * @returns {object} - { encrypted, pinProtected }
+     */
+    _encryptForUser(userId, secret) {
+        const security = this.security.get(userId);
+        
+        if (security && security.pin) {
+            return {
+                encrypted: this._encryptPrivateKey(encryption.seal(secret, security.pin.publicKey)),
+                pinProtected: true
+            };
+        }
+        
+        return {
+            encrypted: this._encryptPrivateKey(secret),
+            pinProtected: false
+        };
+    }
+
+    /**
+     * Decrypt a secret produced by _encryptForUser
+     * @private
+     * @param {string} userId - Telegram user ID
+     * @param {string} encrypted - Stored ciphertext
+     * @param {boolean} pinProtected - Whether the secret is sealed behind the user's PIN
+     * @param {string} pin - Spending PIN (required when pinProtected)
+     * @returns {string} - Decrypted secret
+     */
+    _decryptForUser(userId, encrypted, pinProtected, pin = null) {
+        const secret = this._decryptPrivateKey(encrypted);
+        return pinProtected ? encryption.openSealed(secret, this._unlockSealingKey(userId, pin)) : secret;
+    }
+
+    /**
+     * Check whether a PIN is acceptable
+     * @private
+     * @param {string} pin - PIN or passphrase
+     */
+    _validatePin(pin) {
+        if (typeof pin !== 'string' || pin.trim().length < PIN_MIN_LENGTH) {
+            throw new Error(`PIN must be at least ${PIN_MIN_LENGTH} characters long.`);
+        }
+    }
+
+    /**
+     * Secret used to encrypt a user's sealing key; binds the PIN to the user
+     * @private
+     */
+    _pinSecret(userId, pin) {
+        return `${userId}:${pin.trim()}`;
+    }
+
+    /**
+     * Decrypt a user's sealing key with their PIN, enforcing the attempt limit
+     * @private
+     * @param {string} userId - Telegram user ID
+     * @param {string} pin - PIN entered by the user
+     * @returns {string} - Sealing private key
+     */
+    _unlockSealingKey(userId, pin) {
+        const security = this.security.get(userId);
+        
+        if (!security || !security.pin) {
+            throw new Error('No spending PIN is set for this user.');
+        }
+        
+        if (security.lockedUntil && Date.parse(security.lockedUntil) > Date.now()) {
+            const minutesLeft = Math.ceil((Date.parse(security.lockedUntil) - Date.now()) / 60000);
+            throw pinError(`Too many wrong PIN attempts. Try again in ${minutesLeft} minute(s).`, 'PIN_LOCKED');
+        }
+        
+        if (!pin) {
+            throw pinError('Your spending PIN is required to sign this transaction.', 'PIN_REQUIRED');
+        }
+        
+        const pinEncryptedKey = encryption.decrypt(security.pin.encryptedSealingKey, this.encryptionKey);
+        
+        let sealingKey;
+        try {
+            sealingKey = encryption.decrypt(pinEncryptedKey, this._pinSecret(userId, pin));
+        } catch (error) {
+            security.failedAttempts = (security.failedAttempts || 0) + 1;
+            
+            if (security.failedAttempts >= BOT_CONFIG.PIN_MAX_ATTEMPTS) {
+                security.failedAttempts = 0;
+                security.lockedUntil = new Date(Date.now() + BOT_CONFIG.PIN_LOCKOUT_MINUTES * 60000).toISOString();
+                this._persist();
+                console.log(`Spending PIN locked for user ${userId} until ${security.lockedUntil}`);
+                throw pinError(`Too many wrong PIN attempts. Signing is locked for ${BOT_CONFIG.PIN_LOCKOUT_MINUTES} minutes.`, 'PIN_LOCKED');
+            }
+            
+            this._persist();
+            const attemptsLeft = BOT_CONFIG.PIN_MAX_ATTEMPTS - security.failedAttempts;
+            throw pinError(`Wrong PIN. ${attemptsLeft} attempt(s) left before signing is locked.`, 'INVALID_PIN');
+        }
+        
+        if (security.failedAttempts || security.lockedUntil) {
+            security.failedAttempts = 0;
+            security.lockedUntil = null;
+            this._persist();
+        }
+        
+        return sealingKey;
+    }
+
+    /**
+     * Check if a user has a spending PIN
+     * @param {string} userId - Telegram user ID
+     * @returns {boolean} - True if a PIN is set
+     */
+    hasPin(userId) {
+        const security = this.security.get(userId);
+        return !!(security && security.pin);
+    }
+
+    /**
+     * Set or change a user's spending PIN.
+     * Setting a PIN for the first time re-encrypts all of the user's wallets and seeds so that
+     * decrypting any of them requires the PIN from then on.
+     * @param {string} userId - Telegram user ID
+     * @param {string} newPin - New PIN or passphrase
+     * @param {string} currentPin - Current PIN (required when changing an existing PIN)
+     * @returns {boolean} - True if successful
+     */
+    setPin(userId, newPin, currentPin = null) {
+        this._validatePin(newPin);
+        
+        if (this.hasPin(userId)) {
+            // Changing the PIN only re-wraps the sealing key; wallet records stay as they are
+            const security = this.security.get(userId);
+            const sealingKey = this._unlockSealingKey(userId, currentPin);
+            const previousPin = security.pin;
+            
+            security.pin = {
+                ...previousPin,
+                encryptedSealingKey: this._encryptPrivateKey(encryption.encrypt(sealingKey, this._pinSecret(userId, newPin)))
+            };
+            
+            try {
+                this._persist();
+            } catch (error) {
+                security.pin = previousPin;
+                throw new Error(`Failed to save PIN: ${error.message}`);
+            }
+            
+            console.log(`Spending PIN changed for user ${userId}`);
+            return true;
+        }
+        
+        const { publicKey, privateKey } = encryption.generateSealingKeyPair();
+        const pin = {
+            publicKey,
+            encryptedSealingKey: this._encryptPrivateKey(encryption.encrypt(privateKey, this._pinSecret(userId, newPin)))
+        };
+        
+        // Seal every existing wallet before touching any state
+        const sealedRecords = new Map();
+        for (const walletId of this.userWalletIds.get(userId) || []) {
+            const wallet = this.wallets.get(walletId);
+            if (wallet.watchOnly) {
+                continue;
+            }
+            
+            const walletKey = this._decryptPrivateKey(wallet.encryptedPrivateKey);
+            
+            sealedRecords.set(walletId, {
+                ...wallet,
+                encryptedPrivateKey: this._encryptPrivateKey(encryption.seal(walletKey, publicKey)),
+                pinProtected: true
+            });
+        }
+        
+        const sealedSeeds = new Map();
+        for (const [seedId, seed] of this.seeds) {
+            if (seed.userId !== userId) {
+                continue;
+            }
+            
+            sealedSeeds.set(seedId, {
+                ...seed,
+                encryptedMnemonic: this._encryptPrivateKey(encryption.seal(this._decryptPrivateKey(seed.encryptedMnemonic), publicKey)),
+                pinProtected: true
+            });
+        }
+        
+        const previousRecords = new Map([...sealedRecords.keys()].map(id => [id, this.wallets.get(id)]));
+        const previousSeeds = new Map([...sealedSeeds.keys()].map(id => [id, this.seeds.get(id)]));
+        const previousSecurity = this.security.get(userId);
+        
+        sealedRecords.forEach((record, walletId) => this.wallets.set(walletId, record));
+        sealedSeeds.forEach((seed, seedId) => this.seeds.set(seedId, seed));
+        this.security.set(userId, { pin, failedAttempts: 0, lockedUntil: null });
+        
+        try {
+            this._persist();
+        } catch (error) {
+            previousRecords.forEach((record, walletId) => this.wallets.set(walletId, record));
+            previousSeeds.forEach((seed, seedId) => this.seeds.set(seedId, seed));
+            if (previousSecurity) {
+                this.security.set(userId, previousSecurity);
+            } else {
+                this.security.delete(userId);
+            }
+            throw new Error(`Failed to save PIN: ${error.message}`);
+        }
+        
+        console.log(`Spending PIN set for user ${userId} (${sealedRecords.size} wallets protected)`);
+        return true;
+    }
+
+    /**
+     * Derive the wallet at a given index of a seed phrase
+     * @private
+     * @param {string} phrase - BIP-39 mnemonic
+     * @param {number} index - Account index
+     * @returns {ethers.HDNodeWallet} - Derived wallet
+     */
+    _deriveFromPhrase(phrase, index) {
+        return ethers.HDNodeWallet.fromPhrase(phrase, undefined, `${HD_BASE_PATH}/${index}`);
+    }
+
+    /**
+     * Store a new seed for a user together with its first account (index 0)
+     * @private
+     * @param {string} userId - Telegram user ID
+     * @param {string} phrase - BIP-39 mnemonic
+     * @param {string} walletName - Name for the first wallet
+     * @returns {object} - { walletId, seedId, wallet }
+     */
+    _addSeedWallet(userId, phrase, walletName) {
+        const wallet = this._deriveFromPhrase(phrase, 0);
+        const walletId = crypto.randomUUID();
+        const seedId = crypto.randomUUID();
+        const encryptedKey = this._encryptForUser(userId, wallet.privateKey);
+        const encryptedSeed = this._encryptForUser(userId, phrase);
+        const createdAt = new Date().toISOString();
+        
+        this._addWallet(userId, walletId, {
+            encryptedPrivateKey: encryptedKey.encrypted,
+            pinProtected: encryptedKey.pinProtected,
+            address: wallet.address,
+            name: walletName,
+            seedId,
+            derivationPath: wallet.path,
+            createdAt
+        }, {
+            seedId,
+            record: {
+                userId,
+                encryptedMnemonic: encryptedSeed.encrypted,
+                pinProtected: encryptedSeed.pinProtected,
+                nextIndex: 1,
+                createdAt
+            }
+        });
+        
+        return { walletId, seedId, wallet };
+    }
+
+    /**
+     * Generate a new wallet for a user.
+     * The wallet is the first account of a fresh seed phrase, so sub-wallets can be derived from it later.
      * @param {string} userId - Telegram user ID
      * @param {string} walletName - Optional name for the wallet
      * @returns {object} - Wallet details
      */
     generateWallet(userId, walletName = 'Default Wallet') {
-        // Generate new wallet
-        const wallet = ethers.Wallet.createRandom();
-        const walletId = crypto.randomUUID();
+        // Generate new seed phrase
+        const phrase = ethers.Wallet.createRandom().mnemonic.phrase;
+        const { walletId, wallet } = this._addSeedWallet(userId, phrase, walletName);
         
-        const walletDetails = {
+        return {
             walletId,
             address: wallet.address,
             name: walletName,
-            mnemonic: wallet.mnemonic ? wallet.mnemonic.phrase : null,
+            mnemonic: phrase,
             privateKey: wallet.privateKey
         };
+    }
 
-        // Store wallet with encrypted private key
-        this.wallets.set(walletId, {
-            encryptedPrivateKey: this._encryptPrivateKey(wallet.privateKey),
-            address: wallet.address,
-            name: walletName
-        });
+    /**
+     * Check whether text looks like a BIP-39 seed phrase
+     * @param {string} text - User input
+     * @returns {boolean} - True for a valid mnemonic
+     */
+    isMnemonic(text) {
+        return ethers.Mnemonic.isValidMnemonic(this._normalizeMnemonic(text));
+    }
+
+    /**
+     * Normalize whitespace and case of a seed phrase
+     * @private
+     */
+    _normalizeMnemonic(text) {
+        return String(text || '').trim().toLowerCase().split(/\s+/).join(' ');
+    }
+
+    /**
+     * Import a wallet for a user from a BIP-39 seed phrase.
+     * The encrypted seed is kept so further accounts can be derived with deriveSubWallet.
+     * @param {string} userId - Telegram user ID
+     * @param {string} mnemonic - 12-24 word seed phrase
+     * @param {string} walletName - Optional name for the wallet
+     * @returns {object} - Wallet details
+     */
+    importMnemonic(userId, mnemonic, walletName = 'Imported Wallet') {
+        const phrase = this._normalizeMnemonic(mnemonic);
         
-        // Add to user's wallets
-        if (!this.userWalletIds.has(userId)) {
-            this.userWalletIds.set(userId, [walletId]);
-        } else {
-            this.userWalletIds.get(userId).push(walletId);
+        if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+            throw new Error('Invalid seed phrase. Please check the words and their order.');
         }
         
-        this.walletOwners.set(wallet.address.toLowerCase(), userId);
+        const { walletId, wallet } = this._addSeedWallet(userId, phrase, walletName);
+        
+        return {
+            walletId,
+            address: wallet.address,
+            name: walletName,
+            derivationPath: wallet.path
+        };
+    }
 
-        return walletDetails;
+    /**
+     * Check whether a user has a stored seed to derive sub-wallets from
+     * @param {string} userId - Telegram user ID
+     * @returns {boolean} - True if at least one seed is stored
+     */
+    hasSeed(userId) {
+        return [...this.seeds.values()].some(seed => seed.userId === userId);
+    }
+
+    /**
+     * Derive the next numbered sub-wallet (m/44'/60'/0'/0/n) from one of the user's seeds.
+     * Uses the active wallet's seed when it has one, otherwise the user's first seed.
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletName - Optional name (defaults to "Sub-wallet #n")
+     * @param {string} pin - Spending PIN (required if the user has one)
+     * @returns {object} - Wallet details
+     */
+    deriveSubWallet(userId, walletName = null, pin = null) {
+        const activeWalletId = this.getActiveWalletId(userId);
+        const activeWallet = activeWalletId ? this.wallets.get(activeWalletId) : null;
+        
+        let seedId = activeWallet && this.seeds.has(activeWallet.seedId) ? activeWallet.seedId : null;
+        if (!seedId) {
+            seedId = [...this.seeds.keys()].find(id => this.seeds.get(id).userId === userId);
+        }
+        
+        if (!seedId) {
+            throw new Error('No seed phrase stored. Generate a wallet or import one with a seed phrase first.');
+        }
+        
+        const seed = this.seeds.get(seedId);
+        const phrase = this._decryptForUser(userId, seed.encryptedMnemonic, seed.pinProtected, pin);
+        const index = seed.nextIndex;
+        const wallet = this._deriveFromPhrase(phrase, index);
+        const walletId = crypto.randomUUID();
+        const name = walletName || `Sub-wallet #${index}`;
+        const encryptedKey = this._encryptForUser(userId, wallet.privateKey);
+        
+        this._addWallet(userId, walletId, {
+            encryptedPrivateKey: encryptedKey.encrypted,
+            pinProtected: encryptedKey.pinProtected,
+            address: wallet.address,
+            name,
+            seedId,
+            derivationPath: wallet.path,
+            createdAt: new Date().toISOString()
+        }, {
+            seedId,
+            record: { ...seed, nextIndex: index + 1 }
+        });
+        
+        console.log(`Derived sub-wallet ${wallet.path} for user ${userId}`);
+        
+        return {
+            walletId,
+            address: wallet.address,
+            name,
+            derivationPath: wallet.path
+        };
     }
 
     /**
@@ -103,98 +722,416 @@ class WalletManager {
      * @returns {object} - Wallet details
      */
     importWallet(userId, privateKey, walletName = 'Imported Wallet') {
+        let wallet;
         try {
             // Validate private key
-            const wallet = new ethers.Wallet(privateKey);
-            const walletId = crypto.randomUUID();
-            
-            // Store wallet with encrypted private key
-            this.wallets.set(walletId, {
-                encryptedPrivateKey: this._encryptPrivateKey(privateKey),
-                address: wallet.address,
-                name: walletName
-            });
-            
-            // Add to user's wallets
-            if (!this.userWalletIds.has(userId)) {
-                this.userWalletIds.set(userId, [walletId]);
-            } else {
-                this.userWalletIds.get(userId).push(walletId);
-            }
-            
-            this.walletOwners.set(wallet.address.toLowerCase(), userId);
-
-            return {
-                walletId,
-                address: wallet.address,
-                name: walletName,
-                mnemonic: null // Not available when importing by private key
-            };
+            wallet = new ethers.Wallet(privateKey);
         } catch (error) {
             throw new Error(`Invalid private key: ${error.message}`);
         }
+        
+        const walletId = crypto.randomUUID();
+        const encryptedKey = this._encryptForUser(userId, privateKey);
+        
+        // Store wallet with encrypted private key
+        this._addWallet(userId, walletId, {
+            encryptedPrivateKey: encryptedKey.encrypted,
+            pinProtected: encryptedKey.pinProtected,
+            address: wallet.address,
+            name: walletName,
+            createdAt: new Date().toISOString()
+        });
+
+        return {
+            walletId,
+            address: wallet.address,
+            name: walletName,
+            mnemonic: null // Not available when importing by private key
+        };
     }
 
     /**
-     * Get wallet details for a user
+     * Track an address without its private key.
+     * View-only wallets show up in wallet lists and balances but can never sign.
      * @param {string} userId - Telegram user ID
-     * @param {string} walletId - Optional wallet ID (if not provided, returns first wallet)
-     * @returns {object} - Wallet details with decrypted private key
+     * @param {string} address - Address to watch
+     * @param {string} walletName - Optional name for the wallet
+     * @returns {object} - Wallet details
+     */
+    addWatchOnlyWallet(userId, address, walletName = 'Watched Address') {
+        if (!ethers.isAddress(address)) {
+            throw new Error('Invalid address. Please enter a valid 0x address.');
+        }
+        
+        const checksumAddress = ethers.getAddress(address);
+        const alreadyListed = this.getUserWallets(userId, { includeArchived: true })
+            .some(wallet => wallet.address.toLowerCase() === checksumAddress.toLowerCase());
+        if (alreadyListed) {
+            throw new Error('This address is already in your wallet list.');
+        }
+        
+        const walletId = crypto.randomUUID();
+        
+        this._addWallet(userId, walletId, {
+            address: checksumAddress,
+            name: walletName,
+            watchOnly: true,
+            createdAt: new Date().toISOString()
+        });
+        
+        return {
+            walletId,
+            address: checksumAddress,
+            name: walletName,
+            watchOnly: true
+        };
+    }
+
+    /**
+     * Export a wallet as a standard Ethereum JSON keystore (v3)
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Wallet ID to export (defaults to the active wallet)
+     * @param {string} password - Password protecting the keystore
+     * @param {string} pin - Spending PIN (required for PIN-protected wallets)
+     * @returns {Promise<object>} - { address, name, keystore } where keystore is the JSON string
+     */
+    async exportKeystore(userId, walletId, password, pin = null) {
+        if (typeof password !== 'string' || password.length < KEYSTORE_PASSWORD_MIN_LENGTH) {
+            throw new Error(`Keystore password must be at least ${KEYSTORE_PASSWORD_MIN_LENGTH} characters long.`);
+        }
+        
+        const wallet = this.getWalletDetails(userId, walletId, pin);
+        const keystore = await new ethers.Wallet(wallet.privateKey).encrypt(password);
+        
+        console.log(`Exported keystore for wallet ${wallet.address}`);
+        
+        return {
+            address: wallet.address,
+            name: wallet.name,
+            keystore
+        };
+    }
+
+    /**
+     * Check whether text is a JSON keystore
+     * @param {string} json - File contents
+     * @returns {boolean} - True if the contents look like a v3 keystore
+     */
+    isKeystore(json) {
+        return ethers.isKeystoreJson(json);
+    }
+
+    /**
+     * Import a wallet from a JSON keystore
+     * @param {string} userId - Telegram user ID
+     * @param {string} json - Keystore file contents
+     * @param {string} password - Keystore password
+     * @param {string} walletName - Optional name for the wallet
+     * @returns {Promise<object>} - Wallet details
      */
-    getWalletDetails(userId, walletId = null) {
+    async importKeystore(userId, json, password, walletName = 'Imported Wallet') {
+        if (!this.isKeystore(json)) {
+            throw new Error('This file is not a valid Ethereum JSON keystore.');
+        }
+        
+        let wallet;
+        try {
+            wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+        } catch (error) {
+            throw new Error('Could not decrypt keystore: wrong password or corrupted file.');
+        }
+        
+        return this.importWallet(userId, wallet.privateKey, walletName);
+    }
+
+    /**
+     * Find a user's wallet record
+     * @private
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Optional wallet ID (defaults to the active wallet)
+     * @returns {object} - { walletId, wallet }
+     */
+    _findWallet(userId, walletId = null) {
         const userWalletIds = this.userWalletIds.get(userId);
         
         if (!userWalletIds || userWalletIds.length === 0) {
             throw new Error('No wallet found for this user. Please generate or import a wallet first.');
         }
         
-        // Use specified walletId or default to first wallet
-        const targetWalletId = walletId || userWalletIds[0];
+        // Use specified walletId or default to the active wallet
+        const targetWalletId = walletId || this.getActiveWalletId(userId);
         
-        const wallet = this.wallets.get(targetWalletId);
+        const wallet = userWalletIds.includes(targetWalletId) && this.wallets.get(targetWalletId);
         if (!wallet) {
             throw new Error('Wallet not found.');
         }
         
+        return { walletId: targetWalletId, wallet };
+    }
+
+    /**
+     * Get public wallet info for a user without decrypting anything
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Optional wallet ID (if not provided, returns the active wallet)
+     * @returns {object} - { walletId, address, name, pinProtected, watchOnly, archived, derivationPath }
+     */
+    getWallet(userId, walletId = null) {
+        const { walletId: targetWalletId, wallet } = this._findWallet(userId, walletId);
+        
+        return {
+            walletId: targetWalletId,
+            address: wallet.address,
+            name: wallet.name,
+            pinProtected: !!wallet.pinProtected,
+            watchOnly: !!wallet.watchOnly,
+            archived: !!wallet.archived,
+            derivationPath: wallet.derivationPath || null
+        };
+    }
+
+    /**
+     * Find the user's wallet that can sign for an address (archived wallets included)
+     * @param {string} userId - Telegram user ID
+     * @param {string} address - Wallet address
+     * @returns {object|null} - Public info of the wallet (see getWallet), or null if the user holds no key for it
+     */
+    findWalletByAddress(userId, address) {
+        const walletId = (this.userWalletIds.get(userId) || []).find(id => {
+            const wallet = this.wallets.get(id);
+            return !wallet.watchOnly && wallet.address.toLowerCase() === address.toLowerCase();
+        });
+        return walletId ? this.getWallet(userId, walletId) : null;
+    }
+
+    /**
+     * Check whether signing with a user's wallet requires the spending PIN
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Optional wallet ID (if not provided, checks the active wallet)
+     * @returns {boolean} - True if the PIN is needed
+     */
+    isPinRequired(userId, walletId = null) {
+        return this.getWallet(userId, walletId).pinProtected;
+    }
+
+    /**
+     * Get wallet details for a user, including the decrypted private key.
+     * Only call this when a transaction is actually being signed.
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Optional wallet ID (if not provided, returns the active wallet)
+     * @param {string} pin - Spending PIN (required for PIN-protected wallets)
+     * @returns {object} - Wallet details with decrypted private key
+     */
+    getWalletDetails(userId, walletId = null, pin = null) {
+        const { walletId: targetWalletId, wallet } = this._findWallet(userId, walletId);
+        
+        if (wallet.watchOnly) {
+            const error = new Error(`${wallet.name} is a view-only wallet; there is no private key to sign with.`);
+            error.code = 'WATCH_ONLY';
+            throw error;
+        }
+        
         // Return wallet with decrypted private key
         return {
             walletId: targetWalletId,
             address: wallet.address,
-            privateKey: this._decryptPrivateKey(wallet.encryptedPrivateKey),
+            privateKey: this._decryptForUser(userId, wallet.encryptedPrivateKey, wallet.pinProtected, pin),
             name: wallet.name
         };
     }
 
     /**
-     * Check if a user has at least one wallet
+     * Get the ID of the wallet a user is currently acting with
+     * @param {string} userId - Telegram user ID
+     * @returns {string|null} - Active wallet ID (the first wallet if none was selected), or null if the user has no wallets
+     */
+    getActiveWalletId(userId) {
+        const walletIds = this.userWalletIds.get(userId) || [];
+        const activeWalletId = this.activeWallets.get(userId);
+        
+        if (activeWalletId && walletIds.includes(activeWalletId)) {
+            return activeWalletId;
+        }
+        
+        // Archived wallets are never picked implicitly
+        return walletIds.find(id => !this.wallets.get(id).archived) || null;
+    }
+
+    /**
+     * Select the wallet used by balance, swap, send and token flows
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Wallet ID to activate
+     * @returns {object} - Public info of the newly active wallet
+     */
+    setActiveWallet(userId, walletId) {
+        const wallet = this.getWallet(userId, walletId);
+        if (wallet.archived) {
+            throw new Error(`${wallet.name} is archived. Unarchive it before making it active.`);
+        }
+        
+        const previous = this.activeWallets.get(userId);
+        
+        this.activeWallets.set(userId, walletId);
+        
+        try {
+            this._persist();
+        } catch (error) {
+            if (previous) {
+                this.activeWallets.set(userId, previous);
+            } else {
+                this.activeWallets.delete(userId);
+            }
+            throw new Error(`Failed to save active wallet: ${error.message}`);
+        }
+        
+        console.log(`User ${userId} switched active wallet to ${wallet.address}`);
+        return wallet;
+    }
+
+    /**
+     * Change fields of a wallet record and persist, restoring the old values if the write fails
+     * @private
+     * @param {string} walletId - Wallet ID
+     * @param {object} changes - Fields to overwrite
+     * @param {string} action - Short description used in the error message
+     */
+    _updateWalletRecord(walletId, changes, action) {
+        const record = this.wallets.get(walletId);
+        this.wallets.set(walletId, { ...record, ...changes });
+        
+        try {
+            this._persist();
+        } catch (error) {
+            this.wallets.set(walletId, record);
+            throw new Error(`Failed to ${action}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rename a wallet
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Wallet ID to rename
+     * @param {string} newName - New display name
+     * @returns {object} - Public info of the renamed wallet
+     */
+    renameWallet(userId, walletId, newName) {
+        const name = typeof newName === 'string' ? newName.trim() : '';
+        if (!name || name.length > WALLET_NAME_MAX_LENGTH) {
+            throw new Error(`Wallet name must be between 1 and ${WALLET_NAME_MAX_LENGTH} characters.`);
+        }
+        
+        this._findWallet(userId, walletId);
+        this._updateWalletRecord(walletId, { name }, 'rename wallet');
+        
+        console.log(`User ${userId} renamed wallet ${walletId} to "${name}"`);
+        return this.getWallet(userId, walletId);
+    }
+
+    /**
+     * Move a wallet up or down in the user's wallet list
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Wallet ID to move
+     * @param {number} offset - Positions to move (negative moves towards the top)
+     * @returns {number} - New zero-based position of the wallet
+     */
+    moveWallet(userId, walletId, offset) {
+        this._findWallet(userId, walletId);
+        
+        const walletIds = this.userWalletIds.get(userId);
+        const from = walletIds.indexOf(walletId);
+        const to = Math.min(Math.max(from + offset, 0), walletIds.length - 1);
+        
+        if (to === from) {
+            return from;
+        }
+        
+        const reordered = [...walletIds];
+        reordered.splice(from, 1);
+        reordered.splice(to, 0, walletId);
+        this.userWalletIds.set(userId, reordered);
+        
+        try {
+            this._persist();
+        } catch (error) {
+            this.userWalletIds.set(userId, walletIds);
+            throw new Error(`Failed to reorder wallets: ${error.message}`);
+        }
+        
+        return to;
+    }
+
+    /**
+     * Archive (hide) or unarchive a wallet.
+     * Archived wallets keep their keys but are left out of pickers, balances and the active wallet.
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Wallet ID
+     * @param {boolean} archived - True to archive, false to restore
+     * @returns {object} - Public info of the wallet
+     */
+    setWalletArchived(userId, walletId, archived = true) {
+        const { wallet } = this._findWallet(userId, walletId);
+        if (!!wallet.archived === archived) {
+            return this.getWallet(userId, walletId);
+        }
+        
+        if (archived && this.getUserWallets(userId).length <= 1) {
+            throw new Error('You need at least one wallet that is not archived.');
+        }
+        
+        const previousActive = this.activeWallets.get(userId);
+        if (archived && previousActive === walletId) {
+            this.activeWallets.delete(userId);
+        }
+        
+        try {
+            this._updateWalletRecord(walletId, { archived }, archived ? 'archive wallet' : 'unarchive wallet');
+        } catch (error) {
+            if (previousActive) {
+                this.activeWallets.set(userId, previousActive);
+            }
+            throw error;
+        }
+        
+        console.log(`User ${userId} ${archived ? 'archived' : 'unarchived'} wallet ${wallet.address}`);
+        return this.getWallet(userId, walletId);
+    }
+
+    /**
+     * Check if a user has at least one wallet that is not archived
      * @param {string} userId - Telegram user ID
      * @returns {boolean} - True if user has a wallet
      */
     hasWallet(userId) {
-        const walletIds = this.userWalletIds.get(userId);
-        return !!walletIds && walletIds.length > 0;
+        return this.getActiveWalletId(userId) !== null;
     }
 
     /**
      * Get all wallets for a user
      * @param {string} userId - Telegram user ID
-     * @returns {Array} - Array of wallet objects with addresses and names
+     * @param {object} options - { includeArchived } set to true to list archived wallets as well
+     * @returns {Array} - Array of wallet objects with addresses, names, view-only and archived flags and whether each is active
      */
-    getUserWallets(userId) {
+    getUserWallets(userId, options = {}) {
         const walletIds = this.userWalletIds.get(userId);
         
         if (!walletIds || walletIds.length === 0) {
             return [];
         }
         
-        return walletIds.map(id => {
-            const wallet = this.wallets.get(id);
-            return {
-                walletId: id,
-                address: wallet.address,
-                name: wallet.name
-            };
-        });
+        const activeWalletId = this.getActiveWalletId(userId);
+        
+        return walletIds
+            .filter(id => options.includeArchived || !this.wallets.get(id).archived)
+            .map(id => {
+                const wallet = this.wallets.get(id);
+                return {
+                    walletId: id,
+                    address: wallet.address,
+                    name: wallet.name,
+                    watchOnly: !!wallet.watchOnly,
+                    archived: !!wallet.archived,
+                    active: id === activeWalletId
+                };
+            });
     }
 
     /**
@@ -207,10 +1144,33 @@ class WalletManager {
     }
 
     /**
-     * Delete a specific wallet
+     * Check whether a wallet was derived from a recovery phrase that other wallets of the user still use.
+     * Deleting such a wallet keeps the phrase, so the key can be derived again
+     * @param {string} userId - Telegram user ID
+     * @param {string} walletId - Wallet ID
+     * @returns {boolean}
+     */
+    sharesSeed(userId, walletId) {
+        const { wallet } = this._findWallet(userId, walletId);
+        return !!wallet.seedId && this._seedUsers(wallet.seedId).some(id => id !== walletId);
+    }
+
+    /**
+     * IDs of the wallets derived from a seed
+     * @private
+     */
+    _seedUsers(seedId) {
+        return [...this.wallets.entries()]
+            .filter(([, wallet]) => wallet.seedId === seedId)
+            .map(([walletId]) => walletId);
+    }
+
+    /**
+     * Delete a specific wallet.
+     * The recovery phrase it was derived from is deleted with the last wallet that uses it
      * @param {string} userId - Telegram user ID
      * @param {string} walletId - Wallet ID to delete
-     * @returns {boolean} - True if successful
+     * @returns {boolean} - True if successful, false if the user has no such wallet
      */
     deleteWallet(userId, walletId) {
         const userWalletIds = this.userWalletIds.get(userId);
@@ -224,16 +1184,49 @@ class WalletManager {
             return false;
         }
         
+        // Same rule as archiving: archived wallets must not be all that is left
+        const remaining = userWalletIds.filter(id => id !== walletId);
+        if (!wallet.archived && this.getUserWallets(userId).length <= 1 && remaining.length > 0) {
+            throw new Error('You need at least one wallet that is not archived. Unarchive another wallet before deleting this one.');
+        }
+        
+        const previous = {
+            userWalletIds,
+            wallets: new Map(this.wallets),
+            walletOwners: new Map(this.walletOwners),
+            activeWallets: new Map(this.activeWallets),
+            seeds: new Map(this.seeds)
+        };
+        
         // Remove wallet from user's wallet list
-        this.userWalletIds.set(
-            userId, 
-            userWalletIds.filter(id => id !== walletId)
-        );
+        this.userWalletIds.set(userId, remaining);
         
         // Delete wallet data
         this.wallets.delete(walletId);
-        this.walletOwners.delete(wallet.address.toLowerCase());
+        if (!wallet.watchOnly) {
+            this.walletOwners.delete(wallet.address.toLowerCase());
+        }
+        if (wallet.seedId && this._seedUsers(wallet.seedId).length === 0) {
+            this.seeds.delete(wallet.seedId);
+        }
+        
+        // Fall back to the first remaining wallet if the active one was deleted
+        if (this.activeWallets.get(userId) === walletId) {
+            this.activeWallets.delete(userId);
+        }
+        
+        try {
+            this._persist();
+        } catch (error) {
+            this.userWalletIds.set(userId, previous.userWalletIds);
+            this.wallets = previous.wallets;
+            this.walletOwners = previous.walletOwners;
+            this.activeWallets = previous.activeWallets;
+            this.seeds = previous.seeds;
+            throw new Error(`Failed to delete wallet: ${error.message}`);
+        }
         
+        console.log(`User ${userId} deleted wallet ${wallet.address}`);
         return true;
     }
 
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { BOT_CONFIG } = require('../config');
+
+/**
+ * FileWalletStore persists wallet records to a JSON file on disk.
+ *
+ * Any object exposing the same `load()` / `save(state)` / `backup()` methods can be
+ * passed to WalletManager instead, so the backing storage can be swapped (database, KMS, ...)
+ * without touching the wallet logic. Private keys reach the store already encrypted.
+ */
+class FileWalletStore {
+    /**
+     * @param {string} filePath - Location of the wallet vault file
+     */
+    constructor(filePath = BOT_CONFIG.WALLET_STORE_PATH) {
+        this.filePath = filePath;
+        this.dataDir = path.dirname(filePath);
+
+        // Ensure data directory exists
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true, mode: 0o700 });
+        }
+    }
+
+    /**
+     * Create an empty vault state
+     * @returns {object} - Empty state
+     */
+    static emptyState() {
+        return {
+            version: 1,
+            wallets: {},
+            userWallets: {},
+            activeWallets: {},
+            security: {},
+            seeds: {}
+        };
+    }
+
+    /**
+     * Load the vault state from disk
+     * @returns {object} - Stored state ({ version, wallets, userWallets, activeWallets, security, seeds })
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return FileWalletStore.emptyState();
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            // Refuse to continue with an empty vault: saving would overwrite the user's wallets
+            throw new Error(`Wallet store at ${this.filePath} is unreadable: ${error.message}`);
+        }
+
+        return {
+            ...FileWalletStore.emptyState(),
+            ...data
+        };
+    }
+
+    /**
+     * Save the vault state to disk atomically.
+     * The state is written to a temporary file which is then renamed over the vault,
+     * so a crash mid-write never leaves a truncated file behind.
+     * @param {object} state - State to persist
+     */
+    save(state) {
+        const tempFile = `${this.filePath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tempFile, 'w', 0o600);
+
+        try {
+            fs.writeSync(fd, JSON.stringify(state, null, 2), null, 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        fs.renameSync(tempFile, this.filePath);
+    }
+
+    /**
+     * Copy the current vault file next to itself as a rollback point
+     * @returns {string|null} - Path of the backup, or null if nothing is stored yet
+     */
+    backup() {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = `${this.filePath}.bak-${timestamp}`;
+        fs.copyFileSync(this.filePath, backupPath, fs.constants.COPYFILE_EXCL);
+        fs.chmodSync(backupPath, 0o600);
+
+        return backupPath;
+    }
+}
+
+module.exports = FileWalletStore;